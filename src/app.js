@@ -9,6 +9,8 @@ import chalk from "chalk";
 
 import {env} from "./config/env.js";
 import {swaggerSpec} from "./utils/swagger.js";
+import {redactUrl} from "./utils/redact.js";
+import {HttpError} from "./utils/httpError.js";
 
 import authRoutes from "./routes/auth.routes.js";
 import profileRoutes from "./routes/profile.routes.js";
@@ -16,6 +18,8 @@ import achievementsRoutes from "./routes/achievements.routes.js";
 import presenceRoutes from "./routes/presence.routes.js";
 import minecraftRoutes from "./routes/minecraft.routes.js";
 import healthRoutes from "./routes/health.routes.js";
+import wellKnownRoutes from "./routes/wellKnown.routes.js";
+import errorsRoutes from "./routes/errors.routes.js";
 import statsRoutes from "./routes/stats.routes.js";
 import inventoryRoutes from "./routes/inventory.routes.js";
 import lookupRoutes from "./routes/lookup.routes.js";
@@ -30,8 +34,10 @@ import wishlistRoutes from "./routes/wishlist.routes.js";
 import messagingRoutes from "./routes/messaging.routes.js";
 
 import debugRoutes from "./routes/debug.routes.js";
+import adminRoutes from "./routes/admin.routes.js";
 
 import {errorHandler, notFoundHandler} from "./middleware/error.js";
+import {RENEWED_TOKEN_HEADERS, renewExpiringTokens} from "./middleware/tokenRenewal.js";
 
 const app = express();
 app.set("trust proxy", env.TRUST_PROXY);
@@ -88,12 +94,13 @@ app.use((req, res, next) => {
         const url = req.url || "/";
         if (mutePaths.some(p => url === p || url.startsWith(p + "/"))) return;
         const ms = Number((process.hrtime.bigint() - start) / 1000000n);
+        const shown = redactUrl(url);
 
         if (env.LOG_PRETTY) {
-            const line = [timestamp(), badge(res.statusCode), colorMethod(req.method || "GET"), chalk.white(url), colorStatus(res.statusCode), colorTime(ms), chalk.dim(`#${id.slice(0, 6)}`)].join(" ");
+            const line = [timestamp(), badge(res.statusCode), colorMethod(req.method || "GET"), chalk.white(shown), colorStatus(res.statusCode), colorTime(ms), chalk.dim(`#${id.slice(0, 6)}`)].join(" ");
             console.log(line);
         } else {
-            console.log(`${new Date().toISOString()} ${req.method} ${url} ${res.statusCode} ${ms}ms ${id}`);
+            console.log(`${new Date().toISOString()} ${req.method} ${shown} ${res.statusCode} ${ms}ms ${id}`);
         }
     });
 
@@ -105,7 +112,7 @@ const corsOptions = {
     origin: (origin, cb) => {
         if (!origin) return cb(null, true);
         if (allowlist.includes("*") || allowlist.includes(origin)) return cb(null, true);
-        cb(new Error("CORS not allowed"));
+        cb(new HttpError(403, `Origin ${origin} is not allowed by CORS_ORIGIN`, undefined, "CORS_NOT_ALLOWED"));
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
@@ -117,10 +124,14 @@ const corsOptions = {
         "xbl-token",
         "x-mc-token",
         "x-redeem-token",
+        "x-api-key",
+        "x-account-xuid",
+        "x-token-bundle",
+        "x-admin-token",
         "x-request-id",
         "x-correlation-id"
     ],
-    exposedHeaders: ["X-Request-Id", "InventoryETag", "X-UserLists-Version"]
+    exposedHeaders: ["X-Request-Id", "InventoryETag", "X-UserLists-Version", "X-Tokens-Renewed", "X-Tokens-Renewal-Failed", "X-Quota-Limit", "X-Quota-Remaining", "Retry-After", ...Object.values(RENEWED_TOKEN_HEADERS)]
 };
 
 app.use(cors(corsOptions));
@@ -146,7 +157,7 @@ if (env.SWAGGER_ENABLED) {
 
                 return a.localeCompare(b);
             }, operationsSorter: (a, b) => {
-                const pathOrder = ["/auth/device", "/auth/callback", "/auth/whoami", "/auth/jwt/refresh"];
+                const pathOrder = ["/auth/device", "/auth/device/stream", "/auth/callback", "/auth/authorize", "/auth/oauth/callback", "/auth/whoami", "/auth/status", "/auth/jwt/refresh", "/auth/jwt/scoped", "/auth/scopes", "/auth/logout", "/auth/sessions", "/auth/accounts"];
 
                 const aPath = a.get("path");
                 const bPath = b.get("path");
@@ -165,7 +176,11 @@ if (env.SWAGGER_ENABLED) {
 }
 
 app.use("/", healthRoutes);
+app.use("/.well-known", wellKnownRoutes);
+app.use("/errors", errorsRoutes);
 app.use("/auth", authRoutes);
+app.use("/admin", adminRoutes);
+app.use(renewExpiringTokens);
 app.use("/lookup", lookupRoutes);
 app.use("/redeem", redeemRoutes);
 app.use("/profile", profileRoutes);
@@ -1,14 +1,68 @@
 import "dotenv/config";
 import Joi from "joi";
 
+const baseUrl = url => Joi.string().uri({scheme: ["http", "https"]}).replace(/\/+$/, "").default(url);
+
 const schema = Joi.object({
     PORT: Joi.number().default(3000),
     NODE_ENV: Joi.string().valid("development", "production", "test").default("development"),
     CORS_ORIGIN: Joi.string().default("*"),
-    JWT_SECRET: Joi.string().min(16).required(),
+    JWT_ALGORITHM: Joi.string().valid("HS256", "RS256", "ES256").default("HS256"),
+    JWT_SECRET: Joi.string().min(16).when("JWT_ALGORITHM", {is: "HS256", then: Joi.required()}),
+    JWT_KEYS_JSON: Joi.string().optional(),
+    JWT_KEYS_FILE: Joi.string().optional(),
     JWT_EXPIRES_IN: Joi.string().default("1h"),
+    SCOPED_JWT_EXPIRES_IN: Joi.number().integer().min(60).default(900),
+    SCOPED_JWT_MAX_EXPIRES_IN: Joi.number().integer().min(60).default(3600),
+    RELYING_PARTIES_JSON: Joi.string().optional(),
+    RELYING_PARTIES_FILE: Joi.string().optional(),
+    OAUTH_CLIENTS_JSON: Joi.string().allow("").optional(),
+    OAUTH_STATE_TTL_MS: Joi.number().integer().min(60000).default(600000),
+    ADMIN_TOKEN: Joi.string().min(32).allow("").optional(),
+    API_KEYS_FILE: Joi.string().default("data/api-keys.json"),
+    AUDIT_LOG_SINK: Joi.when("NODE_ENV", {
+        is: "test",
+        then: Joi.string().valid("file", "memory", "off").default("memory"),
+        otherwise: Joi.string().valid("file", "memory", "off").default("file")
+    }),
+    AUDIT_LOG_FILE: Joi.string().default("data/audit.ndjson"),
+    AUTH_SESSIONS_ENABLED: Joi.boolean().truthy("true").falsy("false").default(false),
+    AUTH_SESSION_MAX_AGE_MS: Joi.number().integer().min(60000).default(604800000),
+    AUTH_SESSION_MAX_SESSIONS: Joi.number().integer().min(1).default(10000),
     CLIENT_ID: Joi.string().required(),
+    XSTS_SANDBOX: Joi.string().pattern(/^[A-Za-z0-9.]{1,32}$/).default("RETAIL"),
+    XSTS_SANDBOX_ALLOWLIST: Joi.string().pattern(/^[A-Za-z0-9., ]*$/).allow("").optional(),
+    XBOX_AUTH_MODE: Joi.string().valid("rps", "sisu").default("rps"),
+    SISU_KEY_FILE: Joi.string().default("data/sisu-key.pem"),
+    SISU_DEVICE_TYPE: Joi.string().default("Android"),
+    SISU_DEVICE_VERSION: Joi.string().default("10"),
     HTTP_TIMEOUT_MS: Joi.number().default(15000),
+    MS_LOGIN_BASE_URL: baseUrl("https://login.live.com"),
+    XBOX_USER_AUTH_BASE_URL: baseUrl("https://user.auth.xboxlive.com"),
+    XBOX_DEVICE_AUTH_BASE_URL: baseUrl("https://device.auth.xboxlive.com"),
+    XBOX_SISU_BASE_URL: baseUrl("https://sisu.xboxlive.com"),
+    XBOX_XSTS_BASE_URL: baseUrl("https://xsts.auth.xboxlive.com"),
+    XBOX_PROFILE_BASE_URL: baseUrl("https://profile.xboxlive.com"),
+    XBOX_ACHIEVEMENTS_BASE_URL: baseUrl("https://achievements.xboxlive.com"),
+    XBOX_PRESENCE_BASE_URL: baseUrl("https://userpresence.xboxlive.com"),
+    XBOX_TITLEHUB_BASE_URL: baseUrl("https://titlehub.xboxlive.com"),
+    XBOX_USERSTATS_BASE_URL: baseUrl("https://userstats.xboxlive.com"),
+    XBOX_PEOPLEHUB_BASE_URL: baseUrl("https://peoplehub.xboxlive.com"),
+    XBOX_GAMECLIPS_BASE_URL: baseUrl("https://gameclipsmetadata.xboxlive.com"),
+    XBOX_SCREENSHOTS_BASE_URL: baseUrl("https://screenshotsmetadata.xboxlive.com"),
+    PLAYFAB_BASE_URL: Joi.string().pattern(/^https?:\/\/[^\s/]+(\/\S*)?$/).replace(/\/+$/, "").default("https://{titleId}.playfabapi.com"),
+    MC_AUTH_BASE_URL: baseUrl("https://authorization.franchise.minecraft-services.net"),
+    MC_ENTITLEMENTS_BASE_URL: baseUrl("https://entitlements.mktpl.minecraft-services.net"),
+    MC_STORE_BASE_URL: baseUrl("https://store.mktpl.minecraft-services.net"),
+    MC_MESSAGING_BASE_URL: baseUrl("https://messaging.mktpl.minecraft-services.net"),
+    REDEEM_BASE_URL: baseUrl("https://buynow.production.store-web.dynamics.com"),
+    HTTP_RETRY_POLICIES_JSON: Joi.string().allow("").optional(),
+    CIRCUIT_BREAKER_ENABLED: Joi.boolean().truthy("true").falsy("false").default(true),
+    CIRCUIT_BREAKER_FAILURE_THRESHOLD: Joi.number().integer().min(1).default(5),
+    CIRCUIT_BREAKER_RESET_MS: Joi.number().integer().min(1000).default(30000),
+    HTTP_CASSETTE_MODE: Joi.string().valid("off", "record", "replay").default("off"),
+    HTTP_CASSETTE: Joi.string().allow("").default(""),
+    HTTP_CASSETTE_DIR: Joi.string().default("tests/cassettes"),
     LOG_LEVEL: Joi.string().default("info"),
     LOG_PRETTY: Joi.when("NODE_ENV", {
         is: "production",
@@ -27,7 +81,17 @@ const schema = Joi.object({
     REDEEM_DEVICE_FAMILY: Joi.string().default("Web"),
     SWAGGER_ENABLED: Joi.boolean().truthy("true").falsy("false").default(true),
     SWAGGER_SERVER_URL: Joi.string().uri().optional(),
-    TRUST_PROXY: Joi.alternatives().try(Joi.boolean(), Joi.string()).default("loopback")
+    ERROR_FORMAT: Joi.string().valid("legacy", "problem").default("legacy"),
+    ERROR_TYPE_BASE_URL: Joi.string().default("/errors/"),
+    TRUST_PROXY: Joi.alternatives().try(Joi.boolean(), Joi.string()).default("loopback"),
+    TOKEN_VAULT_ENABLED: Joi.boolean().truthy("true").falsy("false").default(false),
+    TOKEN_VAULT_TTL_MS: Joi.number().integer().min(60000).default(604800000),
+    TOKEN_VAULT_MAX_SESSIONS: Joi.number().integer().min(1).default(10000),
+    TOKEN_BUNDLE_KEY: Joi.string().min(32).allow("").optional(),
+    TOKEN_BUNDLE_TTL_MS: Joi.number().integer().min(60000).default(604800000),
+    TOKEN_RENEWAL_ENABLED: Joi.boolean().truthy("true").falsy("false").default(true),
+    TOKEN_RENEWAL_SKEW_MS: Joi.number().integer().min(0).default(300000),
+    TOKEN_RENEWAL_EXPOSE_TOKENS: Joi.boolean().truthy("true").falsy("false").default(false)
 }).unknown(true);
 
 const {value, error} = schema.validate(process.env, {abortEarly: false});
@@ -0,0 +1,15 @@
+import crypto from "node:crypto";
+import {env} from "../config/env.js";
+import {forbidden, unauthorized} from "../utils/httpError.js";
+
+function digest(value) {
+    return crypto.createHash("sha256").update(String(value)).digest();
+}
+
+export function requireAdmin(req, res, next) {
+    if (!env.ADMIN_TOKEN) return next(forbidden("Admin API is disabled (ADMIN_TOKEN is not set)"));
+    const presented = req.headers["x-admin-token"];
+    if (!presented) return next(unauthorized("Missing X-Admin-Token header"));
+    if (!crypto.timingSafeEqual(digest(presented), digest(env.ADMIN_TOKEN))) return next(forbidden("Invalid admin token"));
+    next();
+}
@@ -0,0 +1,21 @@
+import {recordAuditEvent} from "../utils/auditLog.js";
+
+export function audit(type) {
+    return (req, res, next) => {
+        res.on("finish", () => {
+            const extra = res.locals.audit || {};
+            const outcome = extra.outcome || (res.statusCode >= 400 ? "failure" : "success");
+            const failed = outcome === "failure";
+            recordAuditEvent(req, {
+                type,
+                outcome,
+                status: res.statusCode,
+                xuid: extra.xuid,
+                gamertag: extra.gamertag,
+                error: extra.error || (failed ? res.locals.error || {code: `HTTP_${res.statusCode}`} : undefined),
+                details: extra.details
+            });
+        });
+        next();
+    };
+}
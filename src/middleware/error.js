@@ -1,14 +1,39 @@
-import {HttpError} from "../utils/httpError.js";
+import {env} from "../config/env.js";
+import {HttpError, toHttpError} from "../utils/httpError.js";
+import {toProblem} from "../utils/errorCatalog.js";
+import {redact, redactString} from "../utils/redact.js";
+
+const PROBLEM_JSON = "application/problem+json";
 
 export function notFoundHandler(req, res, next) {
     next(new HttpError(404, `Route ${req.method} ${req.originalUrl} not found`, undefined, "HTTP_404"));
 }
 
+function wantsProblem(req) {
+    return env.ERROR_FORMAT === "problem" || req.accepts(["application/json", PROBLEM_JSON]) === PROBLEM_JSON;
+}
+
+export function describeError(err) {
+    const error = toHttpError(err);
+    return {
+        status: error.status,
+        code: error.code || `HTTP_${error.status}`,
+        message: redactString(error.message || "Internal Server Error"),
+        details: redact(error.details),
+        stack: redactString(error.stack)
+    };
+}
+
 export function errorHandler(err, req, res, next) {
-    const status = err instanceof HttpError ? err.status : 500;
-    const code = err.code || (err instanceof HttpError ? `HTTP_${status}` : "INTERNAL");
-    const body = {error: {code, message: err.message || "Internal Server Error"}};
-    if (err.details) body.error.details = err.details;
-    if (process.env.NODE_ENV !== "production" && err.stack) body.error.stack = err.stack;
+    const {status, code, ...safe} = describeError(err);
+    const includeStack = process.env.NODE_ENV !== "production";
+    res.locals.error = {code, message: safe.message};
+    if (safe.details?.retryAfter) res.set("Retry-After", String(safe.details.retryAfter));
+    if (wantsProblem(req)) {
+        return res.status(status).type(PROBLEM_JSON).json(toProblem(safe, {status, code, instance: req.id, includeStack}));
+    }
+    const body = {error: {code, message: safe.message}};
+    if (safe.details) body.error.details = safe.details;
+    if (includeStack && safe.stack) body.error.stack = safe.stack;
     res.status(status).json(body);
 }
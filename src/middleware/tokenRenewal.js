@@ -0,0 +1,41 @@
+import {env} from "../config/env.js";
+import {verifyBearer} from "../utils/jwt.js";
+import {log} from "../utils/logger.js";
+import {renewVaultSession} from "../services/tokenRenewal.service.js";
+import {accountFor} from "../utils/credentials.js";
+
+export const RENEWED_TOKEN_HEADERS = {
+    xboxliveToken: "X-Renewed-Xbl-Token",
+    redeemToken: "X-Renewed-Redeem-Token",
+    playfabToken: "X-Renewed-PlayFab-Token",
+    sessionTicket: "X-Renewed-Session-Ticket",
+    mcToken: "X-Renewed-Mc-Token",
+    entityToken: "X-Renewed-Entity-Token",
+    entityTokenMaster: "X-Renewed-Entity-Token-Master"
+};
+
+export async function renewExpiringTokens(req, res, next) {
+    if (!env.TOKEN_RENEWAL_ENABLED || !env.TOKEN_VAULT_ENABLED) return next();
+    const user = verifyBearer(req);
+    if (!user) return next();
+    let sid;
+    try {
+        sid = accountFor(user, req.headers["x-account-xuid"]).sid;
+    } catch {
+        return next();
+    }
+    if (!sid) return next();
+    try {
+        const {renewed, tokens} = await renewVaultSession(sid);
+        if (renewed.length) {
+            res.setHeader("X-Tokens-Renewed", renewed.join(","));
+            if (env.TOKEN_RENEWAL_EXPOSE_TOKENS) {
+                for (const key of renewed.filter(k => RENEWED_TOKEN_HEADERS[k])) res.setHeader(RENEWED_TOKEN_HEADERS[key], tokens[key]);
+            }
+        }
+    } catch (err) {
+        log.warn("Token renewal failed", err.code || err.name, err.message);
+        res.setHeader("X-Tokens-Renewal-Failed", err.code || "RENEWAL_FAILED");
+    }
+    next();
+}
@@ -0,0 +1,30 @@
+import {parseArgs} from "node:util";
+import {createMockUpstream, MOCK_SCENARIOS, mockUpstreamEnv} from "./upstream.js";
+
+const {values} = parseArgs({
+    options: {
+        port: {type: "string", default: process.env.MOCK_UPSTREAM_PORT || "4010"},
+        host: {type: "string", default: "127.0.0.1"},
+        scenario: {type: "string", default: "default"}
+    }
+});
+
+if (!MOCK_SCENARIOS[values.scenario]) {
+    console.error(`Unknown scenario "${values.scenario}", use one of: ${Object.keys(MOCK_SCENARIOS).join(", ")}`);
+    process.exit(1);
+}
+
+const mock = createMockUpstream({scenario: values.scenario});
+const url = await mock.listen(Number(values.port), values.host);
+
+console.log(`Mock upstream listening on ${url} (scenario: ${mock.scenario})`);
+console.log("Point the API at it with:");
+for (const [key, value] of Object.entries(mockUpstreamEnv(url))) console.log(`${key}=${value}`);
+
+function shutdown() {
+    mock.close().then(() => process.exit(0));
+    setTimeout(() => process.exit(1), 5000).unref();
+}
+
+process.on("SIGTERM", shutdown);
+process.on("SIGINT", shutdown);
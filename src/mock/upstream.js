@@ -0,0 +1,358 @@
+import express from "express";
+import jwt from "jsonwebtoken";
+import {randomUUID} from "node:crypto";
+
+export const MOCK_USER = {
+    xuid: "2535428504476914",
+    gamertag: "MockPlayer",
+    uhs: "1234567890123456789",
+    playFabId: "A1B2C3D4E5F6A7B8",
+    friends: [{xuid: "2535400000000001", gamertag: "MockFriend"}]
+};
+
+export const MOCK_UPSTREAM_PATHS = {
+    MS_LOGIN_BASE_URL: "/login",
+    XBOX_USER_AUTH_BASE_URL: "/xbox/user-auth",
+    XBOX_DEVICE_AUTH_BASE_URL: "/xbox/device-auth",
+    XBOX_SISU_BASE_URL: "/xbox/sisu",
+    XBOX_XSTS_BASE_URL: "/xbox/xsts",
+    XBOX_PROFILE_BASE_URL: "/xbox/profile",
+    XBOX_ACHIEVEMENTS_BASE_URL: "/xbox/achievements",
+    XBOX_PRESENCE_BASE_URL: "/xbox/presence",
+    XBOX_TITLEHUB_BASE_URL: "/xbox/titlehub",
+    XBOX_USERSTATS_BASE_URL: "/xbox/userstats",
+    XBOX_PEOPLEHUB_BASE_URL: "/xbox/peoplehub",
+    XBOX_GAMECLIPS_BASE_URL: "/xbox/gameclips",
+    XBOX_SCREENSHOTS_BASE_URL: "/xbox/screenshots",
+    PLAYFAB_BASE_URL: "/playfab/{titleId}",
+    MC_AUTH_BASE_URL: "/minecraft/auth",
+    MC_ENTITLEMENTS_BASE_URL: "/minecraft/entitlements",
+    MC_STORE_BASE_URL: "/minecraft/store",
+    MC_MESSAGING_BASE_URL: "/minecraft/messaging",
+    REDEEM_BASE_URL: "/redeem"
+};
+
+export const MOCK_SCENARIOS = {
+    default: () => null,
+    expiredTokens: route => route.auth ? {
+        status: 401,
+        headers: {"www-authenticate": "XBL3.0 error=\"token_expired\""},
+        body: {code: "TokenExpired", message: "The provided token has expired"}
+    } : null,
+    rateLimited: () => ({status: 429, headers: {"retry-after": "1"}, body: {code: "TooManyRequests", message: "Rate limit exceeded"}}),
+    versionConflict: route => route.name === "minecraft.wishlist.update" ? {
+        status: 409,
+        body: {code: "UserListVersionMismatch", message: "The userlist version is out of date"}
+    } : null,
+    deviceCodePending: route => route.name === "microsoft.token" ? {
+        status: 400,
+        body: {error: "authorization_pending", error_description: "The user has not yet completed sign-in"}
+    } : null
+};
+
+const CREDENTIAL_HEADERS = ["authorization", "x-authorization", "x-entitytoken"];
+
+export function mockUpstreamEnv(baseUrl) {
+    return Object.fromEntries(Object.entries(MOCK_UPSTREAM_PATHS).map(([key, path]) => [key, `${baseUrl}${path}`]));
+}
+
+function issue(kind) {
+    return `mock-${kind}-${randomUUID()}`;
+}
+
+function inHours(hours) {
+    return new Date(Date.now() + hours * 3600000).toISOString();
+}
+
+function xboxToken(claims) {
+    return {IssueInstant: new Date().toISOString(), NotAfter: inHours(16), Token: issue("xbl"), DisplayClaims: claims};
+}
+
+function gamertagOf(xuid) {
+    if (xuid === MOCK_USER.xuid) return MOCK_USER.gamertag;
+    return MOCK_USER.friends.find(f => f.xuid === xuid)?.gamertag || `Player${String(xuid).slice(-4)}`;
+}
+
+function profileUser(xuid, settings) {
+    const values = {Gamertag: gamertagOf(xuid), Gamerscore: "1337", GameDisplayPicRaw: "https://images.example.test/pic.png"};
+    return {id: xuid, hostId: xuid, settings: settings.map(id => ({id, value: values[id] ?? ""})), isSponsoredUser: false};
+}
+
+function people() {
+    return MOCK_USER.friends.map(f => ({xuid: f.xuid, gamertag: f.gamertag, displayName: f.gamertag, isFollowingCaller: true, isFollowedByCaller: true}));
+}
+
+function versionHeaders(state) {
+    return {"x-userlists-version": String(state.listVersion), inventoryetag: String(state.inventoryVersion)};
+}
+
+function defineRoutes(state) {
+    const routes = [];
+    const route = (method, name, path, handler, {auth = true} = {}) => routes.push({method, name, path, handler, auth});
+    const xuidFrom = value => decodeURIComponent(value);
+
+    route("post", "microsoft.device_code", /^\/login\/oauth20_connect\.srf$/, () => ({
+        body: {
+            device_code: issue("device-code"),
+            user_code: "MOCK1234",
+            verification_uri: "https://www.microsoft.com/link",
+            expires_in: 900,
+            interval: 1,
+            message: "To sign in, use a web browser to open https://www.microsoft.com/link and enter the code MOCK1234"
+        }
+    }), {auth: false});
+    route("post", "microsoft.token", /^\/login\/oauth20_token\.srf$/, req => {
+        const grant = req.body?.grant_type;
+        if (grant === "refresh_token" && state.revokedRefreshTokens.has(req.body.refresh_token)) {
+            return {status: 400, body: {error: "invalid_grant", error_description: "The refresh token has been revoked"}};
+        }
+        return {
+            body: {
+                token_type: "bearer",
+                scope: req.body?.scope,
+                expires_in: 86400,
+                access_token: issue("ms-access"),
+                refresh_token: issue("ms-refresh"),
+                user_id: MOCK_USER.uhs
+            }
+        };
+    }, {auth: false});
+
+    route("post", "xbox.user_auth", /^\/xbox\/user-auth\/user\/authenticate$/, req => {
+        if (!req.body?.Properties?.RpsTicket) return {status: 400, body: {}};
+        return {body: xboxToken({xui: [{uhs: MOCK_USER.uhs}]})};
+    }, {auth: false});
+    route("post", "xbox.device_auth", /^\/xbox\/device-auth\/device\/authenticate$/, req => {
+        if (!req.headers.signature) return {status: 401, body: {}};
+        return {body: xboxToken({xdi: {did: req.body?.Properties?.Id, dcs: "0"}})};
+    }, {auth: false});
+    route("post", "xbox.sisu", /^\/xbox\/sisu\/authorize$/, req => {
+        if (!req.headers.signature) return {status: 401, body: {}};
+        const user = xboxToken({xui: [{uhs: MOCK_USER.uhs}]});
+        return {
+            body: {
+                DeviceToken: req.body?.DeviceToken,
+                TitleToken: xboxToken({xti: {tid: "1739947436"}}),
+                UserToken: user,
+                AuthorizationToken: xboxToken({xui: [{uhs: MOCK_USER.uhs, xid: MOCK_USER.xuid, gtg: MOCK_USER.gamertag}]}),
+                Sandbox: req.body?.Sandbox,
+                UseModernGamertag: true
+            }
+        };
+    }, {auth: false});
+    route("post", "xbox.xsts", /^\/xbox\/xsts\/xsts\/authorize$/, req => {
+        if (!req.body?.Properties?.UserTokens?.length) return {status: 400, body: {}};
+        state.sandboxes.push(req.body.Properties.SandboxId);
+        return {body: xboxToken({xui: [{uhs: MOCK_USER.uhs, xid: MOCK_USER.xuid, gtg: MOCK_USER.gamertag, agg: "Adult"}]})};
+    }, {auth: false});
+
+    route("get", "xbox.profile", /^\/xbox\/profile\/users\/xuid\((\d+)\)\/profile\/settings$/, (req, [xuid]) => ({
+        body: {profileUsers: [profileUser(xuid, String(req.query.settings || "Gamertag").split(","))]}
+    }));
+    route("get", "xbox.profile.gamertag", /^\/xbox\/profile\/users\/gt\(([^)]+)\)\/profile\/settings$/, (req, [gamertag]) => {
+        const name = xuidFrom(gamertag).toLowerCase();
+        const known = [MOCK_USER, ...MOCK_USER.friends].find(u => u.gamertag.toLowerCase() === name);
+        if (!known) return {status: 404, body: {code: 28, description: "The requested user was not found"}};
+        return {body: {profileUsers: [profileUser(known.xuid, ["Gamertag"])]}};
+    });
+    route("post", "xbox.profile.batch", /^\/xbox\/profile\/users\/batch\/profile\/settings$/, req => ({
+        body: {profileUsers: (req.body?.userIds || []).map(id => profileUser(String(id).replace(/^xuid\((\d+)\)$/, "$1"), ["Gamertag"]))}
+    }));
+    route("get", "xbox.achievements", /^\/xbox\/achievements\/users\/xuid\((\d+)\)\/achievements$/, () => ({
+        body: {
+            achievements: [{id: "1", name: "Taking Inventory", progressState: "Achieved", titleAssociations: [{name: "Minecraft", id: 1828326430}]}],
+            pagingInfo: {continuationToken: null, totalRecords: 1}
+        }
+    }));
+    route("get", "xbox.presence", /^\/xbox\/presence\/users\/xuid\((\d+)\)$/, (req, [xuid]) => ({
+        body: {xuid, state: "Online", devices: [{type: "Win32", titles: [{id: "1828326430", name: "Minecraft", placement: "Full", state: "Active"}]}]}
+    }));
+    route("post", "xbox.presence.batch", /^\/xbox\/presence\/users\/batch$/, req => ({
+        body: (req.body?.users || []).map(xuid => ({xuid, state: "Offline"}))
+    }));
+    route("get", "xbox.titlehub", /^\/xbox\/titlehub\/users\/xuid\((\d+)\)\/titles\/titlehistory\/decoration\/([^/]+)$/, (req, [xuid]) => ({
+        body: {xuid, titles: [{titleId: "1828326430", name: "Minecraft", type: "Game", devices: ["Win32"]}]}
+    }));
+    route("post", "xbox.userstats", /^\/xbox\/userstats\/batch$/, req => ({
+        body: {
+            statlistscollection: (req.body?.requestedusers || []).map(xuid => ({
+                arrangebyfield: "xuid", xuid, stats: [{name: "MinutesPlayed", type: "Integer", value: "4200", scid: req.body.requestedscids?.[0]?.scid}]
+            }))
+        }
+    }));
+    route("get", "xbox.peoplehub", /^\/xbox\/peoplehub\/users\/(?:me|xuid\(\d+\))\/people(?:\/(social|followers))?$/, () => {
+        const list = people();
+        return {body: {totalCount: list.length, people: list}};
+    });
+    route("get", "xbox.gameclips", /^\/xbox\/gameclips\/users\/xuid\((\d+)\)\/clips$/, () => ({
+        body: {gameClips: [], pagingInfo: {continuationToken: null}}
+    }));
+    route("get", "xbox.screenshots", /^\/xbox\/screenshots\/users\/xuid\((\d+)\)\/screenshots$/, () => ({
+        body: {screenshots: [], pagingInfo: {continuationToken: null}}
+    }));
+
+    const entity = () => ({EntityToken: issue("entity"), TokenExpiration: inHours(24), Entity: {Id: "E1F2A3B4C5D6E7F8", Type: "title_player_account"}});
+    route("post", "playfab.login", /^\/playfab\/([^/]+)\/Client\/LoginWithXbox$/, req => {
+        if (!req.body?.XboxToken) return {status: 400, body: {code: 400, status: "BadRequest", error: "InvalidParams", errorCode: 1000}};
+        return {
+            body: {
+                code: 200,
+                status: "OK",
+                data: {
+                    SessionTicket: issue("session-ticket"),
+                    PlayFabId: MOCK_USER.playFabId,
+                    NewlyCreated: false,
+                    EntityToken: entity(),
+                    InfoResultPayload: {AccountInfo: {PlayFabId: MOCK_USER.playFabId}}
+                }
+            }
+        };
+    }, {auth: false});
+    route("post", "playfab.entity_token", /^\/playfab\/([^/]+)\/Authentication\/GetEntityToken$/, req => ({
+        body: {code: 200, status: "OK", data: req.body?.Entity ? {...entity(), Entity: req.body.Entity} : entity()}
+    }));
+    route("post", "playfab.inventory", /^\/playfab\/([^/]+)\/Inventory\/GetInventoryItems$/, () => ({
+        body: {code: 200, status: "OK", data: {Items: [{Id: "minecoin", StackId: "default", Amount: 1000, Type: "currency"}], ETag: "1/MQ==", ContinuationToken: null}}
+    }));
+    route("post", "playfab.client", /^\/playfab\/([^/]+)\/Client\/(GetAccountInfo|GetPlayerProfile|GetCatalogItems|GetTitleData|GetUserData|GetUserReadOnlyData)$/, (req, [, api]) => {
+        const data = {
+            GetAccountInfo: {AccountInfo: {PlayFabId: MOCK_USER.playFabId, TitleInfo: {DisplayName: MOCK_USER.gamertag}, XboxInfo: {XboxUserId: MOCK_USER.xuid}}},
+            GetPlayerProfile: {PlayerProfile: {PlayerId: MOCK_USER.playFabId, DisplayName: MOCK_USER.gamertag}},
+            GetCatalogItems: {Catalog: []},
+            GetTitleData: {Data: {}},
+            GetUserData: {Data: {}, DataVersion: 0},
+            GetUserReadOnlyData: {Data: {}, DataVersion: 0}
+        }[api];
+        return {body: {code: 200, status: "OK", data}};
+    });
+
+    route("post", "minecraft.session", /^\/minecraft\/auth\/api\/v1\.0\/session\/start$/, req => {
+        if (!req.body?.user?.token) return {status: 401, body: {code: "Unauthorized"}};
+        const token = jwt.sign({xid: MOCK_USER.xuid, pfid: MOCK_USER.playFabId}, "xlink-mock-upstream", {expiresIn: "4h"});
+        return {body: {result: {authorizationHeader: `MCToken ${token}`, validUntil: inHours(4), treatments: []}}};
+    }, {auth: false});
+    route("get", "minecraft.inventory", /^\/minecraft\/entitlements\/api\/v1\.0\/player\/inventory$/, () => ({
+        headers: {inventoryetag: String(state.inventoryVersion)},
+        body: {result: {inventory: {entitlements: [{id: "e1", itemId: "cape-1", friendlyId: "mock_cape", count: 1}]}, inventoryVersion: String(state.inventoryVersion)}}
+    }));
+    route("post", "minecraft.balances", /^\/minecraft\/entitlements\/api\/v1\.0\/currencies\/virtual\/balances$/, () => ({
+        body: {result: {currencies: {Minecoin: {amount: 1000}}}}
+    }));
+    route("post", "minecraft.store.page", /^\/minecraft\/store\/api\/v2\.0\/layout\/pages\/([^/]+)$/, (req, [page]) => ({
+        headers: versionHeaders(state),
+        body: {result: {pageName: page, rows: [{components: [{items: [...state.wishlist].map(id => ({id}))}]}]}}
+    }));
+    route("post", "minecraft.wishlist.update", /^\/minecraft\/store\/api\/v1\.0\/player\/list_wishlist$/, req => {
+        if (String(req.body?.listVersion) !== String(state.listVersion)) {
+            return {status: 409, headers: versionHeaders(state), body: {code: "UserListVersionMismatch", message: "The userlist version is out of date"}};
+        }
+        if (req.body.operation === "Remove") state.wishlist.delete(req.body.itemId);
+        else state.wishlist.add(req.body.itemId);
+        state.listVersion += 1;
+        return {headers: versionHeaders(state), body: {result: {items: [...state.wishlist]}}};
+    });
+    route("post", "minecraft.messaging.session", /^\/minecraft\/messaging\/api\/v1\.0\/session\/start$/, () => ({
+        body: {result: {messages: [], continuationToken: null}}
+    }));
+    route("post", "minecraft.messaging.event", /^\/minecraft\/messaging\/api\/v1\.0\/messages\/event$/, () => ({
+        body: {result: {}}
+    }));
+
+    route("post", "redeem.prepare", /^\/redeem\/v1\.0\/Redeem\/PrepareRedeem$/, req => {
+        const code = req.body?.tokenIdentifierValue;
+        if (state.redeemedCodes.has(code)) return {status: 400, body: {code: "TokenAlreadyRedeemed", message: "This code has already been redeemed"}};
+        return {body: {tokenState: "Active", products: [{productId: "9NBLGGH2JHXJ", title: "Minecraft Minecoins"}], paymentInstrumentId: code}};
+    });
+    route("post", "redeem.redeem", /^\/redeem\/v1\.0\/Redeem\/RedeemToken$/, req => {
+        const code = req.body?.paymentInstrumentId;
+        if (state.redeemedCodes.has(code)) return {status: 400, body: {code: "TokenAlreadyRedeemed", message: "This code has already been redeemed"}};
+        state.redeemedCodes.add(code);
+        return {body: {orderId: randomUUID(), orderState: "Purchased"}};
+    });
+
+    return routes;
+}
+
+function initialState() {
+    return {listVersion: 1, inventoryVersion: 1, wishlist: new Set(), redeemedCodes: new Set(), revokedRefreshTokens: new Set(), sandboxes: []};
+}
+
+export function createMockUpstream({scenario = "default"} = {}) {
+    const mock = {state: initialState(), requests: [], scenario, scripts: new Map()};
+    let routes = defineRoutes(mock.state);
+
+    function send(res, {status = 200, headers = {}, body}) {
+        res.status(status).set(headers);
+        if (body === undefined) return res.end();
+        res.json(body);
+    }
+
+    mock.useScenario = name => {
+        if (!MOCK_SCENARIOS[name]) throw new Error(`Unknown mock scenario: ${name}`);
+        mock.scenario = name;
+    };
+    mock.script = (name, ...responses) => {
+        mock.scripts.set(name, [...(mock.scripts.get(name) || []), ...responses]);
+    };
+    mock.reset = () => {
+        mock.state = initialState();
+        routes = defineRoutes(mock.state);
+        mock.requests.length = 0;
+        mock.scripts.clear();
+        mock.scenario = "default";
+    };
+    mock.requestsFor = name => mock.requests.filter(r => r.route === name);
+
+    const app = express();
+    app.use(express.json({limit: "1mb"}));
+    app.use(express.urlencoded({extended: false}));
+
+    app.get("/__mock/requests", (_req, res) => res.json({requests: mock.requests}));
+    app.post("/__mock/scenario", (req, res) => {
+        if (!MOCK_SCENARIOS[req.body?.name]) return res.status(400).json({error: `Unknown scenario, use one of ${Object.keys(MOCK_SCENARIOS).join(", ")}`});
+        mock.useScenario(req.body.name);
+        res.json({scenario: mock.scenario});
+    });
+    app.post("/__mock/script", (req, res) => {
+        if (!req.body?.route || !Array.isArray(req.body.responses)) return res.status(400).json({error: "route and responses are required"});
+        mock.script(req.body.route, ...req.body.responses);
+        res.json({route: req.body.route, queued: mock.scripts.get(req.body.route).length});
+    });
+    app.post("/__mock/reset", (_req, res) => {
+        mock.reset();
+        res.json({reset: true});
+    });
+
+    app.use((req, res) => {
+        const method = req.method.toLowerCase();
+        let match = null;
+        const found = routes.find(r => r.method === method && (match = r.path.exec(req.path)));
+        if (!found) return send(res, {status: 404, body: {error: `No mock for ${req.method} ${req.path}`}});
+
+        mock.requests.push({route: found.name, method: req.method, path: req.originalUrl, headers: req.headers, body: req.body});
+        const queued = mock.scripts.get(found.name);
+        if (queued?.length) return send(res, queued.shift());
+        const override = MOCK_SCENARIOS[mock.scenario](found, req);
+        if (override) return send(res, override);
+        if (found.auth && !CREDENTIAL_HEADERS.some(h => req.headers[h])) {
+            return send(res, {status: 401, body: {code: "Unauthorized", message: "Missing authorization"}});
+        }
+        send(res, found.handler(req, match.slice(1)));
+    });
+
+    mock.app = app;
+    mock.listen = (port = 0, host = "127.0.0.1") => new Promise((resolve, reject) => {
+        const server = app.listen(port, host, err => {
+            if (err) return reject(err);
+            mock.server = server;
+            mock.url = `http://${host}:${server.address().port}`;
+            resolve(mock.url);
+        });
+    });
+    mock.close = () => new Promise(resolve => {
+        if (!mock.server) return resolve();
+        mock.server.closeAllConnections?.();
+        mock.server.close(() => resolve());
+    });
+    return mock;
+}
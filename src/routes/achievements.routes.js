@@ -1,7 +1,8 @@
 import express from "express";
 import Joi from "joi";
-import {jwtMiddleware} from "../utils/jwt.js";
+import {jwtMiddleware, requireScope} from "../utils/jwt.js";
 import {asyncHandler} from "../utils/async.js";
+import {requireCredential, userXuid} from "../utils/credentials.js";
 import {getAchievements} from "../services/xbox.service.js";
 import {badRequest} from "../utils/httpError.js";
 
@@ -20,9 +21,11 @@ const router = express.Router();
  *       - BearerAuth: []
  *       - XBLToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-xbl-token
- *         required: true
+ *         required: false
  *         schema:
  *           type: string
  *         description: Xbox Live XSTS token in the form `XBL3.0 x={uhs};{token}`
@@ -36,10 +39,9 @@ const router = express.Router();
  *       200:
  *         description: List of achievements for the user
  */
-router.get("/me", jwtMiddleware, asyncHandler(async (req, res) => {
-    const {xuid} = req.user;
-    const xboxliveToken = req.headers["x-xbl-token"];
-    if (!xboxliveToken) throw badRequest("Missing x-xbl-token header");
+router.get("/me", jwtMiddleware, requireScope("profile:read"), asyncHandler(async (req, res) => {
+    const xuid = userXuid(req);
+    const xboxliveToken = requireCredential(req, "xboxliveToken");
 
     const schema = Joi.object({titleId: Joi.string().optional()});
     const {value, error} = schema.validate(req.query);
@@ -63,9 +65,11 @@ router.get("/me", jwtMiddleware, asyncHandler(async (req, res) => {
  *       - BearerAuth: []
  *       - XBLToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-xbl-token
- *         required: true
+ *         required: false
  *         schema:
  *           type: string
  *       - in: query
@@ -78,10 +82,9 @@ router.get("/me", jwtMiddleware, asyncHandler(async (req, res) => {
  *       200:
  *         description: Aggregated achievement summary for the given title
  */
-router.get("/summary", jwtMiddleware, asyncHandler(async (req, res) => {
-    const {xuid} = req.user;
-    const xboxliveToken = req.headers["x-xbl-token"];
-    if (!xboxliveToken) throw badRequest("Missing x-xbl-token header");
+router.get("/summary", jwtMiddleware, requireScope("profile:read"), asyncHandler(async (req, res) => {
+    const xuid = userXuid(req);
+    const xboxliveToken = requireCredential(req, "xboxliveToken");
 
     const schema = Joi.object({titleId: Joi.string().required()});
     const {value, error} = schema.validate(req.query);
@@ -0,0 +1,225 @@
+import express from "express";
+import Joi from "joi";
+import {asyncHandler} from "../utils/async.js";
+import {badRequest, notFound} from "../utils/httpError.js";
+import {requireAdmin} from "../middleware/admin.js";
+import {createApiKey, listApiKeys, revokeApiKey, rotateApiKey} from "../utils/apiKeys.js";
+import {queryAuditEvents} from "../utils/auditLog.js";
+import {ALL_SCOPES} from "../utils/scopes.js";
+
+const router = express.Router();
+router.use(requireAdmin);
+
+const API_KEY_SCOPES = ALL_SCOPES.filter(scope => scope !== "sessions:manage");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Admin
+ *     description: Operator endpoints, authenticated with the `X-Admin-Token` header (`ADMIN_TOKEN`).
+ */
+
+/**
+ * @swagger
+ * /admin/api-keys:
+ *   get:
+ *     summary: List service API keys
+ *     description: Returns every key (including revoked ones) with its settings and last use. Secrets are never returned.
+ *     tags: [Admin]
+ *     security: [{AdminToken: []}]
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 apiKeys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *   post:
+ *     summary: Create a service API key
+ *     description: >
+ *       Creates a named key for machine-to-machine clients. The plaintext key is returned once in `key`;
+ *       only its SHA-256 hash is stored. Clients send it in the `X-API-Key` header.
+ *     tags: [Admin]
+ *     security: [{AdminToken: []}]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApiKeyRequest'
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeyIssued'
+ */
+router.get("/api-keys", asyncHandler(async (_req, res) => {
+    const apiKeys = listApiKeys();
+    res.json({count: apiKeys.length, apiKeys});
+}));
+
+router.post("/api-keys", asyncHandler(async (req, res) => {
+    const schema = Joi.object({
+        name: Joi.string().trim().min(1).max(100).required(),
+        scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required(),
+        routes: Joi.array().items(Joi.string().pattern(/^(?:(?:GET|POST|PUT|PATCH|DELETE|\*)\s+)?\/\S*$/)).default([]),
+        xuid: Joi.string().pattern(/^\d+$/),
+        quota: Joi.object({
+            limit: Joi.number().integer().min(1).required(),
+            windowMs: Joi.number().integer().min(1000).required()
+        })
+    });
+    const {value, error} = schema.validate(req.body || {});
+    if (error) throw badRequest(error.message);
+    res.status(201).json(createApiKey(value));
+}));
+
+/**
+ * @swagger
+ * /admin/api-keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate the secret of a service API key
+ *     description: Issues a new secret for the key; the previous secret stops working immediately.
+ *     tags: [Admin]
+ *     security: [{AdminToken: []}]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: New secret issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeyIssued'
+ *       404:
+ *         description: Unknown or revoked key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/api-keys/:id/rotate", asyncHandler(async (req, res) => {
+    const rotated = rotateApiKey(req.params.id);
+    if (!rotated) throw notFound("API key not found or revoked");
+    res.json(rotated);
+}));
+
+/**
+ * @swagger
+ * /admin/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke a service API key
+ *     tags: [Admin]
+ *     security: [{AdminToken: []}]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       404:
+ *         description: Unknown key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete("/api-keys/:id", asyncHandler(async (req, res) => {
+    const revoked = revokeApiKey(req.params.id);
+    if (!revoked) throw notFound("API key not found");
+    res.json(revoked);
+}));
+
+/**
+ * @swagger
+ * /admin/audit-events:
+ *   get:
+ *     summary: Query the authentication audit log
+ *     description: >
+ *       Returns audit events (device codes, sign-ins, refreshes, JWT refreshes, account links, redeem attempts),
+ *       newest first. Filter by `xuid` and an ISO 8601 time range to investigate an account. Events are written to
+ *       `AUDIT_LOG_SINK` (`file` → `AUDIT_LOG_FILE` as NDJSON by default).
+ *     tags: [Admin]
+ *     security: [{AdminToken: []}]
+ *     parameters:
+ *       - in: query
+ *         name: xuid
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: auth.callback
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failure, cancelled]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 1000
+ *     responses:
+ *       200:
+ *         description: Matching events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEvent'
+ */
+router.get("/audit-events", asyncHandler(async (req, res) => {
+    const schema = Joi.object({
+        xuid: Joi.string().pattern(/^\d+$/),
+        from: Joi.date().iso(),
+        to: Joi.date().iso().min(Joi.ref("from")),
+        type: Joi.string().max(64),
+        outcome: Joi.string().valid("success", "failure", "cancelled"),
+        limit: Joi.number().integer().min(1).max(1000).default(100)
+    });
+    const {value, error} = schema.validate(req.query);
+    if (error) throw badRequest(error.message);
+    const events = await queryAuditEvents(value);
+    res.json({count: events.length, events});
+}));
+
+export default router;
@@ -1,18 +1,117 @@
 import express from "express";
 import Joi from "joi";
 import {asyncHandler} from "../utils/async.js";
-import {jwtMiddleware, signJwt} from "../utils/jwt.js";
-import {getTokenFromDeviceCode, refreshMsToken, requestDeviceCode} from "../services/microsoft.service.js";
-import {getXBLToken, getXSTSToken} from "../services/xbox.service.js";
-import {getEntityToken, loginWithXbox} from "../services/playfab.service.js";
-import {getMCToken} from "../services/minecraft.service.js";
+import {jwtMiddleware, optionalJwtMiddleware, requireScope, signJwt} from "../utils/jwt.js";
+import {buildAuthorizeUrl, getTokenFromAuthCode, getTokenFromDeviceCode, pollTokenFromDeviceCode, refreshMsToken, requestDeviceCode} from "../services/microsoft.service.js";
+import {TOKEN_TARGETS, mintTokenBundle} from "../services/auth.service.js";
 import {env} from "../config/env.js";
 import {authLimiter} from "../middleware/rateLimit.js";
-import {badRequest} from "../utils/httpError.js";
-import {buildAuthCallbackResponse} from "../utils/authResponse.js";
+import {audit} from "../middleware/audit.js";
+import {HttpError, badRequest, conflict, forbidden, notFound, unauthorized} from "../utils/httpError.js";
+import {buildAuthCallbackResponse, buildBundleAuthResponse, buildVaultAuthResponse} from "../utils/authResponse.js";
+import {createVaultSession, deleteVaultSession, updateVaultSession} from "../utils/tokenVault.js";
+import {
+    closeAuthSession, getAuthSession, isAuthSessionsEnabled, linkAccount, listAuthSessions, openAuthSession, revokeToken, unlinkAccount
+} from "../utils/authSessions.js";
+import {tokenBundleFor, vaultSessionFor} from "../utils/credentials.js";
+import {isTokenBundleEnabled, sealTokenBundle} from "../utils/tokenBundle.js";
+import {describeTokenStatus} from "../utils/tokenStatus.js";
+import {ALL_SCOPES, SCOPES, tokenScopes} from "../utils/scopes.js";
+import {consumeOAuthState, createOAuthState, createPkcePair, getOAuthClient} from "../utils/oauth.js";
+import {resolveSandbox} from "../utils/sandboxes.js";
+import {describeError} from "../middleware/error.js";
+import {errorTypeUri} from "../utils/errorCatalog.js";
 
 const router = express.Router();
-const REDEEM_RELYING_PARTY = "https://b980a380.minecraft.playfabapi.com/";
+
+const targetsSchema = Joi.array().items(Joi.string().valid(...TOKEN_TARGETS)).min(1).unique();
+const sandboxSchema = Joi.string().pattern(/^[A-Za-z0-9.]{1,32}$/);
+
+function assertVaultEnabled(useVault) {
+    if (useVault && !env.TOKEN_VAULT_ENABLED) throw badRequest("Token vault is disabled on this server");
+}
+
+function assertResponseMode({vault, bundle}) {
+    assertVaultEnabled(vault);
+    if (bundle && !isTokenBundleEnabled()) throw badRequest("Encrypted token bundles are disabled on this server");
+    if (bundle && vault) throw badRequest("vault and bundle cannot be combined");
+}
+
+function assertSessionsEnabled() {
+    if (!isAuthSessionsEnabled()) throw badRequest("Session tracking is disabled on this server");
+}
+
+function resumeAuthSession(req, {xuid, gamertag, sid}) {
+    if (!isAuthSessionsEnabled()) return null;
+    const current = getAuthSession(req.user?.sess);
+    if (!current || current.xuid !== xuid) return openAuthSession({xuid, gamertag, sid}, req);
+    revokeToken(req.user.jti, req.user.exp);
+    if (sid) current.sid = sid;
+    return current;
+}
+
+function issueAuthResponse(req, data, {vault, sid, bundle} = {}) {
+    const vaultSession = sid ? updateVaultSession(sid, data) : vault ? createVaultSession(data) : null;
+    const claims = {xuid: data.xuid, gamertag: data.gamertag, scope: ALL_SCOPES.join(" "), auth_time: Math.floor(Date.now() / 1000)};
+    if (data.sandbox) claims.sandbox = data.sandbox;
+    if (vaultSession) claims.sid = vaultSession.id;
+    const session = resumeAuthSession(req, claims);
+    if (session) claims.sess = session.id;
+    const jwtToken = signJwt(claims);
+    req.res.locals.audit = {xuid: data.xuid, gamertag: data.gamertag, details: {session: claims.sess, mode: vaultSession ? "vault" : bundle ? "bundle" : "tokens"}};
+    if (vaultSession) return buildVaultAuthResponse({...data, jwtToken}, vaultSession);
+    if (bundle) return buildBundleAuthResponse({...data, jwtToken}, sealTokenBundle(data));
+    return buildAuthCallbackResponse({...data, jwtToken});
+}
+
+function describeAccount(account, primary) {
+    return {
+        xuid: account.xuid,
+        gamertag: account.gamertag,
+        primary,
+        vault: Boolean(account.sid),
+        linkedAt: account.linkedAt ? new Date(account.linkedAt).toISOString() : undefined
+    };
+}
+
+function currentAuthSession(req) {
+    assertSessionsEnabled();
+    const session = getAuthSession(req.user.sess);
+    if (!session) throw unauthorized("This token is not bound to a session, sign in again");
+    return session;
+}
+
+function describeSession(session, currentId) {
+    return {
+        id: session.id,
+        current: session.id === currentId,
+        gamertag: session.gamertag,
+        vault: Boolean(session.sid),
+        linkedAccounts: Object.keys(session.accounts || {}),
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: new Date(session.createdAt).toISOString(),
+        lastSeenAt: new Date(session.lastSeenAt).toISOString(),
+        expiresAt: new Date(session.expiresAt).toISOString()
+    };
+}
+
+function openEventStream(req, res) {
+    const controller = new AbortController();
+    req.on("close", () => controller.abort());
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"
+    });
+    const send = (event, data) => {
+        if (controller.signal.aborted) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        res.flush?.();
+    };
+    return {send, signal: controller.signal};
+}
 
 /**
  * @swagger
@@ -32,11 +131,105 @@ const REDEEM_RELYING_PARTY = "https://b980a380.minecraft.playfabapi.com/";
  *             schema:
  *               $ref: '#/components/schemas/AuthDeviceResponse'
  */
-router.get("/device", authLimiter, asyncHandler(async (_req, res) => {
+router.get("/device", audit("auth.device_code"), authLimiter, asyncHandler(async (_req, res) => {
     const deviceData = await requestDeviceCode(env.CLIENT_ID);
     res.json(deviceData);
 }));
 
+/**
+ * @swagger
+ * /auth/device/stream:
+ *   get:
+ *     summary: Run the device-code sign-in as a Server-Sent Events stream
+ *     description: >
+ *       Starts the device-code flow and keeps the connection open while the server polls Microsoft at the
+ *       issued `interval`, so clients do not have to poll `/auth/callback` themselves. Events:
+ *       - `code` – the device code payload (same as `/auth/device`)
+ *       - `pending` – the user has not finished signing in yet
+ *       - `slow_down` – Microsoft asked for a longer polling interval (new `interval` in seconds)
+ *       - `expired` – the device code expired or was declined; the stream ends
+ *       - `completed` – sign-in finished, `data` is the `/auth/callback` response; the stream ends
+ *       - `error` – any other failure; the stream ends
+ *       `expired` and `error` carry `{code, message, status, type, details}`, where `code` is listed in `GET /errors`
+ *       and `type` links to its catalog entry.
+ *       Polling stops as soon as the client disconnects.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: vault
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Keep the resulting token bundle server-side (requires `TOKEN_VAULT_ENABLED=true`)
+ *       - in: query
+ *         name: bundle
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Return the tokens as one encrypted `bundle` (requires `TOKEN_BUNDLE_KEY`)
+ *       - in: query
+ *         name: targets
+ *         style: form
+ *         explode: true
+ *         schema:
+ *           $ref: '#/components/schemas/TokenTargets'
+ *         description: Token legs to mint, repeat the parameter for several (same as `targets` on `/auth/callback`)
+ *       - in: query
+ *         name: sandbox
+ *         schema:
+ *           $ref: '#/components/schemas/XstsSandbox'
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 event: code
+ *                 data: {"user_code":"ABCD1234","device_code":"...","verification_uri":"https://www.microsoft.com/link","expires_in":900,"interval":5}
+ *
+ *                 event: pending
+ *                 data: {"interval":5}
+ *       400:
+ *         description: Invalid query or token vault disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/device/stream", audit("auth.device_stream"), authLimiter, asyncHandler(async (req, res) => {
+    const schema = Joi.object({
+        vault: Joi.boolean().default(false), bundle: Joi.boolean().default(false), targets: targetsSchema.single(), sandbox: sandboxSchema
+    });
+    const {value, error} = schema.validate(req.query);
+    if (error) throw badRequest(error.message);
+    assertResponseMode(value);
+    const sandbox = resolveSandbox(value.sandbox);
+
+    const deviceData = await requestDeviceCode(env.CLIENT_ID);
+    const {send, signal} = openEventStream(req, res);
+    send("code", deviceData);
+
+    try {
+        const tokenData = await pollTokenFromDeviceCode(env.CLIENT_ID, deviceData, {signal, onStatus: send});
+        if (tokenData) {
+            const bundle = await mintTokenBundle(tokenData, undefined, value.targets, sandbox);
+            send("completed", issueAuthResponse(req, bundle, {vault: value.vault, bundle: value.bundle}));
+        } else {
+            res.locals.audit = {outcome: "cancelled"};
+        }
+    } catch (err) {
+        const {status, code, message, details} = describeError(err);
+        const expired = code === "DEVICE_CODE_EXPIRED" || code === "AUTHORIZATION_DECLINED";
+        const body = {code, message, status, type: errorTypeUri(code)};
+        if (details) body.details = details;
+        res.locals.audit = {outcome: "failure", error: {code, message}};
+        send(expired ? "expired" : "error", body);
+    }
+    res.end();
+}));
+
 /**
  * @swagger
  * /auth/callback:
@@ -49,6 +242,8 @@ router.get("/device", authLimiter, asyncHandler(async (_req, res) => {
  *       - a PlayFab SessionTicket
  *       - a Minecraft multiplayer token (MCToken)
  *       and convenience headers like `xboxliveToken`, `playfabToken`, `redeemToken`.
+ *       Pass `targets` to mint only some legs. A failing leg other than `xbox` does not fail the
+ *       request; it is reported under `errors.<leg>` and the remaining tokens are still returned.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -61,13 +256,32 @@ router.get("/device", authLimiter, asyncHandler(async (_req, res) => {
  *               device_code:
  *                 type: string
  *                 description: Device code returned by /auth/device
+ *               vault:
+ *                 type: boolean
+ *                 default: false
+ *                 description: >
+ *                   Keep the token bundle server-side (requires `TOKEN_VAULT_ENABLED=true`). The response then
+ *                   only contains the JWT, which routes use to resolve Xbox / PlayFab / Minecraft tokens.
+ *               bundle:
+ *                 type: boolean
+ *                 default: false
+ *                 description: >
+ *                   Return every token as one encrypted blob (`bundle`, a JWE readable only by this server; requires
+ *                   `TOKEN_BUNDLE_KEY`). Send it back as `X-Token-Bundle` instead of the individual token headers.
+ *               targets:
+ *                 $ref: '#/components/schemas/TokenTargets'
+ *               sandbox:
+ *                 $ref: '#/components/schemas/XstsSandbox'
  *     responses:
  *       200:
  *         description: Tokens successfully issued
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthCallbackResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthCallbackResponse'
+ *                 - $ref: '#/components/schemas/AuthVaultResponse'
+ *                 - $ref: '#/components/schemas/AuthBundleResponse'
  *       400:
  *         description: Authorization pending or invalid device_code
  *         content:
@@ -75,62 +289,237 @@ router.get("/device", authLimiter, asyncHandler(async (_req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post("/callback", authLimiter, asyncHandler(async (req, res) => {
-    const schema = Joi.object({device_code: Joi.string().required()});
+router.post("/callback", audit("auth.callback"), authLimiter, asyncHandler(async (req, res) => {
+    const schema = Joi.object({
+        device_code: Joi.string().required(),
+        vault: Joi.boolean().default(false),
+        bundle: Joi.boolean().default(false),
+        targets: targetsSchema,
+        sandbox: sandboxSchema
+    });
     const {value, error} = schema.validate(req.body);
     if (error) throw badRequest(error.message);
+    assertResponseMode(value);
+    const sandbox = resolveSandbox(value.sandbox);
 
-    const titleId = env.PLAYFAB_TITLE_ID || "20ca2";
     const tokenData = await getTokenFromDeviceCode(env.CLIENT_ID, value.device_code);
+    const bundle = await mintTokenBundle(tokenData, undefined, value.targets, sandbox);
 
-    const msAccessToken = tokenData.access_token;
-    const msRefreshToken = tokenData.refresh_token;
-    const msExpiresIn = tokenData.expires_in;
-
-    const xblToken = await getXBLToken(msAccessToken);
-
-    const xboxTokenInfo = await getXSTSToken(xblToken, "http://xboxlive.com");
-    const redeemTokenInfo = await getXSTSToken(xblToken, REDEEM_RELYING_PARTY);
-    const playfabTokenInfo = await getXSTSToken(xblToken, "rp://playfabapi.com/");
-
-    const xboxUserInfo = xboxTokenInfo.DisplayClaims?.xui?.[0] || {};
-    const {xid, uhs, gtg} = xboxUserInfo;
-
-    const xboxliveToken = `XBL3.0 x=${uhs};${xboxTokenInfo.Token}`;
-    const redeemToken = `XBL3.0 x=${uhs};${redeemTokenInfo.Token}`;
-    const playfabToken = `XBL3.0 x=${uhs};${playfabTokenInfo.Token}`;
-
-    const {SessionTicket, PlayFabId} = await loginWithXbox(playfabToken, titleId);
-    const mcToken = await getMCToken(SessionTicket);
-    const entityData = await getEntityToken(SessionTicket);
-    const masterEntityData = PlayFabId ? await getEntityToken(SessionTicket, {
-        Type: "master_player_account", Id: PlayFabId
-    }) : null;
-    const jwtToken = signJwt({xuid: xid, gamertag: gtg});
-
-    res.json(buildAuthCallbackResponse({
-        jwtToken,
-        xuid: xid,
-        gamertag: gtg,
-        uhs,
-        msAccessToken,
-        msRefreshToken,
-        msExpiresIn,
-        xblToken,
-        xsts: {xbox: xboxTokenInfo, redeem: redeemTokenInfo, playfab: playfabTokenInfo},
-        xboxliveToken,
-        playfabToken,
-        redeemToken,
-        mcToken,
-        sessionTicket: SessionTicket,
-        playFabId: PlayFabId,
-        entityToken: entityData.EntityToken,
-        entityTokenExpiresOn: entityData.TokenExpiration,
-        entityTokenMaster: masterEntityData?.EntityToken,
-        entityTokenMasterExpiresOn: masterEntityData?.TokenExpiration
-    }));
+    res.json(issueAuthResponse(req, bundle, {vault: value.vault, bundle: value.bundle}));
 }));
 
+/**
+ * @swagger
+ * /auth/authorize:
+ *   get:
+ *     summary: Start a browser sign-in (authorization code + PKCE)
+ *     description: >
+ *       Builds the login.live.com authorization URL for a configured OAuth client (`OAUTH_CLIENTS_JSON`) with a
+ *       one-time `state` and a PKCE challenge. Send the browser to `url` (or pass `redirect=true` to get a 302).
+ *       Microsoft redirects back to `redirect_uri` with `code` and `state`, which the frontend then passes to
+ *       `/auth/oauth/callback`. The state is valid for `OAUTH_STATE_TTL_MS` and can be used once.
+ *     tags: [Auth]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *         description: OAuth client name from `OAUTH_CLIENTS_JSON` (optional when only one is configured)
+ *       - in: query
+ *         name: redirect_uri
+ *         schema:
+ *           type: string
+ *         description: One of the client's `redirectUris` (defaults to the first)
+ *       - in: query
+ *         name: prompt
+ *         schema:
+ *           type: string
+ *           enum: [login, select_account, consent, none]
+ *       - in: query
+ *         name: vault
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: bundle
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: targets
+ *         style: form
+ *         explode: true
+ *         schema:
+ *           $ref: '#/components/schemas/TokenTargets'
+ *       - in: query
+ *         name: sandbox
+ *         schema:
+ *           $ref: '#/components/schemas/XstsSandbox'
+ *       - in: query
+ *         name: redirect
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Respond with a 302 to the authorization URL instead of JSON
+ *     responses:
+ *       200:
+ *         description: Authorization URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                 state:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: integer
+ *       302:
+ *         description: Redirect to login.live.com (with `redirect=true`)
+ *       400:
+ *         description: Unknown client or redirect_uri
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/authorize", authLimiter, asyncHandler(async (req, res) => {
+    const schema = Joi.object({
+        client: Joi.string(),
+        redirect_uri: Joi.string().uri(),
+        prompt: Joi.string().valid("login", "select_account", "consent", "none"),
+        vault: Joi.boolean().default(false),
+        bundle: Joi.boolean().default(false),
+        targets: targetsSchema.single(),
+        sandbox: sandboxSchema,
+        redirect: Joi.boolean().default(false)
+    });
+    const {value, error} = schema.validate(req.query);
+    if (error) throw badRequest(error.message);
+    assertResponseMode(value);
+    const sandbox = resolveSandbox(value.sandbox);
+
+    const client = getOAuthClient(value.client);
+    if (!client) throw badRequest(value.client ? `Unknown OAuth client: ${value.client}` : "client is required");
+    const redirectUri = value.redirect_uri || client.redirectUris[0];
+    if (!client.redirectUris.includes(redirectUri)) throw badRequest(`redirect_uri is not registered for client ${client.name}`);
+
+    const pkce = createPkcePair();
+    const state = createOAuthState({
+        client: client.name, redirectUri, codeVerifier: pkce.verifier, vault: value.vault, bundle: value.bundle, targets: value.targets, sandbox
+    });
+    const url = buildAuthorizeUrl({
+        clientId: client.clientId, redirectUri, state, codeChallenge: pkce.challenge, prompt: value.prompt
+    });
+    if (value.redirect) return res.redirect(url);
+    res.json({url, state, expiresIn: Math.floor(env.OAUTH_STATE_TTL_MS / 1000)});
+}));
+
+/**
+ * @swagger
+ * /auth/oauth/callback:
+ *   get:
+ *     summary: Complete a browser sign-in (authorization code + PKCE)
+ *     description: >
+ *       Validates the one-time `state` from `/auth/authorize`, exchanges `code` with the stored PKCE verifier and
+ *       runs the same Xbox / PlayFab / Minecraft chain as `/auth/callback` (honouring the `vault` and `targets`
+ *       chosen at `/auth/authorize`). Accepts the parameters Microsoft appended to the redirect as query
+ *       string (GET) or JSON body (POST).
+ *     tags: [Auth]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: error
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: error_description
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tokens successfully issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthCallbackResponse'
+ *                 - $ref: '#/components/schemas/AuthVaultResponse'
+ *                 - $ref: '#/components/schemas/AuthBundleResponse'
+ *       400:
+ *         description: Invalid or expired state, declined sign-in or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   post:
+ *     summary: Complete a browser sign-in (JSON body)
+ *     description: Same as the GET variant with `code` and `state` in a JSON body.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [state]
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens successfully issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthCallbackResponse'
+ *                 - $ref: '#/components/schemas/AuthVaultResponse'
+ *                 - $ref: '#/components/schemas/AuthBundleResponse'
+ */
+const oauthCallback = asyncHandler(async (req, res) => {
+    const schema = Joi.object({
+        code: Joi.string(),
+        state: Joi.string().required(),
+        error: Joi.string(),
+        error_description: Joi.string()
+    }).unknown(true);
+    const {value, error} = schema.validate(req.method === "GET" ? req.query : req.body || {});
+    if (error) throw badRequest(error.message);
+
+    const pending = consumeOAuthState(value.state);
+    if (!pending) throw badRequest("Invalid or expired state, start again at /auth/authorize");
+    if (value.error) {
+        const code = value.error === "access_denied" ? "AUTHORIZATION_DECLINED" : "AUTHORIZATION_FAILED";
+        throw new HttpError(400, `Sign-in failed: ${value.error}`, value.error_description, code);
+    }
+    if (!value.code) throw badRequest("code is required");
+
+    const client = getOAuthClient(pending.client);
+    if (!client) throw badRequest(`Unknown OAuth client: ${pending.client}`);
+    const tokenData = await getTokenFromAuthCode(client.clientId, value.code, pending.redirectUri, pending.codeVerifier);
+    const bundle = await mintTokenBundle(tokenData, undefined, pending.targets, pending.sandbox);
+
+    res.json(issueAuthResponse(req, bundle, {vault: pending.vault, bundle: pending.bundle}));
+});
+
+router.get("/oauth/callback", audit("auth.oauth_callback"), authLimiter, oauthCallback);
+router.post("/oauth/callback", audit("auth.oauth_callback"), authLimiter, oauthCallback);
+
 /**
  * @swagger
  * /auth/refresh:
@@ -140,86 +529,81 @@ router.post("/callback", authLimiter, asyncHandler(async (req, res) => {
  *       Uses a previously issued Microsoft OAuth refresh token (`msRefreshToken`) to obtain a new
  *       Microsoft access token and then re-derives Xbox Live, PlayFab and Minecraft tokens,
  *       similar to `/auth/callback` but without requiring the device-code flow again.
+ *       When called with a vault-backed JWT, the stored refresh token is used and the vault session
+ *       is updated in place. With an `X-Token-Bundle` header, the bundle's refresh token is used and a new
+ *       bundle is returned.
  *     tags: [Auth]
+ *     security:
+ *       - {}
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TokenBundle'
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [msRefreshToken]
  *             properties:
  *               msRefreshToken:
  *                 type: string
- *                 description: Microsoft OAuth refresh_token from a previous /auth/callback
+ *                 description: Microsoft OAuth refresh_token from a previous /auth/callback (optional with a vault-backed JWT)
+ *               vault:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Store the refreshed bundle in a new token vault session
+ *               bundle:
+ *                 type: boolean
+ *                 description: Return an encrypted token bundle (defaults to `true` when `X-Token-Bundle` is sent)
+ *               targets:
+ *                 $ref: '#/components/schemas/TokenTargets'
+ *               sandbox:
+ *                 $ref: '#/components/schemas/XstsSandbox'
  *     responses:
  *       200:
  *         description: Tokens successfully refreshed
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthCallbackResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthCallbackResponse'
+ *                 - $ref: '#/components/schemas/AuthVaultResponse'
+ *                 - $ref: '#/components/schemas/AuthBundleResponse'
  *       400:
  *         description: Invalid refresh token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: The refresh token signs in a different Xbox account than the vault JWT
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post("/refresh", authLimiter, asyncHandler(async (req, res) => {
-    const schema = Joi.object({msRefreshToken: Joi.string().required()});
-    const {value, error} = schema.validate(req.body);
+router.post("/refresh", audit("auth.refresh"), authLimiter, optionalJwtMiddleware, asyncHandler(async (req, res) => {
+    const schema = Joi.object({
+        msRefreshToken: Joi.string(), vault: Joi.boolean().default(false), bundle: Joi.boolean(), targets: targetsSchema, sandbox: sandboxSchema
+    });
+    const {value, error} = schema.validate(req.body || {});
     if (error) throw badRequest(error.message);
+    if (req.user?.parent) throw forbidden("Down-scoped JWTs cannot refresh the sign-in");
+
+    const session = vaultSessionFor(req);
+    const sealed = tokenBundleFor(req);
+    const useBundle = value.bundle ?? (Boolean(sealed) && !value.vault);
+    assertResponseMode({vault: value.vault, bundle: useBundle});
+    const previousRefreshToken = value.msRefreshToken || sealed?.msRefreshToken || session?.msRefreshToken;
+    if (!previousRefreshToken) throw badRequest("msRefreshToken is required");
+    const sandbox = resolveSandbox(value.sandbox || sealed?.sandbox || session?.sandbox || req.user?.sandbox);
 
-    const titleId = env.PLAYFAB_TITLE_ID || "20ca2";
-    const tokenData = await refreshMsToken(env.CLIENT_ID, value.msRefreshToken);
-
-    const msAccessToken = tokenData.access_token;
-    const msRefreshToken = tokenData.refresh_token || value.msRefreshToken;
-    const msExpiresIn = tokenData.expires_in;
-
-    const xblToken = await getXBLToken(msAccessToken);
-
-    const xboxTokenInfo = await getXSTSToken(xblToken, "http://xboxlive.com");
-    const redeemTokenInfo = await getXSTSToken(xblToken, REDEEM_RELYING_PARTY);
-    const playfabTokenInfo = await getXSTSToken(xblToken, "rp://playfabapi.com/");
-
-    const xboxUserInfo = xboxTokenInfo.DisplayClaims?.xui?.[0] || {};
-    const {xid, uhs, gtg} = xboxUserInfo;
-
-    const xboxliveToken = `XBL3.0 x=${uhs};${xboxTokenInfo.Token}`;
-    const redeemToken = `XBL3.0 x=${uhs};${redeemTokenInfo.Token}`;
-    const playfabToken = `XBL3.0 x=${uhs};${playfabTokenInfo.Token}`;
-
-    const {SessionTicket, PlayFabId} = await loginWithXbox(playfabToken, titleId);
-    const mcToken = await getMCToken(SessionTicket);
-    const entityData = await getEntityToken(SessionTicket);
-    const masterEntityData = PlayFabId ? await getEntityToken(SessionTicket, {
-        Type: "master_player_account", Id: PlayFabId
-    }) : null;
-    const jwtToken = signJwt({xuid: xid, gamertag: gtg});
-
-    res.json(buildAuthCallbackResponse({
-        jwtToken,
-        xuid: xid,
-        gamertag: gtg,
-        uhs,
-        msAccessToken,
-        msRefreshToken,
-        msExpiresIn,
-        xblToken,
-        xsts: {xbox: xboxTokenInfo, redeem: redeemTokenInfo, playfab: playfabTokenInfo},
-        xboxliveToken,
-        playfabToken,
-        redeemToken,
-        mcToken,
-        sessionTicket: SessionTicket,
-        playFabId: PlayFabId,
-        entityToken: entityData.EntityToken,
-        entityTokenExpiresOn: entityData.TokenExpiration,
-        entityTokenMaster: masterEntityData?.EntityToken,
-        entityTokenMasterExpiresOn: masterEntityData?.TokenExpiration
-    }));
+    const tokenData = await refreshMsToken(env.CLIENT_ID, previousRefreshToken);
+    const bundle = await mintTokenBundle(tokenData, previousRefreshToken, value.targets, sandbox);
+
+    const sid = session && !useBundle ? req.user.sid : undefined;
+    if (sid && bundle.xuid !== req.user.xuid) throw forbidden("msRefreshToken belongs to a different Xbox account than this vault session");
+    res.json(issueAuthResponse(req, bundle, {vault: value.vault, sid, bundle: useBundle}));
 }));
 
 /**
@@ -241,24 +625,424 @@ router.get("/whoami", jwtMiddleware, asyncHandler(async (req, res) => {
     res.json({user: req.user});
 }));
 
+/**
+ * @swagger
+ * /auth/status:
+ *   get:
+ *     summary: Report expiry of the vault or bundle tokens
+ *     description: >
+ *       Reports, per token, its type, issuer / relying party, expiry, seconds remaining and whether it should be
+ *       refreshed now (expires within `TOKEN_RENEWAL_SKEW_MS`). Token contents are never returned. Uses the
+ *       `X-Token-Bundle` header if present, otherwise the token vault of the Bearer JWT. Expiry is `null` for
+ *       opaque tokens whose lifetime is not known (e.g. `msRefreshToken`).
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - $ref: '#/components/parameters/TokenBundle'
+ *     responses:
+ *       200:
+ *         description: Token status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenStatusResponse'
+ *       400:
+ *         description: No tokens to inspect
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   post:
+ *     summary: Report expiry of the tokens in a callback payload
+ *     description: >
+ *       Same as the GET variant for clients that hold the tokens themselves: send the `/auth/callback` response
+ *       (or `{"callback": {...}}`) as the body. An empty body falls back to `X-Token-Bundle` or the vault.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AuthCallbackResponse'
+ *     responses:
+ *       200:
+ *         description: Token status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenStatusResponse'
+ */
+const tokenStatus = asyncHandler(async (req, res) => {
+    const {value, error} = Joi.object({callback: Joi.object().unknown(true)}).unknown(true).validate(req.body || {});
+    if (error) throw badRequest(error.message);
+    const posted = value.callback || value;
+
+    let source;
+    let bundle;
+    if (Object.keys(posted).length) {
+        source = "body";
+        bundle = posted;
+    } else if (tokenBundleFor(req)) {
+        source = "bundle";
+        bundle = tokenBundleFor(req);
+    } else if (req.user?.sid) {
+        source = "vault";
+        bundle = vaultSessionFor(req);
+    } else {
+        throw badRequest("Send the callback payload, an X-Token-Bundle header or a vault-backed JWT");
+    }
+
+    const {tokens, needsRefresh} = describeTokenStatus(bundle, {skewMs: env.TOKEN_RENEWAL_SKEW_MS});
+    res.json({
+        source,
+        xuid: bundle.xuid || req.user?.xuid,
+        gamertag: bundle.gamertag || req.user?.gamertag,
+        checkedAt: new Date().toISOString(),
+        refreshSkewSeconds: Math.floor(env.TOKEN_RENEWAL_SKEW_MS / 1000),
+        needsRefresh,
+        tokens
+    });
+});
+
+router.get("/status", optionalJwtMiddleware, tokenStatus);
+router.post("/status", optionalJwtMiddleware, tokenStatus);
+
 /**
  * @swagger
  * /auth/jwt/refresh:
  *   post:
  *     summary: Refresh API JWT while the current token is still valid
  *     description: >
- *       Issues a new short-lived API JWT for the same Xbox user as the current token.
- *       This endpoint can only be called while the existing JWT is still valid.
+ *       Issues a new short-lived API JWT for the same Xbox user and session as the current token and
+ *       revokes the current one. Refreshing cannot outlive the sign-in (`auth_time` + `AUTH_SESSION_MAX_AGE_MS`).
  *     tags: [Auth]
  *     security: [{BearerAuth: []}]
  *     responses:
  *       200:
  *         description: New JWT issued successfully
+ *       401:
+ *         description: Token revoked, sign-in too old, session ended, or token not bound to a session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/jwt/refresh", audit("jwt.refresh"), jwtMiddleware, asyncHandler(async (req, res) => {
+    const {xuid, gamertag, sid, sess, scope, sandbox, parent, jti, exp, auth_time: authTime} = req.user;
+    if (parent) throw forbidden("Down-scoped JWTs cannot be refreshed, mint a new one");
+    if (isAuthSessionsEnabled() && !sess) throw unauthorized("This token is not bound to a session, sign in again");
+    if (!authTime || authTime * 1000 + env.AUTH_SESSION_MAX_AGE_MS <= Date.now()) throw unauthorized("The sign-in is too old to refresh, sign in again");
+    if (sid) vaultSessionFor(req);
+    revokeToken(jti, exp);
+    const claims = {xuid, gamertag, auth_time: authTime};
+    if (sess) claims.sess = sess;
+    if (scope) claims.scope = scope;
+    if (sandbox) claims.sandbox = sandbox;
+    if (sid) claims.sid = sid;
+    res.json({jwt: signJwt(claims), expiresIn: env.JWT_EXPIRES_IN || "1h"});
+}));
+
+/**
+ * @swagger
+ * /auth/jwt/scoped:
+ *   post:
+ *     summary: Mint a down-scoped, short-lived JWT
+ *     description: >
+ *       Issues a JWT for the same Xbox user that only carries a subset of the current token's scopes, e.g. a
+ *       read-only token for a third-party widget. It expires after `expiresIn` seconds (capped by
+ *       `SCOPED_JWT_MAX_EXPIRES_IN` and by the current token's own expiry), cannot be refreshed and ends with
+ *       the sign-in session it was minted from. See `GET /auth/scopes` for the available scopes.
+ *     tags: [Auth]
+ *     security: [{BearerAuth: []}]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [scopes]
+ *             properties:
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["profile:read", "inventory:read"]
+ *               expiresIn:
+ *                 type: integer
+ *                 description: Lifetime in seconds (defaults to `SCOPED_JWT_EXPIRES_IN`)
+ *     responses:
+ *       200:
+ *         description: Down-scoped JWT issued
+ *       403:
+ *         description: Requested a scope the current token does not have
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/jwt/scoped", audit("jwt.scoped"), jwtMiddleware, asyncHandler(async (req, res) => {
+    const schema = Joi.object({
+        scopes: Joi.array().items(Joi.string().valid(...ALL_SCOPES)).min(1).unique().required(),
+        expiresIn: Joi.number().integer().min(60).max(env.SCOPED_JWT_MAX_EXPIRES_IN).default(env.SCOPED_JWT_EXPIRES_IN)
+    });
+    const {value, error} = schema.validate(req.body || {});
+    if (error) throw badRequest(error.message);
+
+    const granted = tokenScopes(req.user);
+    const denied = value.scopes.filter(scope => !granted.includes(scope));
+    if (denied.length) throw forbidden(`Cannot grant scopes the current JWT does not have: ${denied.join(", ")}`);
+
+    const {xuid, gamertag, sandbox, sid, sess, jti, exp, auth_time: authTime} = req.user;
+    const expiresIn = exp ? Math.min(value.expiresIn, exp - Math.floor(Date.now() / 1000)) : value.expiresIn;
+    const claims = {xuid, gamertag, scope: value.scopes.join(" "), parent: req.user.parent || jti};
+    if (authTime) claims.auth_time = authTime;
+    if (sandbox) claims.sandbox = sandbox;
+    if (sess) claims.sess = sess;
+    if (sid) claims.sid = sid;
+    res.json({jwt: signJwt(claims, expiresIn), scopes: value.scopes, expiresIn});
+}));
+
+/**
+ * @swagger
+ * /auth/scopes:
+ *   get:
+ *     summary: List JWT scopes
+ *     description: All scopes a JWT can carry, with what they unlock. Sign-in JWTs carry every scope.
+ *     tags: [Auth]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Scope catalog
+ */
+router.get("/scopes", (_req, res) => res.json({scopes: SCOPES}));
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Revoke the current JWT and end its session
+ *     description: >
+ *       Revokes the presented JWT and drops its token vault entry, if any. With `AUTH_SESSIONS_ENABLED` it also
+ *       ends the sign-in session it belongs to, so every JWT refreshed from it stops working. Down-scoped JWTs
+ *       only revoke themselves.
+ *     tags: [Auth]
+ *     security: [{BearerAuth: []}]
+ *     responses:
+ *       200:
+ *         description: Logged out
+ */
+router.post("/logout", audit("auth.logout"), jwtMiddleware, asyncHandler(async (req, res) => {
+    revokeToken(req.user.jti, req.user.exp);
+    if (!req.user.parent) {
+        closeAuthSession(req.user.sess);
+        deleteVaultSession(req.user.sid);
+    }
+    res.json({loggedOut: true});
+}));
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List active sign-in sessions for the current Xbox user
+ *     description: Requires `AUTH_SESSIONS_ENABLED`; returns `400` otherwise.
+ *     tags: [Auth]
+ *     security: [{BearerAuth: []}]
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuthSession'
+ *   delete:
+ *     summary: End every other session of the current Xbox user
+ *     description: Ends all sessions except the one the presented JWT belongs to. Use `/auth/logout` for the current one.
+ *     tags: [Auth]
+ *     security: [{BearerAuth: []}]
+ *     responses:
+ *       200:
+ *         description: Number of sessions ended
+ */
+router.get("/sessions", requireScope("sessions:manage"), asyncHandler(async (req, res) => {
+    assertSessionsEnabled();
+    const sessions = listAuthSessions(req.user.xuid).map(s => describeSession(s, req.user.sess));
+    res.json({count: sessions.length, sessions});
+}));
+
+router.delete("/sessions", requireScope("sessions:manage"), asyncHandler(async (req, res) => {
+    assertSessionsEnabled();
+    const others = listAuthSessions(req.user.xuid).filter(s => s.id !== req.user.sess);
+    for (const session of others) closeAuthSession(session.id);
+    res.json({revoked: others.length});
+}));
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: End one session of the current Xbox user
+ *     tags: [Auth]
+ *     security: [{BearerAuth: []}]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session ended
+ *       404:
+ *         description: No such session for this user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete("/sessions/:id", requireScope("sessions:manage"), asyncHandler(async (req, res) => {
+    assertSessionsEnabled();
+    const session = getAuthSession(req.params.id);
+    if (!session || session.xuid !== req.user.xuid) throw notFound("Session not found");
+    closeAuthSession(session.id);
+    res.json({revoked: 1});
+}));
+
+/**
+ * @swagger
+ * /auth/accounts:
+ *   get:
+ *     summary: List the Xbox accounts of the current session
+ *     description: >
+ *       The primary account (the one the JWT was issued for) plus every account linked through
+ *       `POST /auth/accounts`. Send `X-Account-Xuid` on other routes to act on a linked account.
+ *     tags: [Auth]
+ *     security: [{BearerAuth: []}]
+ *     responses:
+ *       200:
+ *         description: Accounts of the session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 accounts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LinkedAccount'
+ *   post:
+ *     summary: Link another Xbox account to the current session
+ *     description: >
+ *       Completes a device-code sign-in (start it with `/auth/device`) for a second Xbox account and links it to
+ *       the current session. With `vault` (default: on when the current JWT is vault-backed) its tokens are kept
+ *       server-side and resolved whenever `X-Account-Xuid` selects it; otherwise they are returned in `tokens`.
+ *       Linking an already linked account replaces its tokens.
+ *     tags: [Auth]
+ *     security: [{BearerAuth: []}]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [device_code]
+ *             properties:
+ *               device_code:
+ *                 type: string
+ *               vault:
+ *                 type: boolean
+ *               targets:
+ *                 $ref: '#/components/schemas/TokenTargets'
+ *               sandbox:
+ *                 $ref: '#/components/schemas/XstsSandbox'
+ *     responses:
+ *       200:
+ *         description: Account linked
+ *       409:
+ *         description: The device code signed in the session's primary account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/accounts", requireScope("sessions:manage"), asyncHandler(async (req, res) => {
+    const session = currentAuthSession(req);
+    const accounts = [
+        describeAccount({xuid: req.user.xuid, gamertag: req.user.gamertag, sid: req.user.sid, linkedAt: session.createdAt}, true),
+        ...Object.values(session.accounts || {}).map(account => describeAccount(account, false))
+    ];
+    res.json({count: accounts.length, accounts});
+}));
+
+router.post("/accounts", audit("auth.account_link"), authLimiter, requireScope("sessions:manage"), asyncHandler(async (req, res) => {
+    const schema = Joi.object({device_code: Joi.string().required(), vault: Joi.boolean(), targets: targetsSchema, sandbox: sandboxSchema});
+    const {value, error} = schema.validate(req.body || {});
+    if (error) throw badRequest(error.message);
+    const useVault = value.vault ?? Boolean(req.user.sid);
+    assertVaultEnabled(useVault);
+    const sandbox = resolveSandbox(value.sandbox || req.user.sandbox);
+    const session = currentAuthSession(req);
+
+    const tokenData = await getTokenFromDeviceCode(env.CLIENT_ID, value.device_code);
+    const bundle = await mintTokenBundle(tokenData, undefined, value.targets, sandbox);
+    res.locals.audit = {details: {linkedXuid: bundle.xuid, linkedGamertag: bundle.gamertag}};
+    if (bundle.xuid === req.user.xuid) throw conflict("This Xbox account is already the session's primary account");
+
+    const existing = session.accounts?.[bundle.xuid];
+    let vaultSession = null;
+    if (useVault) vaultSession = (existing?.sid && updateVaultSession(existing.sid, bundle)) || createVaultSession(bundle);
+    const account = linkAccount(session.id, {xuid: bundle.xuid, gamertag: bundle.gamertag, sid: vaultSession?.id});
+
+    const body = {account: describeAccount(account, false)};
+    if (bundle.errors) body.errors = bundle.errors;
+    if (!vaultSession) body.tokens = buildAuthCallbackResponse(bundle);
+    res.json(body);
+}));
+
+/**
+ * @swagger
+ * /auth/accounts/{xuid}:
+ *   delete:
+ *     summary: Unlink an Xbox account from the current session
+ *     description: Removes a linked account and drops its vault tokens. The primary account cannot be unlinked; use `/auth/logout`.
+ *     tags: [Auth]
+ *     security: [{BearerAuth: []}]
+ *     parameters:
+ *       - in: path
+ *         name: xuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlinked
+ *       404:
+ *         description: Account is not linked to this session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post("/jwt/refresh", jwtMiddleware, asyncHandler(async (req, res) => {
-    const {xuid, gamertag} = req.user;
-    const jwt = signJwt({xuid, gamertag});
-    res.json({jwt, expiresIn: env.JWT_EXPIRES_IN || "1h"});
+router.delete("/accounts/:xuid", requireScope("sessions:manage"), asyncHandler(async (req, res) => {
+    if (req.params.xuid === req.user.xuid) throw badRequest("The primary account cannot be unlinked, use /auth/logout");
+    const session = currentAuthSession(req);
+    const account = unlinkAccount(session.id, req.params.xuid);
+    if (!account) throw notFound("Account is not linked to this session");
+    res.json({unlinked: describeAccount(account, false)});
 }));
 
 export default router;
@@ -1,7 +1,8 @@
 import express from "express";
 import Joi from "joi";
-import {jwtMiddleware} from "../utils/jwt.js";
+import {jwtMiddleware, requireScope} from "../utils/jwt.js";
 import {asyncHandler} from "../utils/async.js";
+import {requireCredential, userXuid} from "../utils/credentials.js";
 import {getGameClips, getScreenshots} from "../services/xbox.service.js";
 import {badRequest} from "../utils/httpError.js";
 
@@ -28,9 +29,11 @@ const router = express.Router();
  *       - BearerAuth: []
  *       - XBLToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-xbl-token
- *         required: true
+ *         required: false
  *         schema: { type: string }
  *         description: Xbox Live XSTS token in XBL3.0 format
  *       - in: query
@@ -53,10 +56,9 @@ const router = express.Router();
  *       200:
  *         description: Page of game clips for the user
  */
-router.get("/clips", jwtMiddleware, asyncHandler(async (req, res) => {
-    const {xuid} = req.user;
-    const xboxliveToken = req.headers["x-xbl-token"];
-    if (!xboxliveToken) throw badRequest("Missing x-xbl-token header");
+router.get("/clips", jwtMiddleware, requireScope("captures:read"), asyncHandler(async (req, res) => {
+    const xuid = userXuid(req);
+    const xboxliveToken = requireCredential(req, "xboxliveToken");
     const schema = Joi.object({
         titleId: Joi.string().optional(),
         max: Joi.number().integer().min(1).max(100).default(24),
@@ -83,9 +85,11 @@ router.get("/clips", jwtMiddleware, asyncHandler(async (req, res) => {
  *       - BearerAuth: []
  *       - XBLToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-xbl-token
- *         required: true
+ *         required: false
  *         schema: { type: string }
  *       - in: query
  *         name: titleId
@@ -107,10 +111,9 @@ router.get("/clips", jwtMiddleware, asyncHandler(async (req, res) => {
  *       200:
  *         description: Page of screenshots for the user
  */
-router.get("/screenshots", jwtMiddleware, asyncHandler(async (req, res) => {
-    const {xuid} = req.user;
-    const xboxliveToken = req.headers["x-xbl-token"];
-    if (!xboxliveToken) throw badRequest("Missing x-xbl-token header");
+router.get("/screenshots", jwtMiddleware, requireScope("captures:read"), asyncHandler(async (req, res) => {
+    const xuid = userXuid(req);
+    const xboxliveToken = requireCredential(req, "xboxliveToken");
     const schema = Joi.object({
         titleId: Joi.string().optional(),
         max: Joi.number().integer().min(1).max(100).default(24),
@@ -4,6 +4,7 @@ import jwt from "jsonwebtoken";
 import {jwtMiddleware} from "../utils/jwt.js";
 import {asyncHandler} from "../utils/async.js";
 import {badRequest} from "../utils/httpError.js";
+import {redactValues} from "../utils/redact.js";
 
 const router = express.Router();
 
@@ -119,11 +120,10 @@ router.post("/decode-token", jwtMiddleware, asyncHandler(async (req, res) => {
     if (value.tokens && typeof value.tokens === "object") {
         const out = {};
         for (const [k, v] of Object.entries(value.tokens)) out[k] = decodeOne(v);
-        return res.json({ok: true, decoded: out});
+        return res.json(redactValues({ok: true, decoded: out}));
     }
     if (!value.token) throw badRequest("token or tokens is required");
-    const result = decodeOne(value.token);
-    res.json(result);
+    res.json(redactValues(decodeOne(value.token)));
 }));
 
 router.post("/decode-callback", jwtMiddleware, asyncHandler(async (req, res) => {
@@ -211,6 +211,11 @@ router.post("/decode-callback", jwtMiddleware, asyncHandler(async (req, res) =>
     add("entityToken", extracted.entityToken);
     add("entityTokenMaster", extracted.entityTokenMaster);
 
+    const relyingParties = {};
+    for (const [name, token] of Object.entries(bundle.relyingPartyTokens || {})) {
+        if (typeof token === "string" && token.trim()) relyingParties[name] = decodeOne(token);
+    }
+
     const user = {
         xuid: extracted.xuid || decoded.jwt?.payload?.xuid || get(bundle, "xsts.xbox.DisplayClaims.xui.0.xid") || null,
         gamertag: extracted.gamertag || decoded.jwt?.payload?.gamertag || get(bundle, "xsts.xbox.DisplayClaims.xui.0.gtg") || null,
@@ -218,7 +223,7 @@ router.post("/decode-callback", jwtMiddleware, asyncHandler(async (req, res) =>
         uhs: extracted.uhs || null
     };
 
-    res.json({user, decoded});
+    res.json(redactValues({user, decoded, relyingParties}));
 }));
 
 export default router;
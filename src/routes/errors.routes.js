@@ -0,0 +1,66 @@
+import express from "express";
+import {describeErrorCode, listErrorCodes} from "../utils/errorCatalog.js";
+import {notFound} from "../utils/httpError.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /errors:
+ *   get:
+ *     summary: Catalog of every error code the API can return
+ *     description: >
+ *       Lists each `code` with its HTTP status, a short title, what it means and what the client should do.
+ *       The `type` of an `application/problem+json` error links to the matching entry under `/errors/{code}`,
+ *       so SDKs can drive retries, re-logins and user messages from this data instead of hard-coding them.
+ *     tags: [Errors]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Error catalog
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ErrorCatalogEntry'
+ */
+router.get("/", (_req, res) => {
+    res.set("Cache-Control", "public, max-age=3600");
+    res.json({errors: listErrorCodes()});
+});
+
+/**
+ * @swagger
+ * /errors/{code}:
+ *   get:
+ *     summary: Describe a single error code
+ *     tags: [Errors]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ErrorCode'
+ *     responses:
+ *       200:
+ *         description: Catalog entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorCatalogEntry'
+ *       404:
+ *         $ref: '#/components/responses/Error'
+ */
+router.get("/:code", (req, res) => {
+    const entry = describeErrorCode(req.params.code.toUpperCase());
+    if (!entry) throw notFound(`Unknown error code ${req.params.code}`);
+    res.set("Cache-Control", "public, max-age=3600");
+    res.json(entry);
+});
+
+export default router;
@@ -1,4 +1,6 @@
 import express from "express";
+import {env} from "../config/env.js";
+import {describeBreakers} from "../utils/circuitBreaker.js";
 
 const router = express.Router();
 
@@ -25,14 +27,34 @@ router.get("/healthz", (_req, res) => res.json({ok: true}));
  *     summary: Readiness / startup probe
  *     description: >
  *       Readiness check used by orchestrators to decide whether traffic can be routed to this instance.
- *       Currently a simple `{ ready: true }` response without deep dependency checks.
- *       No authentication required.
+ *       Also reports the circuit breaker of every upstream host contacted so far. An open breaker marks the
+ *       instance `degraded` (requests to that host fail fast with `503 UPSTREAM_UNAVAILABLE`) but keeps it
+ *       ready, since every instance shares the same upstreams. No authentication required.
  *     tags: [Health]
  *     security: []   # overrides global BearerAuth
  *     responses:
  *       200:
  *         description: Service is ready to receive traffic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ready:
+ *                   type: boolean
+ *                 degraded:
+ *                   type: boolean
+ *                   description: At least one upstream circuit is open or half-open
+ *                 circuitBreakers:
+ *                   type: object
+ *                   description: Breaker per upstream host (empty when `CIRCUIT_BREAKER_ENABLED=false`)
+ *                   additionalProperties:
+ *                     $ref: '#/components/schemas/CircuitBreakerState'
  */
-router.get("/readyz", (_req, res) => res.json({ready: true}));
+router.get("/readyz", (_req, res) => {
+    const circuitBreakers = env.CIRCUIT_BREAKER_ENABLED ? describeBreakers() : {};
+    const degraded = Object.values(circuitBreakers).some(breaker => breaker.state !== "closed");
+    res.json({ready: true, degraded, circuitBreakers});
+});
 
 export default router;
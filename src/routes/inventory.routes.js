@@ -1,7 +1,8 @@
 import express from "express";
 import Joi from "joi";
-import {jwtMiddleware} from "../utils/jwt.js";
+import {jwtMiddleware, requireScope} from "../utils/jwt.js";
 import {asyncHandler} from "../utils/async.js";
+import {requireCredential} from "../utils/credentials.js";
 import {getEntityToken, getPlayFabInventory, loginWithXbox} from "../services/playfab.service.js";
 import {extractReceiptEntitlements, getMCBalances, getMCCapesPage, getMCInventory} from "../services/minecraft.service.js";
 import {badRequest} from "../utils/httpError.js";
@@ -21,13 +22,15 @@ const PLAYFAB_TEST_TITLE_ID = "e9d1";
  *     tags: [Inventory]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [sessionTicket]
  *             properties:
  *               sessionTicket:
  *                 type: string
@@ -47,19 +50,20 @@ const PLAYFAB_TEST_TITLE_ID = "e9d1";
  *       200:
  *         description: PlayFab inventory items for the chosen entity
  */
-router.post("/playfab", jwtMiddleware, asyncHandler(async (req, res) => {
+router.post("/playfab", jwtMiddleware, requireScope("inventory:read"), asyncHandler(async (req, res) => {
     const schema = Joi.object({
-        sessionTicket: Joi.string().required(),
+        sessionTicket: Joi.string(),
         playFabId: Joi.string().optional(),
         collectionId: Joi.string().default("default"),
         count: Joi.number().integer().min(1).max(200).default(50)
     });
     const {value, error} = schema.validate(req.body);
     if (error) throw badRequest(error.message);
+    const sessionTicket = requireCredential(req, "sessionTicket", value.sessionTicket);
 
-    const entityData = value.playFabId ? await getEntityToken(value.sessionTicket, {
+    const entityData = value.playFabId ? await getEntityToken(sessionTicket, {
         Type: "master_player_account", Id: value.playFabId
-    }) : await getEntityToken(value.sessionTicket);
+    }) : await getEntityToken(sessionTicket);
 
     const inv = await getPlayFabInventory(entityData.EntityToken, entityData.Entity.Id, entityData.Entity.Type, value.collectionId, value.count);
 
@@ -77,13 +81,15 @@ router.post("/playfab", jwtMiddleware, asyncHandler(async (req, res) => {
  *     tags: [Inventory]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [playfabToken]
  *             properties:
  *               playfabToken:
  *                 type: string
@@ -110,9 +116,9 @@ router.post("/playfab", jwtMiddleware, asyncHandler(async (req, res) => {
  *       200:
  *         description: PlayFab inventory items for the chosen entity
  */
-router.post("/playfab/test", jwtMiddleware, asyncHandler(async (req, res) => {
+router.post("/playfab/test", jwtMiddleware, requireScope("inventory:read"), asyncHandler(async (req, res) => {
     const schema = Joi.object({
-        playfabToken: Joi.string().required(),
+        playfabToken: Joi.string(),
         entityType: Joi.string().valid("title_player_account", "master_player_account").default("title_player_account"),
         entityId: Joi.string().optional(),
         collectionId: Joi.string().default("default"),
@@ -120,8 +126,9 @@ router.post("/playfab/test", jwtMiddleware, asyncHandler(async (req, res) => {
     });
     const {value, error} = schema.validate(req.body);
     if (error) throw badRequest(error.message);
+    const playfabToken = requireCredential(req, "playfabToken", value.playfabToken);
 
-    const loginData = await loginWithXbox(value.playfabToken, PLAYFAB_TEST_TITLE_ID);
+    const loginData = await loginWithXbox(playfabToken, PLAYFAB_TEST_TITLE_ID);
     const sessionTicket = loginData.SessionTicket;
     const playFabId = loginData.PlayFabId;
     if (value.entityType === "master_player_account" && !value.entityId && !playFabId) {
@@ -152,9 +159,11 @@ router.post("/playfab/test", jwtMiddleware, asyncHandler(async (req, res) => {
  *     security:
  *       - BearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-mc-token
- *         required: true
+ *         required: false
  *         schema: { type: string }
  *         description: Minecraft Authorization header (MCToken …) as obtained from /minecraft/token or /auth/callback
  *       - in: query
@@ -165,9 +174,8 @@ router.post("/playfab/test", jwtMiddleware, asyncHandler(async (req, res) => {
  *       200:
  *         description: List of Minecraft entitlements for the account
  */
-router.get("/minecraft", jwtMiddleware, asyncHandler(async (req, res) => {
-    const mcToken = req.headers["x-mc-token"];
-    if (!mcToken) throw badRequest("Missing x-mc-token header");
+router.get("/minecraft", jwtMiddleware, requireScope("inventory:read"), asyncHandler(async (req, res) => {
+    const mcToken = requireCredential(req, "mcToken");
     const rawInclude = req.query.includeReceipt ?? req.query.IncludeReceipt ?? (req.body && (req.body.includeReceipt ?? req.body.IncludeReceipt));
     const includeReceipt = String(rawInclude ?? "false").toLowerCase() === "true";
     const entitlements = await getMCInventory(mcToken, includeReceipt);
@@ -186,18 +194,19 @@ router.get("/minecraft", jwtMiddleware, asyncHandler(async (req, res) => {
  *     security:
  *       - BearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-mc-token
- *         required: true
+ *         required: false
  *         schema: { type: string }
  *         description: Minecraft Authorization header (MCToken …) as obtained from /minecraft/token or /auth/callback
  *     responses:
  *       200:
  *         description: Minecraft virtual currency balances
  */
-router.get("/minecraft/balances", jwtMiddleware, asyncHandler(async (req, res) => {
-    const mcToken = req.headers["x-mc-token"];
-    if (!mcToken) throw badRequest("Missing x-mc-token header");
+router.get("/minecraft/balances", jwtMiddleware, requireScope("inventory:read"), asyncHandler(async (req, res) => {
+    const mcToken = requireCredential(req, "mcToken");
     const balances = await getMCBalances(mcToken);
     res.json(balances);
 }));
@@ -215,9 +224,11 @@ router.get("/minecraft/balances", jwtMiddleware, asyncHandler(async (req, res) =
  *     security:
  *       - BearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-mc-token
- *         required: true
+ *         required: false
  *         schema: { type: string }
  *         description: Minecraft Authorization header (MCToken ...) as obtained from /minecraft/token or /auth/callback
  *     requestBody:
@@ -242,9 +253,8 @@ router.get("/minecraft/balances", jwtMiddleware, asyncHandler(async (req, res) =
  *       200:
  *         description: Minecraft DressingRoom_Capes layout page JSON (raw)
  */
-router.post("/minecraft/capes", jwtMiddleware, asyncHandler(async (req, res) => {
-    const mcToken = req.headers["x-mc-token"];
-    if (!mcToken) throw badRequest("Missing x-mc-token header");
+router.post("/minecraft/capes", jwtMiddleware, requireScope("inventory:read"), asyncHandler(async (req, res) => {
+    const mcToken = requireCredential(req, "mcToken");
 
     const schema = Joi.object({
         entitlements: Joi.array().items(Joi.any()).default([]),
@@ -276,9 +286,11 @@ router.post("/minecraft/capes", jwtMiddleware, asyncHandler(async (req, res) =>
  *     security:
  *       - BearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-mc-token
- *         required: true
+ *         required: false
  *         schema: { type: string }
  *       - in: query
  *         name: limit
@@ -288,9 +300,8 @@ router.post("/minecraft/capes", jwtMiddleware, asyncHandler(async (req, res) =>
  *       200:
  *         description: Top creators sorted by number of entitlements
  */
-router.get("/minecraft/creators/top", jwtMiddleware, asyncHandler(async (req, res) => {
-    const mcToken = req.headers["x-mc-token"];
-    if (!mcToken) throw badRequest("Missing x-mc-token header");
+router.get("/minecraft/creators/top", jwtMiddleware, requireScope("inventory:read"), asyncHandler(async (req, res) => {
+    const mcToken = requireCredential(req, "mcToken");
     const schema = Joi.object({
         limit: Joi.number().integer().min(1).max(50).default(5)
     });
@@ -339,9 +350,11 @@ router.get("/minecraft/creators/top", jwtMiddleware, asyncHandler(async (req, re
  *     security:
  *       - BearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-mc-token
- *         required: true
+ *         required: false
  *         schema: { type: string }
  *       - in: query
  *         name: productId
@@ -359,9 +372,8 @@ router.get("/minecraft/creators/top", jwtMiddleware, asyncHandler(async (req, re
  *       200:
  *         description: Filtered entitlement list matching the query
  */
-router.get("/minecraft/search", jwtMiddleware, asyncHandler(async (req, res) => {
-    const mcToken = req.headers["x-mc-token"];
-    if (!mcToken) throw badRequest("Missing x-mc-token header");
+router.get("/minecraft/search", jwtMiddleware, requireScope("inventory:read"), asyncHandler(async (req, res) => {
+    const mcToken = requireCredential(req, "mcToken");
 
     const schema = Joi.object({
         limit: Joi.number().integer().min(1).max(200).default(50),
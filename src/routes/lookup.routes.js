@@ -1,7 +1,8 @@
 import express from "express";
 import Joi from "joi";
-import {jwtMiddleware} from "../utils/jwt.js";
+import {jwtMiddleware, requireScope} from "../utils/jwt.js";
 import {asyncHandler} from "../utils/async.js";
+import {requireCredential} from "../utils/credentials.js";
 import {badRequest, notFound} from "../utils/httpError.js";
 import {getGamertagByXuid, getXuidByGamertag} from "../services/xbox.service.js";
 
@@ -20,9 +21,11 @@ const router = express.Router();
  *       - BearerAuth: []
  *       - XBLToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-xbl-token
- *         required: true
+ *         required: false
  *         schema: { type: string }
  *       - in: query
  *         name: gamertag
@@ -35,9 +38,8 @@ const router = express.Router();
  *       404:
  *         description: Gamertag not found
  */
-router.get("/xuid", jwtMiddleware, asyncHandler(async (req, res) => {
-    const xboxliveToken = req.headers["x-xbl-token"];
-    if (!xboxliveToken) throw badRequest("Missing x-xbl-token header");
+router.get("/xuid", jwtMiddleware, requireScope("profile:read"), asyncHandler(async (req, res) => {
+    const xboxliveToken = requireCredential(req, "xboxliveToken");
 
     const schema = Joi.object({gamertag: Joi.string().min(1).required()});
     const {value, error} = schema.validate(req.query);
@@ -62,9 +64,11 @@ router.get("/xuid", jwtMiddleware, asyncHandler(async (req, res) => {
  *       - BearerAuth: []
  *       - XBLToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-xbl-token
- *         required: true
+ *         required: false
  *         schema: { type: string }
  *       - in: query
  *         name: xuid
@@ -77,9 +81,8 @@ router.get("/xuid", jwtMiddleware, asyncHandler(async (req, res) => {
  *       404:
  *         description: XUID not found
  */
-router.get("/gamertag", jwtMiddleware, asyncHandler(async (req, res) => {
-    const xboxliveToken = req.headers["x-xbl-token"];
-    if (!xboxliveToken) throw badRequest("Missing x-xbl-token header");
+router.get("/gamertag", jwtMiddleware, requireScope("profile:read"), asyncHandler(async (req, res) => {
+    const xboxliveToken = requireCredential(req, "xboxliveToken");
 
     const schema = Joi.object({xuid: Joi.string().min(1).required()});
     const {value, error} = schema.validate(req.query);
@@ -1,8 +1,9 @@
 import express from "express";
 import Joi from "joi";
 
-import {jwtMiddleware} from "../utils/jwt.js";
+import {jwtMiddleware, requireScope} from "../utils/jwt.js";
 import {asyncHandler} from "../utils/async.js";
+import {requireCredential} from "../utils/credentials.js";
 import {badRequest} from "../utils/httpError.js";
 import {sendMarketplaceMessageEvents, startMarketplaceMessagingSession} from "../services/minecraft.service.js";
 
@@ -39,9 +40,11 @@ const router = express.Router();
  *     security:
  *       - BearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-mc-token
- *         required: true
+ *         required: false
  *         schema:
  *           type: string
  *         description: Marketplace authorization header (must be the full value, e.g. `MCToken eyJ...`)
@@ -76,9 +79,8 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post(["/inbox/start", "/session/start"], jwtMiddleware, asyncHandler(async (req, res) => {
-    const mcToken = req.headers["x-mc-token"];
-    if (!mcToken) throw badRequest("Missing x-mc-token header");
+router.post(["/inbox/start", "/session/start"], jwtMiddleware, requireScope("messaging:read"), asyncHandler(async (req, res) => {
+    const mcToken = requireCredential(req, "mcToken");
 
     const schema = Joi.object({
         continuationToken: Joi.string().optional(),
@@ -136,9 +138,11 @@ router.post(["/inbox/start", "/session/start"], jwtMiddleware, asyncHandler(asyn
  *     security:
  *       - BearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-mc-token
- *         required: true
+ *         required: false
  *         schema:
  *           type: string
  *         description: Marketplace authorization header (must be the full value, e.g. `MCToken eyJ...`)
@@ -197,9 +201,8 @@ router.post(["/inbox/start", "/session/start"], jwtMiddleware, asyncHandler(asyn
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post("/inbox/event", jwtMiddleware, asyncHandler(async (req, res) => {
-    const mcToken = req.headers["x-mc-token"];
-    if (!mcToken) throw badRequest("Missing x-mc-token header");
+router.post("/inbox/event", jwtMiddleware, requireScope("messaging:write"), asyncHandler(async (req, res) => {
+    const mcToken = requireCredential(req, "mcToken");
 
     const schema = Joi.object({
         sessionId: Joi.string().optional(),
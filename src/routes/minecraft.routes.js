@@ -1,7 +1,8 @@
 import express from "express";
 import Joi from "joi";
-import {jwtMiddleware} from "../utils/jwt.js";
+import {jwtMiddleware, requireScope} from "../utils/jwt.js";
 import {asyncHandler} from "../utils/async.js";
+import {requireCredential} from "../utils/credentials.js";
 import {getMCToken} from "../services/minecraft.service.js";
 import {loginWithXbox} from "../services/playfab.service.js";
 import {badRequest} from "../utils/httpError.js";
@@ -20,13 +21,15 @@ const router = express.Router();
  *     tags: [Minecraft]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [sessionTicket]
  *             properties:
  *               sessionTicket:
  *                 type: string
@@ -35,11 +38,12 @@ const router = express.Router();
  *       200:
  *         description: Minecraft multiplayer token successfully issued
  */
-router.post("/token", jwtMiddleware, asyncHandler(async (req, res) => {
-    const schema = Joi.object({sessionTicket: Joi.string().required()});
+router.post("/token", jwtMiddleware, requireScope("minecraft:token"), asyncHandler(async (req, res) => {
+    const schema = Joi.object({sessionTicket: Joi.string()});
     const {value, error} = schema.validate(req.body);
     if (error) throw badRequest(error.message);
-    const mcToken = await getMCToken(value.sessionTicket);
+    const sessionTicket = requireCredential(req, "sessionTicket", value.sessionTicket);
+    const mcToken = await getMCToken(sessionTicket);
     res.json({mcToken});
 }));
 
@@ -56,13 +60,15 @@ router.post("/token", jwtMiddleware, asyncHandler(async (req, res) => {
  *     tags: [Minecraft]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [playfabToken]
  *             properties:
  *               playfabToken:
  *                 type: string
@@ -73,15 +79,16 @@ router.post("/token", jwtMiddleware, asyncHandler(async (req, res) => {
  *       200:
  *         description: New PlayFab SessionTicket and Minecraft multiplayer token
  */
-router.post("/token/refresh", jwtMiddleware, asyncHandler(async (req, res) => {
+router.post("/token/refresh", jwtMiddleware, requireScope("minecraft:token"), asyncHandler(async (req, res) => {
     const schema = Joi.object({
-        playfabToken: Joi.string().required()
+        playfabToken: Joi.string()
     });
 
     const {value, error} = schema.validate(req.body);
     if (error) throw badRequest(error.message);
+    const playfabToken = requireCredential(req, "playfabToken", value.playfabToken);
 
-    const {SessionTicket, PlayFabId} = await loginWithXbox(value.playfabToken);
+    const {SessionTicket, PlayFabId} = await loginWithXbox(playfabToken);
     const mcToken = await getMCToken(SessionTicket);
 
     res.json({
@@ -1,7 +1,8 @@
 import express from "express";
 import Joi from "joi";
-import {jwtMiddleware} from "../utils/jwt.js";
+import {jwtMiddleware, requireScope} from "../utils/jwt.js";
 import {asyncHandler} from "../utils/async.js";
+import {requireCredential, userXuid} from "../utils/credentials.js";
 import {getGamertagsBatch, getPeopleFollowers, getPeopleSocial, getPresenceBatch} from "../services/xbox.service.js";
 import {badRequest} from "../utils/httpError.js";
 
@@ -28,10 +29,12 @@ const router = express.Router();
  *       - BearerAuth: []
  *       - XBLToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-xbl-token
  *         schema: { type: string }
- *         required: true
+ *         required: false
  *       - in: query
  *         name: maxItems
  *         schema: { type: integer, default: 200 }
@@ -40,10 +43,9 @@ const router = express.Router();
  *       200:
  *         description: List of mutual friends
  */
-router.get("/friends", jwtMiddleware, asyncHandler(async (req, res) => {
-    const {xuid} = req.user;
-    const xboxliveToken = req.headers["x-xbl-token"];
-    if (!xboxliveToken) throw badRequest("Missing x-xbl-token header");
+router.get("/friends", jwtMiddleware, requireScope("people:read"), asyncHandler(async (req, res) => {
+    const xuid = userXuid(req);
+    const xboxliveToken = requireCredential(req, "xboxliveToken");
     const schema = Joi.object({
         maxItems: Joi.number().integer().min(1).max(2000).default(200)
     });
@@ -72,9 +74,11 @@ router.get("/friends", jwtMiddleware, asyncHandler(async (req, res) => {
  *       - BearerAuth: []
  *       - XBLToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-xbl-token
- *         required: true
+ *         required: false
  *         schema: { type: string }
  *       - in: query
  *         name: maxItems
@@ -84,10 +88,9 @@ router.get("/friends", jwtMiddleware, asyncHandler(async (req, res) => {
  *       200:
  *         description: List of followers for the caller
  */
-router.get("/followers", jwtMiddleware, asyncHandler(async (req, res) => {
-    const {xuid} = req.user;
-    const xboxliveToken = req.headers["x-xbl-token"];
-    if (!xboxliveToken) throw badRequest("Missing x-xbl-token header");
+router.get("/followers", jwtMiddleware, requireScope("people:read"), asyncHandler(async (req, res) => {
+    const xuid = userXuid(req);
+    const xboxliveToken = requireCredential(req, "xboxliveToken");
     const schema = Joi.object({
         maxItems: Joi.number().integer().min(1).max(2000).default(200)
     });
@@ -114,9 +117,11 @@ router.get("/followers", jwtMiddleware, asyncHandler(async (req, res) => {
  *       - BearerAuth: []
  *       - XBLToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-xbl-token
- *         required: true
+ *         required: false
  *         schema: { type: string }
  *       - in: query
  *         name: limit
@@ -128,10 +133,9 @@ router.get("/followers", jwtMiddleware, asyncHandler(async (req, res) => {
  */
 const SHELL_TITLE_IDS = new Set([704208617, 1022622766, 1794566092]);
 
-router.get("/friends/presence", jwtMiddleware, asyncHandler(async (req, res) => {
-    const {xuid} = req.user;
-    const xboxliveToken = req.headers["x-xbl-token"];
-    if (!xboxliveToken) throw badRequest("Missing x-xbl-token header");
+router.get("/friends/presence", jwtMiddleware, requireScope("people:read"), asyncHandler(async (req, res) => {
+    const xuid = userXuid(req);
+    const xboxliveToken = requireCredential(req, "xboxliveToken");
 
     const schema = Joi.object({
         limit: Joi.number().integer().min(1).max(200).default(50)
@@ -1,7 +1,8 @@
 import express from "express";
 import Joi from "joi";
-import {jwtMiddleware} from "../utils/jwt.js";
+import {jwtMiddleware, requireScope} from "../utils/jwt.js";
 import {asyncHandler} from "../utils/async.js";
+import {requireCredential} from "../utils/credentials.js";
 import {
     getPlayFabAccountInfo,
     getPlayFabCatalog,
@@ -31,24 +32,27 @@ const router = express.Router();
  *       PlayFab account data such as user info and linked platform accounts.
  *     tags: [PlayFab]
  *     security: [{ BearerAuth: [] }]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [sessionTicket]
  *             properties:
  *               sessionTicket: { type: string, description: "PlayFab SessionTicket (X-Authorization)" }
  *     responses:
  *       200:
  *         description: PlayFab account information
  */
-router.post("/account", jwtMiddleware, asyncHandler(async (req, res) => {
-    const schema = Joi.object({sessionTicket: Joi.string().required()});
+router.post("/account", jwtMiddleware, requireScope("playfab:read"), asyncHandler(async (req, res) => {
+    const schema = Joi.object({sessionTicket: Joi.string()});
     const {value, error} = schema.validate(req.body);
     if (error) throw badRequest(error.message);
-    const data = await getPlayFabAccountInfo(value.sessionTicket);
+    const sessionTicket = requireCredential(req, "sessionTicket", value.sessionTicket);
+    const data = await getPlayFabAccountInfo(sessionTicket);
     res.json(data);
 }));
 
@@ -66,14 +70,15 @@ router.post("/account", jwtMiddleware, asyncHandler(async (req, res) => {
  *       assuming your title is configured to allow this.
  *     tags: [PlayFab]
  *     security: [{ BearerAuth: [] }]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - sessionTicket
  *             properties:
  *               sessionTicket:
  *                 type: string
@@ -91,13 +96,14 @@ router.post("/account", jwtMiddleware, asyncHandler(async (req, res) => {
  *         description: >
  *           Player profile data as returned by **Client/GetPlayerProfile**.
  */
-router.post("/profile", jwtMiddleware, asyncHandler(async (req, res) => {
+router.post("/profile", jwtMiddleware, requireScope("playfab:read"), asyncHandler(async (req, res) => {
     const schema = Joi.object({
-        sessionTicket: Joi.string().required(), playFabId: Joi.string().optional()
+        sessionTicket: Joi.string(), playFabId: Joi.string().optional()
     });
     const {value, error} = schema.validate(req.body);
     if (error) throw badRequest(error.message);
-    const data = await getPlayFabPlayerProfile(value.sessionTicket, value.playFabId);
+    const sessionTicket = requireCredential(req, "sessionTicket", value.sessionTicket);
+    const data = await getPlayFabPlayerProfile(sessionTicket, value.playFabId);
     res.json(data);
 }));
 
@@ -113,14 +119,15 @@ router.post("/profile", jwtMiddleware, asyncHandler(async (req, res) => {
  *       version for the title is used.
  *     tags: [PlayFab]
  *     security: [{ BearerAuth: [] }]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - sessionTicket
  *             properties:
  *               sessionTicket:
  *                 type: string
@@ -136,13 +143,14 @@ router.post("/profile", jwtMiddleware, asyncHandler(async (req, res) => {
  *         description: >
  *           Catalog payload from **Client/GetCatalogItems**, including the list of catalog items.
  */
-router.post("/catalog", jwtMiddleware, asyncHandler(async (req, res) => {
+router.post("/catalog", jwtMiddleware, requireScope("playfab:read"), asyncHandler(async (req, res) => {
     const schema = Joi.object({
-        sessionTicket: Joi.string().required(), catalogVersion: Joi.string().optional()
+        sessionTicket: Joi.string(), catalogVersion: Joi.string().optional()
     });
     const {value, error} = schema.validate(req.body);
     if (error) throw badRequest(error.message);
-    const data = await getPlayFabCatalog(value.sessionTicket, value.catalogVersion);
+    const sessionTicket = requireCredential(req, "sessionTicket", value.sessionTicket);
+    const data = await getPlayFabCatalog(sessionTicket, value.catalogVersion);
     res.json(data);
 }));
 
@@ -159,14 +167,15 @@ router.post("/catalog", jwtMiddleware, asyncHandler(async (req, res) => {
  *       the title (which can be large).
  *     tags: [PlayFab]
  *     security: [{ BearerAuth: [] }]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - sessionTicket
  *             properties:
  *               sessionTicket:
  *                 type: string
@@ -184,13 +193,14 @@ router.post("/catalog", jwtMiddleware, asyncHandler(async (req, res) => {
  *         description: >
  *           TitleData dictionary as returned by **Client/GetTitleData**.
  */
-router.post("/titledata", jwtMiddleware, asyncHandler(async (req, res) => {
+router.post("/titledata", jwtMiddleware, requireScope("playfab:read"), asyncHandler(async (req, res) => {
     const schema = Joi.object({
-        sessionTicket: Joi.string().required(), keys: Joi.array().items(Joi.string()).optional()
+        sessionTicket: Joi.string(), keys: Joi.array().items(Joi.string()).optional()
     });
     const {value, error} = schema.validate(req.body);
     if (error) throw badRequest(error.message);
-    const data = await getPlayFabTitleData(value.sessionTicket, value.keys);
+    const sessionTicket = requireCredential(req, "sessionTicket", value.sessionTicket);
+    const data = await getPlayFabTitleData(sessionTicket, value.keys);
     res.json(data);
 }));
 
@@ -208,14 +218,15 @@ router.post("/titledata", jwtMiddleware, asyncHandler(async (req, res) => {
  *       permissions).
  *     tags: [PlayFab]
  *     security: [{ BearerAuth: [] }]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - sessionTicket
  *             properties:
  *               sessionTicket:
  *                 type: string
@@ -239,15 +250,16 @@ router.post("/titledata", jwtMiddleware, asyncHandler(async (req, res) => {
  *         description: >
  *           UserData block as returned by **Client/GetUserData** (keys, values, timestamps).
  */
-router.post("/userdata", jwtMiddleware, asyncHandler(async (req, res) => {
+router.post("/userdata", jwtMiddleware, requireScope("playfab:read"), asyncHandler(async (req, res) => {
     const schema = Joi.object({
-        sessionTicket: Joi.string().required(),
+        sessionTicket: Joi.string(),
         playFabId: Joi.string().optional(),
         keys: Joi.array().items(Joi.string()).optional()
     });
     const {value, error} = schema.validate(req.body);
     if (error) throw badRequest(error.message);
-    const data = await getPlayFabUserData(value.sessionTicket, value.keys, value.playFabId);
+    const sessionTicket = requireCredential(req, "sessionTicket", value.sessionTicket);
+    const data = await getPlayFabUserData(sessionTicket, value.keys, value.playFabId);
     res.json(data);
 }));
 
@@ -264,14 +276,15 @@ router.post("/userdata", jwtMiddleware, asyncHandler(async (req, res) => {
  *       game client should never update directly.
  *     tags: [PlayFab]
  *     security: [{ BearerAuth: [] }]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - sessionTicket
  *             properties:
  *               sessionTicket:
  *                 type: string
@@ -295,15 +308,16 @@ router.post("/userdata", jwtMiddleware, asyncHandler(async (req, res) => {
  *         description: >
  *           Read-only user data as returned by **Client/GetUserReadOnlyData**.
  */
-router.post("/userdata/readonly", jwtMiddleware, asyncHandler(async (req, res) => {
+router.post("/userdata/readonly", jwtMiddleware, requireScope("playfab:read"), asyncHandler(async (req, res) => {
     const schema = Joi.object({
-        sessionTicket: Joi.string().required(),
+        sessionTicket: Joi.string(),
         playFabId: Joi.string().optional(),
         keys: Joi.array().items(Joi.string()).optional()
     });
     const {value, error} = schema.validate(req.body);
     if (error) throw badRequest(error.message);
-    const data = await getPlayFabUserReadOnlyData(value.sessionTicket, value.keys, value.playFabId);
+    const sessionTicket = requireCredential(req, "sessionTicket", value.sessionTicket);
+    const data = await getPlayFabUserReadOnlyData(sessionTicket, value.keys, value.playFabId);
     res.json(data);
 }));
 
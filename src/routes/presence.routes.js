@@ -1,7 +1,8 @@
 import express from "express";
 import Joi from "joi";
-import {jwtMiddleware} from "../utils/jwt.js";
+import {jwtMiddleware, requireScope} from "../utils/jwt.js";
 import {asyncHandler} from "../utils/async.js";
+import {requireCredential, userXuid} from "../utils/credentials.js";
 import {getPresence, getPresenceBatch} from "../services/xbox.service.js";
 import {badRequest} from "../utils/httpError.js";
 
@@ -20,19 +21,20 @@ const router = express.Router();
  *       - BearerAuth: []
  *       - XBLToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-xbl-token
- *         required: true
+ *         required: false
  *         schema:
  *           type: string
  *     responses:
  *       200:
  *         description: Presence document for the current user
  */
-router.get("/me", jwtMiddleware, asyncHandler(async (req, res) => {
-    const {xuid} = req.user;
-    const xboxliveToken = req.headers["x-xbl-token"];
-    if (!xboxliveToken) throw badRequest("Missing x-xbl-token header");
+router.get("/me", jwtMiddleware, requireScope("profile:read"), asyncHandler(async (req, res) => {
+    const xuid = userXuid(req);
+    const xboxliveToken = requireCredential(req, "xboxliveToken");
     const presence = await getPresence(xuid, xboxliveToken);
     res.json(presence);
 }));
@@ -51,9 +53,11 @@ router.get("/me", jwtMiddleware, asyncHandler(async (req, res) => {
  *       - BearerAuth: []
  *       - XBLToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-xbl-token
- *         required: true
+ *         required: false
  *         schema:
  *           type: string
  *     requestBody:
@@ -73,13 +77,12 @@ router.get("/me", jwtMiddleware, asyncHandler(async (req, res) => {
  *       200:
  *         description: Presence information for the requested users
  */
-router.post("/batch", jwtMiddleware, asyncHandler(async (req, res) => {
+router.post("/batch", jwtMiddleware, requireScope("profile:read"), asyncHandler(async (req, res) => {
     const schema = Joi.object({xuids: Joi.array().items(Joi.string()).min(1).required()});
     const {value, error} = schema.validate(req.body);
     if (error) throw badRequest(error.message);
 
-    const xboxliveToken = req.headers["x-xbl-token"];
-    if (!xboxliveToken) throw badRequest("Missing x-xbl-token header");
+    const xboxliveToken = requireCredential(req, "xboxliveToken");
 
     const data = await getPresenceBatch(value.xuids, xboxliveToken);
     res.json(data);
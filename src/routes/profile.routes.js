@@ -1,7 +1,8 @@
 import express from "express";
 import Joi from "joi";
-import {jwtMiddleware} from "../utils/jwt.js";
+import {jwtMiddleware, requireScope} from "../utils/jwt.js";
 import {asyncHandler} from "../utils/async.js";
+import {requireCredential, resolveCredential, selectedAccount, userXuid} from "../utils/credentials.js";
 import {getProfileSettings, getTitleHub, getXboxStats} from "../services/xbox.service.js";
 import {getEntityToken, getPlayFabInventory} from "../services/playfab.service.js";
 import {getMCInventory, getMCToken} from "../services/minecraft.service.js";
@@ -24,9 +25,11 @@ const router = express.Router();
  *       - BearerAuth: []
  *       - XBLToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-xbl-token
- *         required: true
+ *         required: false
  *         schema:
  *           type: string
  *       - in: query
@@ -39,10 +42,9 @@ const router = express.Router();
  *       200:
  *         description: Profile settings for the current user
  */
-router.get("/me", jwtMiddleware, asyncHandler(async (req, res) => {
-    const {xuid} = req.user;
-    const xboxliveToken = req.headers["x-xbl-token"];
-    if (!xboxliveToken) throw badRequest("Missing x-xbl-token header");
+router.get("/me", jwtMiddleware, requireScope("profile:read"), asyncHandler(async (req, res) => {
+    const xuid = userXuid(req);
+    const xboxliveToken = requireCredential(req, "xboxliveToken");
     const settings = req.query.settings || "GameDisplayPicRaw,Gamerscore,Gamertag";
     const profile = await getProfileSettings(xuid, xboxliveToken, settings);
     res.json(profile);
@@ -61,9 +63,11 @@ router.get("/me", jwtMiddleware, asyncHandler(async (req, res) => {
  *       - BearerAuth: []
  *       - XBLToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-xbl-token
- *         required: true
+ *         required: false
  *         schema: { type: string }
  *       - in: header
  *         name: Accept-Language
@@ -74,10 +78,9 @@ router.get("/me", jwtMiddleware, asyncHandler(async (req, res) => {
  *       200:
  *         description: TitleHub response for the user
  */
-router.get("/titles", jwtMiddleware, asyncHandler(async (req, res) => {
-    const {xuid} = req.user;
-    const xboxliveToken = req.headers["x-xbl-token"];
-    if (!xboxliveToken) throw badRequest("Missing x-xbl-token header");
+router.get("/titles", jwtMiddleware, requireScope("profile:read"), asyncHandler(async (req, res) => {
+    const xuid = userXuid(req);
+    const xboxliveToken = requireCredential(req, "xboxliveToken");
     const locale = req.headers["accept-language"]; // wird in den Service durchgereicht
     const titles = await getTitleHub(xuid, xboxliveToken, {locale});
     res.json(titles);
@@ -101,9 +104,11 @@ router.get("/titles", jwtMiddleware, asyncHandler(async (req, res) => {
  *       - BearerAuth: []
  *       - XBLToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-xbl-token
- *         required: true
+ *         required: false
  *         schema: { type: string }
  *       - in: header
  *         name: x-mc-token
@@ -120,10 +125,10 @@ router.get("/titles", jwtMiddleware, asyncHandler(async (req, res) => {
  *       200:
  *         description: Aggregated overview for the current user
  */
-router.post("/overview", jwtMiddleware, asyncHandler(async (req, res) => {
-    const {xuid, gamertag} = req.user;
-    const xboxliveToken = req.headers["x-xbl-token"];
-    if (!xboxliveToken) throw badRequest("Missing x-xbl-token header");
+router.post("/overview", jwtMiddleware, requireScope("profile:read"), asyncHandler(async (req, res) => {
+    const xuid = userXuid(req);
+    const {gamertag} = selectedAccount(req);
+    const xboxliveToken = requireCredential(req, "xboxliveToken");
 
     const bodySchema = Joi.object({
         sessionTicket: Joi.string().optional(),
@@ -156,17 +161,18 @@ router.post("/overview", jwtMiddleware, asyncHandler(async (req, res) => {
 
     let playfab = null;
     let mcInventory = null;
-    let mcToken = req.headers["x-mc-token"] || null;
+    let mcToken = resolveCredential(req, "mcToken") || null;
     let topCreators = [];
+    const sessionTicket = resolveCredential(req, "sessionTicket", value.sessionTicket);
 
-    if (value.sessionTicket) {
+    if (sessionTicket) {
         let entityData;
         if (value.playFabId) {
-            entityData = await getEntityToken(value.sessionTicket, {
+            entityData = await getEntityToken(sessionTicket, {
                 Type: "master_player_account", Id: value.playFabId
             });
         } else {
-            entityData = await getEntityToken(value.sessionTicket);
+            entityData = await getEntityToken(sessionTicket);
         }
 
         const pfInv = await getPlayFabInventory(entityData.EntityToken, entityData.Entity.Id, entityData.Entity.Type, "default", 50);
@@ -198,7 +204,7 @@ router.post("/overview", jwtMiddleware, asyncHandler(async (req, res) => {
 
         if (!mcToken) {
             try {
-                mcToken = await getMCToken(value.sessionTicket);
+                mcToken = await getMCToken(sessionTicket);
             } catch {
             }
         }
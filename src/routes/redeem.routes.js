@@ -2,12 +2,16 @@ import express from "express";
 import Joi from "joi";
 import crypto from "node:crypto";
 
-import {jwtMiddleware} from "../utils/jwt.js";
+import {jwtMiddleware, requireScope} from "../utils/jwt.js";
 import {asyncHandler} from "../utils/async.js";
+import {requireCredential} from "../utils/credentials.js";
 import {badRequest} from "../utils/httpError.js";
+import {audit} from "../middleware/audit.js";
 import {prepareRedeem, redeemCode} from "../services/redeem.service.js";
 
 const router = express.Router();
+router.post("/lookup", audit("redeem.lookup"));
+router.post("/redeem", audit("redeem.redeem"));
 
 const redeemBodySchema = Joi.object({
     code: Joi.string().min(4).max(64).required(),
@@ -38,9 +42,14 @@ function buildRedeemFlow(value, acceptLanguage) {
     };
 }
 
-function validateRedeemBody(body) {
+function maskRedeemCode(code) {
+    return `${"*".repeat(Math.max(0, code.length - 5))}${code.slice(-5)}`;
+}
+
+function validateRedeemBody(body, res) {
     const {value, error} = redeemBodySchema.validate(body || {});
     if (error) throw badRequest(error.message);
+    res.locals.audit = {details: {code: maskRedeemCode(value.code), market: value.market}};
     return value;
 }
 
@@ -75,9 +84,11 @@ function validateRedeemBody(body) {
  *     security:
  *       - BearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-redeem-token
- *         required: true
+ *         required: false
  *         schema:
  *           type: string
  *         description: Redeem XSTS token returned by `POST /auth/callback` (format `XBL3.0 x=<uhs>;<token>`).
@@ -124,11 +135,10 @@ function validateRedeemBody(body) {
  *       400:
  *         description: Validation error / missing headers.
  */
-router.post("/lookup", jwtMiddleware, asyncHandler(async (req, res) => {
-    const redeemToken = req.headers["x-redeem-token"];
-    if (!redeemToken) throw badRequest("Missing x-redeem-token header");
+router.post("/lookup", jwtMiddleware, requireScope("redeem:read"), asyncHandler(async (req, res) => {
+    const redeemToken = requireCredential(req, "redeemToken");
 
-    const value = validateRedeemBody(req.body);
+    const value = validateRedeemBody(req.body, res);
 
     const acceptLanguage = req.headers["accept-language"];
     const locale = value.locale || acceptLanguage || "en-US";
@@ -168,9 +178,11 @@ router.post("/lookup", jwtMiddleware, asyncHandler(async (req, res) => {
  *     security:
  *       - BearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-redeem-token
- *         required: true
+ *         required: false
  *         schema:
  *           type: string
  *         description: Redeem XSTS token returned by `POST /auth/callback` (format `XBL3.0 x=<uhs>;<token>`).
@@ -217,11 +229,10 @@ router.post("/lookup", jwtMiddleware, asyncHandler(async (req, res) => {
  *       400:
  *         description: Validation error / missing headers.
  */
-router.post("/redeem", jwtMiddleware, asyncHandler(async (req, res) => {
-    const redeemToken = req.headers["x-redeem-token"];
-    if (!redeemToken) throw badRequest("Missing x-redeem-token header");
+router.post("/redeem", jwtMiddleware, requireScope("redeem:write"), asyncHandler(async (req, res) => {
+    const redeemToken = requireCredential(req, "redeemToken");
 
-    const value = validateRedeemBody(req.body);
+    const value = validateRedeemBody(req.body, res);
 
     const acceptLanguage = req.headers["accept-language"];
     const locale = value.locale || acceptLanguage || "en-US";
@@ -1,8 +1,8 @@
 import express from "express";
-import {jwtMiddleware} from "../utils/jwt.js";
+import {jwtMiddleware, requireScope} from "../utils/jwt.js";
 import {asyncHandler} from "../utils/async.js";
+import {requireCredential, userXuid} from "../utils/credentials.js";
 import {getXboxStats} from "../services/xbox.service.js";
-import {badRequest} from "../utils/httpError.js";
 
 const router = express.Router();
 
@@ -20,18 +20,19 @@ const router = express.Router();
  *       - BearerAuth: []
  *       - XBLToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-xbl-token
- *         required: true
+ *         required: false
  *         schema: { type: string }
  *     responses:
  *       200:
  *         description: Aggregated and raw Xbox stats
  */
-router.get("/xbox/me", jwtMiddleware, asyncHandler(async (req, res) => {
-    const xboxliveToken = req.headers["x-xbl-token"];
-    if (!xboxliveToken) throw badRequest("Missing x-xbl-token header");
-    const {xuid} = req.user;
+router.get("/xbox/me", jwtMiddleware, requireScope("profile:read"), asyncHandler(async (req, res) => {
+    const xboxliveToken = requireCredential(req, "xboxliveToken");
+    const xuid = userXuid(req);
     const raw = await getXboxStats(xuid, xboxliveToken);
     const agg = {MinutesPlayed: 0, BlockBrokenTotal: 0, "MobKilled.IsMonster.1": 0, DistanceTravelled: 0};
     const user = raw?.users?.[0];
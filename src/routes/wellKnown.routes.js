@@ -0,0 +1,27 @@
+import express from "express";
+import {getJwks} from "../utils/jwtKeys.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Public keys for verifying issued JWTs
+ *     description: >
+ *       JSON Web Key Set with the public half of every published signing key (`JWT_ALGORITHM=RS256` or `ES256`).
+ *       Tokens carry the signing key id in their `kid` header. Keys scheduled via `notBefore` are published
+ *       ahead of use, and retired keys stay listed until their `notAfter` so existing tokens keep verifying.
+ *       The set is empty when tokens are signed with the shared `JWT_SECRET` (HS256).
+ *     tags: [Auth]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ */
+router.get("/jwks.json", (_req, res) => {
+    res.set("Cache-Control", "public, max-age=300");
+    res.json(getJwks());
+});
+
+export default router;
@@ -1,8 +1,9 @@
 import express from "express";
 import Joi from "joi";
 
-import {jwtMiddleware} from "../utils/jwt.js";
+import {jwtMiddleware, requireScope} from "../utils/jwt.js";
 import {asyncHandler} from "../utils/async.js";
+import {requireCredential} from "../utils/credentials.js";
 import {badRequest} from "../utils/httpError.js";
 import {getMCWishlistPage, updateMCWishlist} from "../services/minecraft.service.js";
 
@@ -100,9 +101,11 @@ async function resolveVersions(mcToken, options = {}) {
  *     security:
  *       - BearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-mc-token
- *         required: true
+ *         required: false
  *         schema:
  *           type: string
  *         description: Marketplace authorization header (must be the full value, e.g. `MCToken eyJ...`)
@@ -128,9 +131,8 @@ async function resolveVersions(mcToken, options = {}) {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post("/list", jwtMiddleware, asyncHandler(async (req, res) => {
-    const mcToken = req.headers["x-mc-token"];
-    if (!mcToken) throw badRequest("Missing x-mc-token header");
+router.post("/list", jwtMiddleware, requireScope("wishlist:read"), asyncHandler(async (req, res) => {
+    const mcToken = requireCredential(req, "mcToken");
 
     const schema = Joi.object({
         recentlyViewed: Joi.array().items(Joi.string()).optional()
@@ -198,9 +200,11 @@ router.post("/list", jwtMiddleware, asyncHandler(async (req, res) => {
  *     security:
  *       - BearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/AccountXuid'
+ *       - $ref: '#/components/parameters/TokenBundle'
  *       - in: header
  *         name: x-mc-token
- *         required: true
+ *         required: false
  *         schema:
  *           type: string
  *         description: Marketplace authorization header (must be the full value, e.g. `MCToken eyJ...`)
@@ -231,9 +235,8 @@ router.post("/list", jwtMiddleware, asyncHandler(async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post("/item", jwtMiddleware, asyncHandler(async (req, res) => {
-    const mcToken = req.headers["x-mc-token"];
-    if (!mcToken) throw badRequest("Missing x-mc-token header");
+router.post("/item", jwtMiddleware, requireScope("wishlist:write"), asyncHandler(async (req, res) => {
+    const mcToken = requireCredential(req, "mcToken");
 
     const schema = Joi.object({
         itemId: Joi.string().required(),
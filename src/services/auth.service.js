@@ -0,0 +1,186 @@
+import {env} from "../config/env.js";
+import {getXBLToken, getXSTSToken, sisuAuthorize} from "./xbox.service.js";
+import {getEntityToken, loginWithXbox} from "./playfab.service.js";
+import {getMCToken} from "./minecraft.service.js";
+import {mcTokenExpiry, parseExpiry} from "../utils/tokenExpiry.js";
+import {BUILTIN_TARGETS, RELYING_PARTIES} from "../utils/relyingParties.js";
+
+export const XBOX_RELYING_PARTY = "http://xboxlive.com";
+export const REDEEM_RELYING_PARTY = "https://b980a380.minecraft.playfabapi.com/";
+export const PLAYFAB_RELYING_PARTY = "rp://playfabapi.com/";
+
+const SESSION_TICKET_TTL_MS = 24 * 60 * 60 * 1000;
+
+function xblHeader(uhs, token) {
+    return `XBL3.0 x=${uhs};${token}`;
+}
+
+export function msTokenFields(tokenData, previousRefreshToken) {
+    const msExpiresIn = tokenData.expires_in;
+    return {
+        msAccessToken: tokenData.access_token,
+        msRefreshToken: tokenData.refresh_token || previousRefreshToken,
+        msExpiresIn,
+        expiresAt: {msAccessToken: msExpiresIn ? Date.now() + Number(msExpiresIn) * 1000 : null}
+    };
+}
+
+function mergeTokens(target, part) {
+    const merged = {
+        ...target,
+        ...part,
+        xsts: {...target.xsts, ...part.xsts},
+        expiresAt: {...target.expiresAt, ...part.expiresAt}
+    };
+    if (target.relyingPartyTokens || part.relyingPartyTokens) {
+        merged.relyingPartyTokens = {...target.relyingPartyTokens, ...part.relyingPartyTokens};
+    }
+    return merged;
+}
+
+function xboxUserTokens({xblToken, deviceToken, titleToken, sandbox}) {
+    const user = deviceToken ? {xblToken, deviceToken, titleToken} : {xblToken};
+    if (sandbox) user.sandbox = sandbox;
+    return user;
+}
+
+export async function authenticateXboxUser(msAccessToken, sandbox) {
+    if (env.XBOX_AUTH_MODE === "sisu") return sisuAuthorize(msAccessToken, {sandbox});
+    return {xblToken: await getXBLToken(msAccessToken), sandbox};
+}
+
+async function mintXsts(user, relyingParty, tokenKey, xstsKey) {
+    const info = await getXSTSToken(user.xblToken, relyingParty, user);
+    const uhs = info.DisplayClaims?.xui?.[0]?.uhs;
+    return {
+        xsts: {[xstsKey]: info},
+        [tokenKey]: xblHeader(uhs, info.Token),
+        expiresAt: {[tokenKey]: parseExpiry(info.NotAfter)}
+    };
+}
+
+async function mintRelyingPartyToken(user, {name, relyingParty}) {
+    const info = await getXSTSToken(user.xblToken, relyingParty, user);
+    const uhs = info.DisplayClaims?.xui?.[0]?.uhs;
+    return {
+        xsts: {[name]: info},
+        relyingPartyTokens: {[name]: xblHeader(uhs, info.Token)},
+        expiresAt: {[`relyingPartyTokens.${name}`]: parseExpiry(info.NotAfter)}
+    };
+}
+
+async function mintXboxIdentity(user) {
+    const xbox = await mintXsts(user, XBOX_RELYING_PARTY, "xboxliveToken", "xbox");
+    const {xid, uhs, gtg} = xbox.xsts.xbox.DisplayClaims?.xui?.[0] || {};
+    return {xuid: xid, gamertag: gtg, uhs, ...xbox};
+}
+
+export async function mintXboxTokens(user, {redeem = true, playfab = true, relyingParties = []} = {}) {
+    const xbox = await mintXboxIdentity(user);
+    const parts = [];
+    if (redeem) parts.push(await mintXsts(user, REDEEM_RELYING_PARTY, "redeemToken", "redeem"));
+    if (playfab) parts.push(await mintXsts(user, PLAYFAB_RELYING_PARTY, "playfabToken", "playfab"));
+    for (const rp of RELYING_PARTIES.filter(rp => relyingParties.includes(rp.name))) parts.push(await mintRelyingPartyToken(user, rp));
+    return parts.reduce(mergeTokens, {...xboxUserTokens(user), ...xbox});
+}
+
+export async function mintMinecraftToken(sessionTicket) {
+    const mcToken = await getMCToken(sessionTicket);
+    return {mcToken, expiresAt: {mcToken: mcTokenExpiry(mcToken)}};
+}
+
+export async function mintEntityTokens(sessionTicket, playFabId) {
+    const entityData = await getEntityToken(sessionTicket);
+    const masterEntityData = playFabId ? await getEntityToken(sessionTicket, {
+        Type: "master_player_account", Id: playFabId
+    }) : null;
+    return {
+        entityToken: entityData.EntityToken,
+        entityTokenExpiresOn: entityData.TokenExpiration,
+        entityTokenMaster: masterEntityData?.EntityToken,
+        entityTokenMasterExpiresOn: masterEntityData?.TokenExpiration,
+        expiresAt: {
+            entityToken: parseExpiry(entityData.TokenExpiration),
+            entityTokenMaster: parseExpiry(masterEntityData?.TokenExpiration)
+        }
+    };
+}
+
+async function loginPlayFab(playfabToken, titleId = env.PLAYFAB_TITLE_ID || "20ca2") {
+    const login = await loginWithXbox(playfabToken, titleId);
+    return {
+        sessionTicket: login.SessionTicket,
+        playFabId: login.PlayFabId,
+        expiresAt: {sessionTicket: parseExpiry(login.EntityToken?.TokenExpiration) || Date.now() + SESSION_TICKET_TTL_MS}
+    };
+}
+
+export async function mintPlayFabTokens(playfabToken, titleId) {
+    const login = await loginPlayFab(playfabToken, titleId);
+    const minecraft = await mintMinecraftToken(login.sessionTicket);
+    const entity = await mintEntityTokens(login.sessionTicket, login.playFabId);
+    return [minecraft, entity].reduce(mergeTokens, login);
+}
+
+export const TOKEN_TARGETS = [...BUILTIN_TARGETS, ...RELYING_PARTIES.map(rp => rp.name)];
+
+const TARGET_DEPENDENCIES = {minecraft: ["playfab"], entity: ["playfab"]};
+
+const TOKEN_LEGS = {
+    xbox: user => mintXboxIdentity(user),
+    redeem: user => mintXsts(user, REDEEM_RELYING_PARTY, "redeemToken", "redeem"),
+    playfab: async user => {
+        const xsts = await mintXsts(user, PLAYFAB_RELYING_PARTY, "playfabToken", "playfab");
+        return mergeTokens(xsts, await loginPlayFab(xsts.playfabToken));
+    },
+    minecraft: ({sessionTicket}) => mintMinecraftToken(sessionTicket),
+    entity: ({sessionTicket, playFabId}) => mintEntityTokens(sessionTicket, playFabId),
+    ...Object.fromEntries(RELYING_PARTIES.map(rp => [rp.name, user => mintRelyingPartyToken(user, rp)]))
+};
+
+export function resolveTargets(targets = TOKEN_TARGETS) {
+    const wanted = new Set(["xbox"]);
+    for (const target of targets) {
+        wanted.add(target);
+        for (const dependency of TARGET_DEPENDENCIES[target] || []) wanted.add(dependency);
+    }
+    return TOKEN_TARGETS.filter(t => wanted.has(t));
+}
+
+function legError(err) {
+    const out = {
+        status: err.status || err.response?.status || 500,
+        code: err.code || "INTERNAL",
+        message: err.message || "Token leg failed"
+    };
+    if (err.details) out.details = err.details;
+    return out;
+}
+
+export async function runTokenPipeline(user, targets, legs = TOKEN_LEGS) {
+    let bundle = xboxUserTokens(user);
+    const errors = {};
+    for (const target of resolveTargets(targets)) {
+        const failed = (TARGET_DEPENDENCIES[target] || []).filter(dep => errors[dep]);
+        if (failed.length) {
+            errors[target] = {status: 424, code: "DEPENDENCY_FAILED", message: `Skipped because ${failed.join(", ")} failed`};
+            continue;
+        }
+        try {
+            bundle = mergeTokens(bundle, await legs[target](bundle));
+        } catch (err) {
+            if (target === "xbox") throw err;
+            errors[target] = legError(err);
+        }
+    }
+    return {bundle, errors};
+}
+
+export async function mintTokenBundle(tokenData, previousRefreshToken, targets, sandbox) {
+    const ms = msTokenFields(tokenData, previousRefreshToken);
+    const user = await authenticateXboxUser(ms.msAccessToken, sandbox);
+    const {bundle, errors} = await runTokenPipeline(user, targets);
+    const out = mergeTokens(ms, bundle);
+    if (Object.keys(errors).length) out.errors = errors;
+    return out;
+}
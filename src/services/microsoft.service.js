@@ -1,20 +1,40 @@
 import {env} from "../config/env.js";
-import {badRequest, internal} from "../utils/httpError.js";
+import {HttpError, badRequest} from "../utils/httpError.js";
 import {createHttp} from "../utils/http.js";
+import {upstreamError} from "../utils/upstreamError.js";
 
-const http = createHttp(env.HTTP_TIMEOUT_MS);
+const http = createHttp(env.HTTP_TIMEOUT_MS, "microsoft");
 
-const DEVICE_CODE_URL = "https://login.live.com/oauth20_connect.srf";
-const TOKEN_URL = "https://login.live.com/oauth20_token.srf";
+const DEVICE_CODE_URL = `${env.MS_LOGIN_BASE_URL}/oauth20_connect.srf`;
+const AUTHORIZE_URL = `${env.MS_LOGIN_BASE_URL}/oauth20_authorize.srf`;
+const TOKEN_URL = `${env.MS_LOGIN_BASE_URL}/oauth20_token.srf`;
 const SCOPE = "service::user.auth.xboxlive.com::MBI_SSL";
 
+const DEVICE_FLOW_ERRORS = {
+    authorization_pending: ["Authorization pending", "AUTHORIZATION_PENDING"],
+    slow_down: ["Polling too frequently, slow down", "SLOW_DOWN"],
+    expired_token: ["Device code expired, request a new one", "DEVICE_CODE_EXPIRED"],
+    authorization_declined: ["Sign-in was declined by the user", "AUTHORIZATION_DECLINED"],
+    bad_verification_code: ["Unknown device_code", "INVALID_DEVICE_CODE"]
+};
+
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener("abort", () => {
+            clearTimeout(timer);
+            resolve();
+        }, {once: true});
+    });
+}
+
 export async function requestDeviceCode(clientId) {
     try {
         const body = new URLSearchParams({client_id: clientId, scope: SCOPE, response_type: "device_code"});
         const {data} = await http.post(DEVICE_CODE_URL, body.toString(), {headers: {"content-type": "application/x-www-form-urlencoded"}});
         return data;
     } catch (err) {
-        throw internal("Failed to request device code", err.response?.data || err.message);
+        throw upstreamError(err, "MS_LOGIN", "Failed to request device code");
     }
 }
 
@@ -27,13 +47,73 @@ export async function getTokenFromDeviceCode(clientId, deviceCode) {
         const {data} = await http.post(TOKEN_URL, body.toString(), {headers: {"content-type": "application/x-www-form-urlencoded"}});
         return data;
     } catch (err) {
+        if (err instanceof HttpError) throw err;
+        const payload = err.response?.data;
+        const known = DEVICE_FLOW_ERRORS[payload?.error];
+        if (known) throw new HttpError(400, known[0], payload.error_description, known[1]);
+        throw upstreamError(err, "MS_LOGIN", "Failed to exchange device_code");
+    }
+}
+
+export async function pollTokenFromDeviceCode(clientId, deviceData, {signal, onStatus} = {}) {
+    let intervalSec = Math.max(1, Number(deviceData?.interval) || 5);
+    const deadline = Date.now() + (Number(deviceData?.expires_in) || 900) * 1000;
+    while (!signal?.aborted) {
+        await sleep(intervalSec * 1000, signal);
+        if (signal?.aborted) break;
+        if (Date.now() >= deadline) throw new HttpError(400, DEVICE_FLOW_ERRORS.expired_token[0], undefined, "DEVICE_CODE_EXPIRED");
+        try {
+            return await getTokenFromDeviceCode(clientId, deviceData.device_code);
+        } catch (err) {
+            if (err.code === "AUTHORIZATION_PENDING") {
+                onStatus?.("pending", {interval: intervalSec});
+                continue;
+            }
+            if (err.code === "SLOW_DOWN") {
+                intervalSec += 5;
+                onStatus?.("slow_down", {interval: intervalSec});
+                continue;
+            }
+            throw err;
+        }
+    }
+    return null;
+}
+
+export function buildAuthorizeUrl({clientId, redirectUri, state, codeChallenge, prompt}) {
+    const params = new URLSearchParams({
+        client_id: clientId,
+        response_type: "code",
+        redirect_uri: redirectUri,
+        scope: SCOPE,
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256"
+    });
+    if (prompt) params.set("prompt", prompt);
+    return `${AUTHORIZE_URL}?${params}`;
+}
+
+export async function getTokenFromAuthCode(clientId, code, redirectUri, codeVerifier) {
+    if (!code) throw badRequest("code is required");
+    try {
+        const body = new URLSearchParams({
+            client_id: clientId,
+            grant_type: "authorization_code",
+            code,
+            redirect_uri: redirectUri,
+            code_verifier: codeVerifier,
+            scope: SCOPE
+        });
+        const {data} = await http.post(TOKEN_URL, body.toString(), {headers: {"content-type": "application/x-www-form-urlencoded"}});
+        return data;
+    } catch (err) {
+        if (err instanceof HttpError) throw err;
         const payload = err.response?.data;
-        if (payload?.error === "authorization_pending") {
-            const e = badRequest("Authorization pending");
-            e.details = payload.error_description;
-            throw e;
+        if (payload?.error === "invalid_grant") {
+            throw new HttpError(400, "Authorization code is invalid or expired", payload.error_description, "INVALID_AUTHORIZATION_CODE");
         }
-        throw internal("Failed to exchange device_code", payload || err.message);
+        throw upstreamError(err, "MS_LOGIN", "Failed to exchange authorization code");
     }
 }
 
@@ -46,7 +126,6 @@ export async function refreshMsToken(clientId, refreshToken) {
         const {data} = await http.post(TOKEN_URL, body.toString(), {headers: {"content-type": "application/x-www-form-urlencoded"}});
         return data;
     } catch (err) {
-        const payload = err.response?.data;
-        throw internal("Failed to refresh ms token", payload || err.message);
+        throw upstreamError(err, "MS_LOGIN", "Failed to refresh ms token");
     }
 }
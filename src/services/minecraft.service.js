@@ -2,16 +2,17 @@ import {randomUUID} from "crypto";
 import jwtLib from "jsonwebtoken";
 
 import {env} from "../config/env.js";
-import {HttpError, badRequest, conflict, forbidden, internal, unauthorized} from "../utils/httpError.js";
+import {badRequest, internal} from "../utils/httpError.js";
 import {createHttp} from "../utils/http.js";
+import {upstreamError} from "../utils/upstreamError.js";
 
-const AUTH_BASE = "https://authorization.franchise.minecraft-services.net/api/v1.0/session/start";
-const ENTITLEMENTS_BASE = "https://entitlements.mktpl.minecraft-services.net/api/v1.0";
-const STORE_BASE = "https://store.mktpl.minecraft-services.net/api/v1.0";
-const STORE_BASE_V2 = "https://store.mktpl.minecraft-services.net/api/v2.0";
-const MESSAGING_BASE = "https://messaging.mktpl.minecraft-services.net/api/v1.0";
+const AUTH_BASE = `${env.MC_AUTH_BASE_URL}/api/v1.0/session/start`;
+const ENTITLEMENTS_BASE = `${env.MC_ENTITLEMENTS_BASE_URL}/api/v1.0`;
+const STORE_BASE = `${env.MC_STORE_BASE_URL}/api/v1.0`;
+const STORE_BASE_V2 = `${env.MC_STORE_BASE_URL}/api/v2.0`;
+const MESSAGING_BASE = `${env.MC_MESSAGING_BASE_URL}/api/v1.0`;
 
-const http = createHttp(env.HTTP_TIMEOUT_MS);
+const http = createHttp(env.HTTP_TIMEOUT_MS, "minecraft");
 
 function getHeader(headers, names) {
     for (const name of names) {
@@ -114,19 +115,7 @@ export async function getMCToken(sessionTicket) {
             htmlSnippet: isString ? res.data.slice(0, 800) : undefined
         });
     } catch (err) {
-        if (err instanceof HttpError) throw err;
-        const status = err.response?.status;
-        const detail = err.details || err.response?.data || err.message || err;
-        if (status === 401) {
-            throw unauthorized("Failed to get Minecraft token", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to get Minecraft token", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw unauthorized("Failed to get Minecraft token", detail);
-        }
-        throw internal("Failed to get Minecraft token", detail);
+        throw upstreamError(err, "MC_AUTH", "Failed to get Minecraft token");
     }
 }
 
@@ -138,18 +127,7 @@ export async function getMCInventory(mcToken, includeReceipt = false) {
         const entitlements = data?.result?.inventory?.entitlements || [];
         return entitlements;
     } catch (err) {
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message || err;
-        if (status === 401) {
-            throw unauthorized("Failed to get MC inventory", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to get MC inventory", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw unauthorized("Failed to get MC inventory", detail);
-        }
-        throw internal("Failed to get MC inventory", detail);
+        throw upstreamError(err, "MC_ENTITLEMENTS", "Failed to get MC inventory");
     }
 }
 
@@ -231,18 +209,7 @@ export async function getMCBalances(mcToken) {
         const {data} = await http.post(url, {}, {headers: {Authorization: mcToken, Accept: "application/json"}});
         return data;
     } catch (err) {
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message || err;
-        if (status === 401) {
-            throw unauthorized("Failed to get MC balances", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to get MC balances", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw unauthorized("Failed to get MC balances", detail);
-        }
-        throw internal("Failed to get MC balances", detail);
+        throw upstreamError(err, "MC_ENTITLEMENTS", "Failed to get MC balances");
     }
 }
 
@@ -268,25 +235,7 @@ export async function getMCWishlistPage(mcToken, body = {}) {
             meta: versions
         };
     } catch (err) {
-        if (err instanceof HttpError) throw err;
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message || err;
-        if (status === 401) {
-            throw unauthorized("Failed to get MC wishlist", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to get MC wishlist", detail);
-        }
-        if (status === 409) {
-            throw conflict("Failed to get MC wishlist", detail);
-        }
-        if (status === 400) {
-            throw badRequest("Failed to get MC wishlist", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw unauthorized("Failed to get MC wishlist", detail);
-        }
-        throw internal("Failed to get MC wishlist", detail);
+        throw upstreamError(err, "MC_STORE", "Failed to get MC wishlist");
     }
 }
 
@@ -326,25 +275,7 @@ export async function getMCCapesPage(mcToken, body = {}) {
             meta: versions
         };
     } catch (err) {
-        if (err instanceof HttpError) throw err;
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message || err;
-        if (status === 401) {
-            throw unauthorized("Failed to get MC capes", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to get MC capes", detail);
-        }
-        if (status === 409) {
-            throw conflict("Failed to get MC capes", detail);
-        }
-        if (status === 400) {
-            throw badRequest("Failed to get MC capes", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw unauthorized("Failed to get MC capes", detail);
-        }
-        throw internal("Failed to get MC capes", detail);
+        throw upstreamError(err, "MC_STORE", "Failed to get MC capes");
     }
 }
 
@@ -373,25 +304,7 @@ export async function updateMCWishlist(mcToken, body = {}) {
             data: res.data
         };
     } catch (err) {
-        if (err instanceof HttpError) throw err;
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message || err;
-        if (status === 401) {
-            throw unauthorized("Failed to update MC wishlist", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to update MC wishlist", detail);
-        }
-        if (status === 409) {
-            throw conflict("Failed to update MC wishlist", detail);
-        }
-        if (status === 400) {
-            throw badRequest("Failed to update MC wishlist", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw unauthorized("Failed to update MC wishlist", detail);
-        }
-        throw internal("Failed to update MC wishlist", detail);
+        throw upstreamError(err, "MC_STORE", "Failed to update MC wishlist");
     }
 }
 
@@ -429,18 +342,7 @@ export async function startMarketplaceMessagingSession(mcToken, options = {}) {
             sessionHeaderId
         };
     } catch (err) {
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message || err;
-        if (status === 401) {
-            throw unauthorized("Failed to start marketplace messaging session", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to start marketplace messaging session", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw unauthorized("Failed to start marketplace messaging session", detail);
-        }
-        throw internal("Failed to start marketplace messaging session", detail);
+        throw upstreamError(err, "MC_MESSAGING", "Failed to start marketplace messaging session");
     }
 }
 
@@ -506,18 +408,6 @@ export async function sendMarketplaceMessageEvents(mcToken, options = {}) {
             sessionHeaderId
         };
     } catch (err) {
-        if (err instanceof HttpError) throw err;
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message || err;
-        if (status === 401) {
-            throw unauthorized("Failed to send marketplace messaging event", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to send marketplace messaging event", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw unauthorized("Failed to send marketplace messaging event", detail);
-        }
-        throw internal("Failed to send marketplace messaging event", detail);
+        throw upstreamError(err, "MC_MESSAGING", "Failed to send marketplace messaging event");
     }
 }
@@ -1,17 +1,22 @@
 import {env} from "../config/env.js";
-import {badRequest, forbidden, internal, unauthorized} from "../utils/httpError.js";
+import {badRequest} from "../utils/httpError.js";
 import {createHttp} from "../utils/http.js";
+import {upstreamError} from "../utils/upstreamError.js";
 
-const http = createHttp(env.HTTP_TIMEOUT_MS);
+const http = createHttp(env.HTTP_TIMEOUT_MS, "playfab");
 
 export function resolvePlayFabTitleId(titleId = env.PLAYFAB_TITLE_ID) {
     if (!titleId) throw badRequest("PLAYFAB_TITLE_ID missing. Set it in .env");
     return titleId;
 }
 
+function playfabUrl(titleId, path) {
+    return `${env.PLAYFAB_BASE_URL.replaceAll("{titleId}", titleId)}${path}`;
+}
+
 export async function loginWithXbox(xstsToken, titleId = env.PLAYFAB_TITLE_ID) {
     const resolvedTitleId = resolvePlayFabTitleId(titleId);
-    const baseUrl = `https://${resolvedTitleId}.playfabapi.com/Client/LoginWithXbox`;
+    const baseUrl = playfabUrl(resolvedTitleId, "/Client/LoginWithXbox");
     try {
         const {data} = await http.post(baseUrl, {
             TitleId: titleId,
@@ -21,25 +26,14 @@ export async function loginWithXbox(xstsToken, titleId = env.PLAYFAB_TITLE_ID) {
         }, {headers: {"Content-Type": "application/json", Accept: "application/json"}});
         return data.data;
     } catch (err) {
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message;
-        if (status === 401) {
-            throw unauthorized("Failed to login with Xbox (PlayFab)", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to login with Xbox (PlayFab)", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw badRequest("Failed to login with Xbox (PlayFab)", detail);
-        }
-        throw internal("Failed to login with Xbox (PlayFab)", detail);
+        throw upstreamError(err, "PLAYFAB", "Failed to login with Xbox (PlayFab)");
     }
 }
 
 export async function getEntityToken(sessionTicket, entity, titleId = env.PLAYFAB_TITLE_ID) {
     if (!sessionTicket) throw badRequest("sessionTicket is required");
     const resolvedTitleId = resolvePlayFabTitleId(titleId);
-    const url = `https://${resolvedTitleId}.playfabapi.com/Authentication/GetEntityToken`;
+    const url = playfabUrl(resolvedTitleId, "/Authentication/GetEntityToken");
     try {
         const {data} = await http.post(url, entity ? {Entity: entity} : {}, {
             headers: {
@@ -48,49 +42,27 @@ export async function getEntityToken(sessionTicket, entity, titleId = env.PLAYFA
         });
         return data.data;
     } catch (err) {
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message;
-        if (status === 401) {
-            throw unauthorized("Failed to get PlayFab EntityToken", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to get PlayFab EntityToken", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw badRequest("Failed to get PlayFab EntityToken", detail);
-        }
-        throw internal("Failed to get PlayFab EntityToken", detail);
+        throw upstreamError(err, "PLAYFAB", "Failed to get PlayFab EntityToken");
     }
 }
 
 export async function getPlayFabInventory(entityToken, entityId, entityType = "title_player_account", collectionId = "default", count = 50, titleId = env.PLAYFAB_TITLE_ID) {
     if (!entityToken || !entityId) throw badRequest("entityToken and entityId are required");
     const resolvedTitleId = resolvePlayFabTitleId(titleId);
-    const url = `https://${resolvedTitleId}.playfabapi.com/Inventory/GetInventoryItems`;
+    const url = playfabUrl(resolvedTitleId, "/Inventory/GetInventoryItems");
     try {
         const {data} = await http.post(url, {
             Entity: {Type: entityType, Id: entityId}, CollectionId: collectionId, Count: count
         }, {headers: {"Content-Type": "application/json", "X-EntityToken": entityToken, Accept: "application/json"}});
         return data.data;
     } catch (err) {
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message;
-        if (status === 401) {
-            throw unauthorized("Failed to get PlayFab inventory", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to get PlayFab inventory", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw badRequest("Failed to get PlayFab inventory", detail);
-        }
-        throw internal("Failed to get PlayFab inventory", detail);
+        throw upstreamError(err, "PLAYFAB", "Failed to get PlayFab inventory");
     }
 }
 
 export async function getPlayFabAccountInfo(sessionTicket) {
     if (!sessionTicket) throw badRequest("sessionTicket is required");
-    const url = `https://${env.PLAYFAB_TITLE_ID}.playfabapi.com/Client/GetAccountInfo`;
+    const url = playfabUrl(env.PLAYFAB_TITLE_ID, "/Client/GetAccountInfo");
     try {
         const {data} = await http.post(url, {}, {
             headers: {
@@ -99,24 +71,13 @@ export async function getPlayFabAccountInfo(sessionTicket) {
         });
         return data.data;
     } catch (err) {
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message;
-        if (status === 401) {
-            throw unauthorized("Failed to get PlayFab account info", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to get PlayFab account info", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw badRequest("Failed to get PlayFab account info", detail);
-        }
-        throw internal("Failed to get PlayFab account info", detail);
+        throw upstreamError(err, "PLAYFAB", "Failed to get PlayFab account info");
     }
 }
 
 export async function getPlayFabPlayerProfile(sessionTicket, playFabId) {
     if (!sessionTicket) throw badRequest("sessionTicket is required");
-    const url = `https://${env.PLAYFAB_TITLE_ID}.playfabapi.com/Client/GetPlayerProfile`;
+    const url = playfabUrl(env.PLAYFAB_TITLE_ID, "/Client/GetPlayerProfile");
     try {
         const body = playFabId ? {PlayFabId: playFabId} : {};
         const {data} = await http.post(url, body, {
@@ -126,24 +87,13 @@ export async function getPlayFabPlayerProfile(sessionTicket, playFabId) {
         });
         return data.data;
     } catch (err) {
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message;
-        if (status === 401) {
-            throw unauthorized("Failed to get PlayFab player profile", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to get PlayFab player profile", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw badRequest("Failed to get PlayFab player profile", detail);
-        }
-        throw internal("Failed to get PlayFab player profile", detail);
+        throw upstreamError(err, "PLAYFAB", "Failed to get PlayFab player profile");
     }
 }
 
 export async function getPlayFabCatalog(sessionTicket, catalogVersion) {
     if (!sessionTicket) throw badRequest("sessionTicket is required");
-    const url = `https://${env.PLAYFAB_TITLE_ID}.playfabapi.com/Client/GetCatalogItems`;
+    const url = playfabUrl(env.PLAYFAB_TITLE_ID, "/Client/GetCatalogItems");
     try {
         const {data} = await http.post(url, catalogVersion ? {CatalogVersion: catalogVersion} : {}, {
             headers: {
@@ -152,24 +102,13 @@ export async function getPlayFabCatalog(sessionTicket, catalogVersion) {
         });
         return data.data;
     } catch (err) {
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message;
-        if (status === 401) {
-            throw unauthorized("Failed to get PlayFab catalog", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to get PlayFab catalog", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw badRequest("Failed to get PlayFab catalog", detail);
-        }
-        throw internal("Failed to get PlayFab catalog", detail);
+        throw upstreamError(err, "PLAYFAB", "Failed to get PlayFab catalog");
     }
 }
 
 export async function getPlayFabTitleData(sessionTicket, keys) {
     if (!sessionTicket) throw badRequest("sessionTicket is required");
-    const url = `https://${env.PLAYFAB_TITLE_ID}.playfabapi.com/Client/GetTitleData`;
+    const url = playfabUrl(env.PLAYFAB_TITLE_ID, "/Client/GetTitleData");
     try {
         const {data} = await http.post(url, keys?.length ? {Keys: keys} : {}, {
             headers: {
@@ -178,24 +117,13 @@ export async function getPlayFabTitleData(sessionTicket, keys) {
         });
         return data.data;
     } catch (err) {
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message;
-        if (status === 401) {
-            throw unauthorized("Failed to get PlayFab title data", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to get PlayFab title data", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw badRequest("Failed to get PlayFab title data", detail);
-        }
-        throw internal("Failed to get PlayFab title data", detail);
+        throw upstreamError(err, "PLAYFAB", "Failed to get PlayFab title data");
     }
 }
 
 export async function getPlayFabUserData(sessionTicket, keys, playFabId) {
     if (!sessionTicket) throw badRequest("sessionTicket is required");
-    const url = `https://${env.PLAYFAB_TITLE_ID}.playfabapi.com/Client/GetUserData`;
+    const url = playfabUrl(env.PLAYFAB_TITLE_ID, "/Client/GetUserData");
     try {
         const body = {};
         if (Array.isArray(keys) && keys.length) body.Keys = keys;
@@ -207,24 +135,13 @@ export async function getPlayFabUserData(sessionTicket, keys, playFabId) {
         });
         return data.data;
     } catch (err) {
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message;
-        if (status === 401) {
-            throw unauthorized("Failed to get PlayFab user data", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to get PlayFab user data", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw badRequest("Failed to get PlayFab user data", detail);
-        }
-        throw internal("Failed to get PlayFab user data", detail);
+        throw upstreamError(err, "PLAYFAB", "Failed to get PlayFab user data");
     }
 }
 
 export async function getPlayFabUserReadOnlyData(sessionTicket, keys, playFabId) {
     if (!sessionTicket) throw badRequest("sessionTicket is required");
-    const url = `https://${env.PLAYFAB_TITLE_ID}.playfabapi.com/Client/GetUserReadOnlyData`;
+    const url = playfabUrl(env.PLAYFAB_TITLE_ID, "/Client/GetUserReadOnlyData");
     try {
         const body = {};
         if (Array.isArray(keys) && keys.length) body.Keys = keys;
@@ -236,17 +153,6 @@ export async function getPlayFabUserReadOnlyData(sessionTicket, keys, playFabId)
         });
         return data.data;
     } catch (err) {
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message;
-        if (status === 401) {
-            throw unauthorized("Failed to get PlayFab read-only user data", detail);
-        }
-        if (status === 403) {
-            throw forbidden("Failed to get PlayFab read-only user data", detail);
-        }
-        if (status && status >= 400 && status < 500) {
-            throw badRequest("Failed to get PlayFab read-only user data", detail);
-        }
-        throw internal("Failed to get PlayFab read-only user data", detail);
+        throw upstreamError(err, "PLAYFAB", "Failed to get PlayFab read-only user data");
     }
 }
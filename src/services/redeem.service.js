@@ -1,11 +1,12 @@
 import {env} from "../config/env.js";
-import {HttpError, badRequest, forbidden, internal, unauthorized} from "../utils/httpError.js";
+import {badRequest} from "../utils/httpError.js";
 import {createHttp} from "../utils/http.js";
+import {upstreamError} from "../utils/upstreamError.js";
 
-const REDEEM_BASE = "https://buynow.production.store-web.dynamics.com/v1.0/Redeem";
+const REDEEM_BASE = `${env.REDEEM_BASE_URL}/v1.0/Redeem`;
 const APP_ID = "RedeemNow";
 
-const http = createHttp(env.HTTP_TIMEOUT_MS);
+const http = createHttp(env.HTTP_TIMEOUT_MS, "redeem");
 
 const EXACT_FLIGHTS = ["sc_reactredeem,sc_reactredeemv2,sc_redeemcontainer,sc_minecraftredeem", "sc_abandonedretry", "sc_addasyncpitelemetry", "sc_adddatapropertyiap", "sc_addgifteeduringordercreation", "sc_aemparamforimage", "sc_aienabledversusairestricted", "sc_allowalipayforcheckout", "sc_allowapplepay", "sc_allowbuynowrupay", "sc_allowcustompifiltering", "sc_allowelo", "sc_allowfincastlerewardsforsubs", "sc_allowgooglepay", "sc_allowmpesapi", "sc_allowparallelorderload", "sc_allowpaypay", "sc_allowpaypayforcheckout", "sc_allowpaysafecard", "sc_allowrupay", "sc_allowrupayforcheckout", "sc_allowsmdmarkettobeprimarypi", "sc_allowupi", "sc_allowupiforbuynow", "sc_allowupiforcheckout", "sc_allowupiqr", "sc_allowupiqrforbuynow", "sc_allowupiqrforcheckout", "sc_allowvenmo", "sc_allowvenmoforbuynow", "sc_allowvenmoforcheckout", "sc_allowverve", "sc_analyticsforbuynow", "sc_announcefatalerror", "sc_announceprice", "sc_apperrorboundarytsenabled", "sc_askaparentinsufficientbalance", "sc_askaparenttsenabled", "sc_asyncpiurlupdate", "sc_asyncpurchasefailure", "sc_asyncpurchasefailurexboxcom", "sc_authactionts", "sc_autorenewalconsentnarratorfix", "sc_bankchallenge", "sc_bankchallengecheckout", "sc_blockcsvpurchasefrombuynow", "sc_blocklegacyupgrade", "sc_buynowfocustrapkeydown", "sc_buynowglobalpiadd", "sc_buynowlistpichanges", "sc_buynowsubscriptionlegalterms", "sc_buynowuipreload", "sc_buynowuiprod", "sc_cartcofincastle", "sc_cartcopaymentoptioncssrefactor", "sc_cawarrantytermsv2", "sc_checkoutglobalpiadd", "sc_checkoutitemfontweight", "sc_checkoutredeem", "sc_clientdebuginfo", "sc_clienttelemetryforceenabled", "sc_clienttorequestorid", "sc_commercialcheckout", "sc_conditionalprepareredeempaymentmethods", "sc_contactpreferenceactionts", "sc_contactpreferenceupdate", "sc_contactpreferenceupdatexboxcom", "sc_controllerscrollenabled", "sc_conversionblockederror", "sc_copycurrentcart", "sc_cpdeclinedv2", "sc_decomposeproductdetails", "sc_delayretry", "sc_deprecatesubscriptionprice", "sc_devicerepairpifilter", "sc_digitallicenseterms", "sc_disableupgradetrycheckout", "sc_eligibilityapi", "sc_emptyresultcheck", "sc_enablecartcreationerrorparsing", "sc_enablekakaopay", "sc_errorpageviewfix", "sc_errorstringsts", "sc_euomnibusprice", "sc_expandedpaymentmethodswithlogos", "sc_expandedpurchasespinner", "sc_expresscheckoutpaymentinstrumentinfo", "sc_extendpagetagtooverride", "sc_fatalerrorfirstbuttonfocus", "sc_fetchlivepersonfromparentwindow", "sc_fincastlebuynowallowlist", "sc_fincastlebuynowv2strings", "sc_fincastlecalculation", "sc_fincastlecallerapplicationidcheck", "sc_fincastleui", "sc_fingerprinttagginglazyload", "sc_fixredeemautorenew", "sc_flexibleoffers", "sc_flexsubs", "sc_fullpagespinnerfix", "sc_gamepadfix", "sc_gamepadscrollsmarttv", "sc_gcodetailsentity", "sc_giftingtelemetryfix", "sc_giftlabelsupdate", "sc_globalhidecssphonenumber", "sc_greenshipping", "sc_handledccemptyresponse", "sc_hideredeemclient", "sc_hidesubscriptionprice", "sc_hipercard", "sc_imagelazyload", "sc_inlineshippingselectormsa", "sc_inlinetempfix", "sc_inputplaceholder", "sc_isaskaparentstringsv2", "sc_isremovesubardigitalattach", "sc_jarvisconsumerprofile", "sc_klarna", "sc_lineitemactionts", "sc_livepersonlistener", "sc_loadingspinner", "sc_lowbardiscountmap", "sc_mapinapppostdata", "sc_marketswithmigratingcssphonenumber", "sc_microsoftpremiuminstruction", "sc_microsoftpremiuminstructionstring", "sc_moraystyle", "sc_moraystyledevicerepair", "sc_narratoraddress", "sc_newcheckoutselectorforxboxcom", "sc_newconversionurl", "sc_newflexiblepaymentsmessage", "sc_newrecoprod", "sc_noawaitforupdateordercall", "sc_norcalifornialaw", "sc_norcalifornialawlog", "sc_norcalifornialawstate", "sc_officescds", "sc_optionalcatalogclienttype", "sc_ordercheckoutfix", "sc_orderpisyncdisabled", "sc_outofstock", "sc_passthroughculture", "sc_paymentmethodchangepifix", "sc_paymentoptionnotfound", "sc_paymentsessioninsummarypage", "sc_perpetualpass", "sc_pidlignoreesckey", "sc_pitelemetryupdates", "sc_postpurchasedatatosva", "sc_preloadpidlcontainerts", "sc_productimageoptimization", "sc_prominenteddchange", "sc_promocode", "sc_promocodecheckout", "sc_purchaseblock", "sc_purchaseblockerrorhandling", "sc_purchasedblocked", "sc_purchasedblockedby", "sc_pxenablesubheadingfordisplayhint", "sc_quantitycap", "sc_railv2", "sc_reactcheckout", "sc_readytopurchasefix", "sc_redeemfocusforce", "sc_redeemstoreappv2", "sc_reloadiflineitemdiscrepancy", "sc_removeresellerforstoreapp", "sc_resellerdetail", "sc_restoregiftfieldlimits", "sc_returnoospsatocart", "sc_routechangemessagetoxboxcom", "sc_rspv2", "sc_scenariotelemetryrefactor", "sc_selectcontrol", "sc_setbehaviordefaultvalue", "sc_shippingallowlist", "sc_showcontactsupportlink", "sc_skippurchaseconfirm", "sc_skipselectpi", "sc_smarttvforcefullgamepadlibrary", "sc_smarttvlegaltermsfocusfix", "sc_splipidltresourcehelper", "sc_splittaxv2", "sc_staticassetsimport", "sc_surveyurlv2", "sc_termidinaddlineitems", "sc_testflight", "sc_typofixforrealtimepayments", "sc_updateallowedpaymentmethodstoadd", "sc_updatebillinginfo", "sc_updatedcontactpreferencemarkets", "sc_updatetosubscriptionpricev2", "sc_updatewarrantycompletesurfaceproinlinelegalterm", "sc_updatewarrantytermslink", "sc_usecommonpaymentfilteringlogic", "sc_usefullminimaluhf", "sc_useresellernamestring", "sc_uuid", "sc_vsbsubscriptionlegalterms", "sc_xboxcomnosapi", "sc_xboxrecofix", "sc_xboxredirection", "sc_xboxvirtualkeyboardhandler", "sc_xdlshipbuffer"];
 const DEFAULT_CV_BASE = "KxTJT1WHsXNfQa9tF0zyhc";
@@ -85,24 +86,14 @@ function buildHeaders(redeemToken, flow, msCv) {
     return Object.fromEntries(Object.entries(headers).filter(([, value]) => value !== undefined && value !== null && value !== ""));
 }
 
-function throwRedeemError(err, message) {
-    const status = err.response?.status;
+function redeemError(err, message) {
     const headers = err.response?.headers || {};
-    const data = err.response?.data;
-    const detail = status ? {
-        status,
-        message: status === 423 ? "Microsoft locked or blocked this redeem request" : err.message,
-        body: data && (typeof data !== "string" || data.trim()) ? data : undefined,
+    return upstreamError(err, "REDEEM", message, {
+        hint: err.response?.status === 423 ? "Microsoft locked or blocked this redeem request" : undefined,
         azureRef: headers["x-azure-ref"],
         buildVersion: headers["build-version"],
-        msCv: headers["ms-cv"],
-        retryAfter: headers["retry-after"]
-    } : err.message || err;
-
-    if (status === 401) throw unauthorized(message, detail);
-    if (status === 403) throw forbidden(message, detail);
-    if (status >= 400 && status < 500) throw new HttpError(status, message, detail, `UPSTREAM_${status}`);
-    throw internal(message, detail);
+        msCv: headers["ms-cv"]
+    });
 }
 
 export async function prepareRedeem(redeemToken, {code, market, locale} = {}, flow = {}) {
@@ -136,7 +127,7 @@ export async function prepareRedeem(redeemToken, {code, market, locale} = {}, fl
         const {data} = await http.post(url, payload, {headers: buildHeaders(redeemToken, f, msCv)});
         return data;
     } catch (err) {
-        throwRedeemError(err, "Failed to lookup redeem token");
+        throw redeemError(err, "Failed to lookup redeem token");
     }
 }
 
@@ -166,6 +157,6 @@ export async function redeemCode(redeemToken, {code, paymentSessionId, market, l
         const {data} = await http.post(url, payload, {headers: buildHeaders(redeemToken, f, msCv)});
         return data;
     } catch (err) {
-        throwRedeemError(err, "Failed to redeem code");
+        throw redeemError(err, "Failed to redeem code");
     }
 }
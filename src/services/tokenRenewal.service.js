@@ -0,0 +1,83 @@
+import {env} from "../config/env.js";
+import {refreshMsToken} from "./microsoft.service.js";
+import {authenticateXboxUser, mintEntityTokens, mintMinecraftToken, mintPlayFabTokens, mintXboxTokens, msTokenFields} from "./auth.service.js";
+import {unauthorized} from "../utils/httpError.js";
+import {log} from "../utils/logger.js";
+import {expiringTokenKeys} from "../utils/tokenExpiry.js";
+import {getVaultSession, updateVaultSession} from "../utils/tokenVault.js";
+
+export const RENEWABLE_TOKEN_KEYS = ["xboxliveToken", "redeemToken", "playfabToken", "sessionTicket", "mcToken", "entityToken", "entityTokenMaster"];
+
+const XSTS_KEYS = ["xboxliveToken", "redeemToken", "playfabToken"];
+const RELYING_PARTY_PREFIX = "relyingPartyTokens.";
+const inFlight = new Map();
+
+function heldRelyingParties(session) {
+    return {
+        redeem: Boolean(session.redeemToken),
+        playfab: Boolean(session.playfabToken),
+        relyingParties: Object.keys(session.relyingPartyTokens || {})
+    };
+}
+
+async function renewXboxStage(session) {
+    const wanted = heldRelyingParties(session);
+    if (session.xblToken) {
+        try {
+            return await mintXboxTokens(session, wanted);
+        } catch (err) {
+            if (err.status !== 401) throw err;
+            log.info("XBL token rejected during renewal, falling back to msRefreshToken", err.code || err.name, err.message);
+        }
+    }
+    if (!session.msRefreshToken) throw unauthorized("Cannot renew Xbox tokens without msRefreshToken");
+    const ms = msTokenFields(await refreshMsToken(env.CLIENT_ID, session.msRefreshToken), session.msRefreshToken);
+    const xbox = await mintXboxTokens(await authenticateXboxUser(ms.msAccessToken, session.sandbox), wanted);
+    return {...ms, ...xbox, expiresAt: {...ms.expiresAt, ...xbox.expiresAt}};
+}
+
+function renewedKeys(patch) {
+    const rpKeys = Object.keys(patch.relyingPartyTokens || {}).map(name => `${RELYING_PARTY_PREFIX}${name}`);
+    return [...RENEWABLE_TOKEN_KEYS.filter(k => patch[k]), ...rpKeys];
+}
+
+export function planRenewal(expiresAt, skewMs = env.TOKEN_RENEWAL_SKEW_MS, now = Date.now()) {
+    const expiring = new Set(expiringTokenKeys(expiresAt, skewMs, now));
+    const playfab = expiring.has("sessionTicket");
+    return {
+        xbox: XSTS_KEYS.some(k => expiring.has(k)) || [...expiring].some(k => k.startsWith(RELYING_PARTY_PREFIX)),
+        playfab,
+        minecraft: !playfab && expiring.has("mcToken"),
+        entity: !playfab && (expiring.has("entityToken") || expiring.has("entityTokenMaster"))
+    };
+}
+
+export async function renewTokens(session, options = {}) {
+    const plan = planRenewal(session.expiresAt, options.skewMs, options.now);
+    if (!plan.xbox && !plan.playfab && !plan.minecraft && !plan.entity) return null;
+
+    let patch = {expiresAt: {}};
+    const merge = part => {
+        patch = {...patch, ...part, expiresAt: {...patch.expiresAt, ...part.expiresAt}};
+    };
+
+    if (plan.xbox) merge(await renewXboxStage(session));
+    if (plan.playfab) merge(await mintPlayFabTokens(patch.playfabToken || session.playfabToken));
+    if (plan.minecraft) merge(await mintMinecraftToken(session.sessionTicket));
+    if (plan.entity) merge(await mintEntityTokens(session.sessionTicket, session.playFabId));
+
+    return patch;
+}
+
+export function renewVaultSession(sid) {
+    if (inFlight.has(sid)) return inFlight.get(sid);
+    const job = (async () => {
+        const session = getVaultSession(sid);
+        const patch = session ? await renewTokens(session) : null;
+        if (!patch) return {renewed: [], tokens: {}};
+        updateVaultSession(sid, patch);
+        return {renewed: renewedKeys(patch), tokens: patch};
+    })().finally(() => inFlight.delete(sid));
+    inFlight.set(sid, job);
+    return job;
+}
@@ -1,10 +1,46 @@
 import crypto from "node:crypto";
 import {env} from "../config/env.js";
-import {badRequest, forbidden, internal, unauthorized} from "../utils/httpError.js";
+import {HttpError, badRequest, internal} from "../utils/httpError.js";
 import {createHttp} from "../utils/http.js";
+import {upstreamError} from "../utils/upstreamError.js";
 import {cached} from "../utils/cache.js";
-
-const http = createHttp(env.HTTP_TIMEOUT_MS);
+import {deviceIdFor, proofKeyJwk, signXboxRequest} from "../utils/xboxSigning.js";
+import {DEFAULT_SANDBOX} from "../utils/sandboxes.js";
+
+const http = createHttp(env.HTTP_TIMEOUT_MS, "xbox");
+const AUTH_RETRY = {retry: {methods: ["post"]}};
+
+// Signed requests carry a timestamp, so every attempt (including retries) is signed afresh.
+http.interceptors.request.use(config => {
+    if (config.signXbox) config.headers.set("Signature", signXboxRequest({method: config.method, url: config.url, body: config.data}));
+    return config;
+});
+
+const USER_AUTH_URL = `${env.XBOX_USER_AUTH_BASE_URL}/user/authenticate`;
+const DEVICE_AUTH_URL = `${env.XBOX_DEVICE_AUTH_BASE_URL}/device/authenticate`;
+const SISU_AUTHORIZE_URL = `${env.XBOX_SISU_BASE_URL}/authorize`;
+const XSTS_AUTHORIZE_URL = `${env.XBOX_XSTS_BASE_URL}/xsts/authorize`;
+const DEVICE_TOKEN_SKEW_MS = 5 * 60 * 1000;
+
+let deviceToken = null;
+
+const XSTS_ERRORS = {
+    2148916227: ["XSTS_ACCOUNT_BANNED", "This account is banned from Xbox Live", "https://enforcement.xbox.com/"],
+    2148916229: ["XSTS_GUARDIAN_PERMISSION_REQUIRED", "This account needs a parent or guardian's permission to play online", "https://account.microsoft.com/family/"],
+    2148916233: ["XSTS_NO_XBOX_PROFILE", "This Microsoft account has no Xbox profile yet, sign in at xbox.com once to create one", "https://www.xbox.com/live"],
+    2148916234: ["XSTS_TERMS_NOT_ACCEPTED", "This account has not accepted the Xbox Terms of Use", "https://www.xbox.com/"],
+    2148916235: ["XSTS_COUNTRY_NOT_AVAILABLE", "Xbox Live is not available in this account's country or region", "https://www.xbox.com/regions"],
+    2148916236: ["XSTS_AGE_VERIFICATION_REQUIRED", "This account must complete adult (age) verification", "https://account.xbox.com/"],
+    2148916237: ["XSTS_AGE_VERIFICATION_REQUIRED", "This account must complete adult (age) verification", "https://account.xbox.com/"],
+    2148916238: ["XSTS_CHILD_ACCOUNT", "This is a child account, an adult must add it to a Microsoft family first", "https://account.microsoft.com/family/"]
+};
+
+export function describeXstsError(xerr) {
+    const known = XSTS_ERRORS[Number(xerr)];
+    if (!known) return null;
+    const [code, message, remediationUrl] = known;
+    return {code, message, remediationUrl, xerr: Number(xerr), xerrHex: `0x${Number(xerr).toString(16).toUpperCase()}`};
+}
 
 function tokenFingerprint(token) {
     return crypto.createHash("sha256").update(String(token || "")).digest("hex").slice(0, 16);
@@ -12,49 +48,104 @@ function tokenFingerprint(token) {
 
 export async function getXBLToken(msAccessToken) {
     try {
-        const {data} = await http.post("https://user.auth.xboxlive.com/user/authenticate", {
+        const {data} = await http.post(USER_AUTH_URL, {
             Properties: {
                 AuthMethod: "RPS", SiteName: "user.auth.xboxlive.com", RpsTicket: msAccessToken
             }, RelyingParty: "http://auth.xboxlive.com", TokenType: "JWT"
+        }, AUTH_RETRY);
+        return data.Token;
+    } catch (err) {
+        throw xboxAuthError(err, "Failed to get XBL token", "XBOX_USER_AUTH");
+    }
+}
+
+function xboxAuthError(err, label, upstream, relyingParty) {
+    if (err instanceof HttpError) return err;
+    const payload = err.response?.data;
+    const known = describeXstsError(payload?.XErr);
+    if (known) {
+        return new HttpError(403, known.message, {
+            xerr: known.xerr,
+            xerrHex: known.xerrHex,
+            remediationUrl: known.remediationUrl,
+            redirect: payload.Redirect,
+            relyingParty
+        }, known.code);
+    }
+    return upstreamError(err, upstream, label, {redirect: payload?.Redirect, relyingParty});
+}
+
+function signedPost(url, payload, contractVersion = "1") {
+    const body = JSON.stringify(payload);
+    const headers = {"content-type": "application/json"};
+    if (contractVersion) headers["x-xbl-contract-version"] = contractVersion;
+    return http.post(url, body, {headers, signXbox: true, ...AUTH_RETRY});
+}
+
+export async function getDeviceToken(now = Date.now()) {
+    if (deviceToken && Date.parse(deviceToken.NotAfter) - DEVICE_TOKEN_SKEW_MS > now) return deviceToken.Token;
+    const id = deviceIdFor();
+    try {
+        const {data} = await signedPost(DEVICE_AUTH_URL, {
+            Properties: {
+                AuthMethod: "ProofOfPossession",
+                Id: env.SISU_DEVICE_TYPE === "Android" ? `{${id}}` : id,
+                DeviceType: env.SISU_DEVICE_TYPE,
+                Version: env.SISU_DEVICE_VERSION,
+                ProofKey: proofKeyJwk()
+            }, RelyingParty: "http://auth.xboxlive.com", TokenType: "JWT"
         });
+        deviceToken = data;
         return data.Token;
     } catch (err) {
-        const status = err.response?.status;
-        const detail = err.response?.data || err.message;
-        if (status === 401) throw unauthorized("Failed to get XBL token", detail);
-        if (status === 403) throw forbidden("Failed to get XBL token", detail);
-        if (status && status >= 400 && status < 500) throw badRequest("Failed to get XBL token", detail);
-        throw internal("Failed to get XBL token", detail);
+        throw xboxAuthError(err, "Failed to get Xbox device token", "XBOX_DEVICE_AUTH");
+    }
+}
+
+export async function sisuAuthorize(msAccessToken, {clientId = env.CLIENT_ID, sandbox = DEFAULT_SANDBOX} = {}) {
+    if (!msAccessToken) throw badRequest("Missing msAccessToken");
+    const device = await getDeviceToken();
+    let data;
+    try {
+        ({data} = await signedPost(SISU_AUTHORIZE_URL, {
+            AccessToken: `t=${msAccessToken}`,
+            AppId: clientId,
+            DeviceToken: device,
+            Sandbox: sandbox,
+            UseModernGamertag: true,
+            SiteName: "user.auth.xboxlive.com",
+            RelyingParty: "http://xboxlive.com",
+            ProofKey: proofKeyJwk()
+        }, null));
+    } catch (err) {
+        throw xboxAuthError(err, "SISU authorization failed", "XBOX_SISU", "http://xboxlive.com");
     }
+    if (data.AuthorizationToken?.XErr) throw xboxAuthError({response: {status: 401, data: data.AuthorizationToken}}, "SISU authorization failed", "XBOX_SISU", "http://xboxlive.com");
+    if (!data.UserToken?.Token || !data.TitleToken?.Token) throw internal("SISU authorization returned no user or title token", {webPage: data.WebPage});
+    return {xblToken: data.UserToken.Token, titleToken: data.TitleToken.Token, deviceToken: device, sandbox};
 }
 
-export async function getXSTSToken(xblToken, relyingParty) {
+export async function getXSTSToken(xblToken, relyingParty, {deviceToken: device, titleToken, sandbox = DEFAULT_SANDBOX} = {}) {
     if (!xblToken) throw badRequest("Missing xblToken");
     if (!relyingParty) throw badRequest("Missing relyingParty");
     try {
-        const {data} = await http.post("https://xsts.auth.xboxlive.com/xsts/authorize", {
-            Properties: {SandboxId: "RETAIL", UserTokens: [xblToken]}, RelyingParty: relyingParty, TokenType: "JWT"
-        });
+        if (device) {
+            const {data} = await signedPost(XSTS_AUTHORIZE_URL, {
+                Properties: {SandboxId: sandbox, UserTokens: [xblToken], DeviceToken: device, TitleToken: titleToken}, RelyingParty: relyingParty, TokenType: "JWT"
+            });
+            return data;
+        }
+        const {data} = await http.post(XSTS_AUTHORIZE_URL, {
+            Properties: {SandboxId: sandbox, UserTokens: [xblToken]}, RelyingParty: relyingParty, TokenType: "JWT"
+        }, AUTH_RETRY);
         return data;
     } catch (err) {
-        const payload = err.response?.data;
-        const details = payload ? {
-            status: err.response.status,
-            xerr: payload.XErr,
-            message: payload.Message,
-            redirect: payload.Redirect,
-            raw: payload
-        } : err.message;
-        const status = err.response?.status;
-        if (status === 401) throw unauthorized("Failed to get XSTS token", details);
-        if (status === 403) throw forbidden("Failed to get XSTS token", details);
-        if (status && status >= 400 && status < 500) throw badRequest("Failed to get XSTS token", details);
-        throw internal("Failed to get XSTS token", details);
+        throw xboxAuthError(err, "Failed to get XSTS token", "XBOX_XSTS", relyingParty);
     }
 }
 
 export async function getProfileSettings(xuid, xboxliveToken, settings) {
-    const url = `https://profile.xboxlive.com/users/xuid(${xuid})/profile/settings?settings=${encodeURIComponent(settings)}`;
+    const url = `${env.XBOX_PROFILE_BASE_URL}/users/xuid(${xuid})/profile/settings?settings=${encodeURIComponent(settings)}`;
 
     async function call(ver) {
         return http.get(url, {
@@ -68,26 +159,12 @@ export async function getProfileSettings(xuid, xboxliveToken, settings) {
             return data;
         } catch (errV3) {
             const s = errV3.response?.status;
-            if (s === 401) {
-                throw unauthorized("Failed to get profile settings", {
-                    status: s, body: errV3.response?.data || errV3.message
-                });
-            }
-            if (s === 403) {
-                throw forbidden("Failed to get profile settings", {
-                    status: s, body: errV3.response?.data || errV3.message
-                });
-            }
+            if (s === 401 || s === 403) throw upstreamError(errV3, "XBOX_PROFILE", "Failed to get profile settings");
             try {
                 const {data} = await call(2);
                 return data;
             } catch (errV2) {
-                const status = errV2.response?.status;
-                const details = {status, body: errV2.response?.data || errV2.message};
-                if (status === 401) throw unauthorized("Failed to get profile settings", details);
-                if (status === 403) throw forbidden("Failed to get profile settings", details);
-                if (status && status >= 400 && status < 500) throw badRequest("Failed to get profile settings", details);
-                throw internal("Failed to get profile settings", details);
+                throw upstreamError(errV2, "XBOX_PROFILE", "Failed to get profile settings");
             }
         }
     }, 30000);
@@ -95,20 +172,20 @@ export async function getProfileSettings(xuid, xboxliveToken, settings) {
 
 export async function getAchievements(xuid, xboxliveToken, {titleId} = {}) {
     try {
-        const url = titleId ? `https://achievements.xboxlive.com/users/xuid(${xuid})/achievements?titleId=${encodeURIComponent(titleId)}` : `https://achievements.xboxlive.com/users/xuid(${xuid})/achievements`;
+        const url = titleId ? `${env.XBOX_ACHIEVEMENTS_BASE_URL}/users/xuid(${xuid})/achievements?titleId=${encodeURIComponent(titleId)}` : `${env.XBOX_ACHIEVEMENTS_BASE_URL}/users/xuid(${xuid})/achievements`;
         const {data} = await http.get(url, {
             headers: {"x-xbl-contract-version": 2, Authorization: xboxliveToken}
         });
         return data;
     } catch (err) {
-        throw internal("Failed to get achievements", err.response?.data || err.message);
+        throw upstreamError(err, "XBOX_ACHIEVEMENTS", "Failed to get achievements");
     }
 }
 
 export async function getPresence(xuid, xboxliveToken) {
     return cached(["presence", tokenFingerprint(xboxliveToken), xuid], async () => {
         try {
-            const {data} = await http.get(`https://userpresence.xboxlive.com/users/xuid(${xuid})`, {
+            const {data} = await http.get(`${env.XBOX_PRESENCE_BASE_URL}/users/xuid(${xuid})`, {
                 headers: {
                     "x-xbl-contract-version": 3,
                     Authorization: xboxliveToken
@@ -116,7 +193,7 @@ export async function getPresence(xuid, xboxliveToken) {
             });
             return data;
         } catch (err) {
-            throw internal("Failed to get presence", err.response?.data || err.message);
+            throw upstreamError(err, "XBOX_PRESENCE", "Failed to get presence");
         }
     }, 15000);
 }
@@ -128,7 +205,7 @@ export async function getPresenceBatch(xuids = [], xboxliveToken, {level = "all"
         .slice(0, 1100);
     if (!users.length) return {people: []};
 
-    const url = "https://userpresence.xboxlive.com/users/batch";
+    const url = `${env.XBOX_PRESENCE_BASE_URL}/users/batch`;
     const body = {users, level, onlineOnly};
 
     try {
@@ -143,7 +220,7 @@ export async function getPresenceBatch(xuids = [], xboxliveToken, {level = "all"
         });
         return data;
     } catch (err) {
-        throw internal("Failed to get batch presence", err.response?.data || err.message);
+        throw upstreamError(err, "XBOX_PRESENCE", "Failed to get batch presence");
     }
 }
 
@@ -155,7 +232,7 @@ export async function getTitleHub(xuid, xboxliveToken, {
     if (!xuid) throw badRequest("xuid is required");
     if (!xboxliveToken) throw badRequest("xboxliveToken is required");
     const fieldsStr = Array.isArray(fields) ? fields.join(",") : String(fields || "detail");
-    const url = `https://titlehub.xboxlive.com/users/xuid(${xuid})/titles/titlehistory/decoration/${encodeURIComponent(fieldsStr)}?maxItems=${encodeURIComponent(maxItems)}`;
+    const url = `${env.XBOX_TITLEHUB_BASE_URL}/users/xuid(${xuid})/titles/titlehistory/decoration/${encodeURIComponent(fieldsStr)}?maxItems=${encodeURIComponent(maxItems)}`;
     const key = ["titlehub", tokenFingerprint(xboxliveToken), xuid, fieldsStr, maxItems, locale || env.ACCEPT_LANGUAGE || "en-US"];
     return cached(key, async () => {
         try {
@@ -169,19 +246,20 @@ export async function getTitleHub(xuid, xboxliveToken, {
             });
             return data;
         } catch (err) {
+            if (err instanceof HttpError) throw err;
             const status = err.response?.status;
             if (status === 404) {
                 return {
                     titles: [], totalCount: 0, note: "No titles found (TitleHub returned 404)"
                 };
             }
-            throw internal("Failed to get titles (titlehub)", err.response?.data || err.message);
+            throw upstreamError(err, "XBOX_TITLEHUB", "Failed to get titles (titlehub)");
         }
     }, 30000);
 }
 
 export async function getXboxStats(xuid, xboxliveToken) {
-    const url = "https://userstats.xboxlive.com/batch?operation=read";
+    const url = `${env.XBOX_USERSTATS_BASE_URL}/batch?operation=read`;
     const body = {
         requestedusers: [xuid], requestedscids: [{
             scid: "00000000-0000-0000-0000-000073e3c5ef",
@@ -222,21 +300,21 @@ export async function getXboxStats(xuid, xboxliveToken) {
         });
         return data;
     } catch (err) {
-        throw internal("Failed to get xbox stats", err.response?.data || err.message);
+        throw upstreamError(err, "XBOX_USERSTATS", "Failed to get xbox stats");
     }
 }
 
 export async function resolveXuidByGamertag(gamertag, xboxliveToken) {
     if (!gamertag) throw badRequest("gamertag is required");
     try {
-        const url = `https://profile.xboxlive.com/users/gt(${encodeURIComponent(gamertag)})/profile/settings?settings=Gamertag`;
+        const url = `${env.XBOX_PROFILE_BASE_URL}/users/gt(${encodeURIComponent(gamertag)})/profile/settings?settings=Gamertag`;
         const {data} = await http.get(url, {
             headers: {"x-xbl-contract-version": 2, Authorization: xboxliveToken}
         });
         const u = data?.profileUsers?.[0];
         return u?.id || null;
     } catch (err) {
-        throw internal("Failed to resolve XUID by gamertag", err.response?.data || err.message);
+        throw upstreamError(err, "XBOX_PROFILE", "Failed to resolve XUID by gamertag");
     }
 }
 
@@ -248,7 +326,7 @@ export async function resolveGamertagByXuid(xuid, xboxliveToken) {
         const setting = u?.settings?.find(s => s.id === "Gamertag");
         return setting?.value || null;
     } catch (err) {
-        throw internal("Failed to resolve gamertag by XUID", err.response?.data || err.message);
+        throw upstreamError(err, "XBOX_PROFILE", "Failed to resolve gamertag by XUID");
     }
 }
 
@@ -256,7 +334,7 @@ export async function getGamertagsBatch(xuids = [], xboxliveToken, locale) {
     const allXuids = (xuids || []).filter(Boolean).map(x => String(x));
     if (!allXuids.length) return {};
 
-    const urlBase = "https://profile.xboxlive.com/users/batch/profile/settings";
+    const urlBase = `${env.XBOX_PROFILE_BASE_URL}/users/batch/profile/settings`;
     const makeHeaders = (ver) => ({
         "x-xbl-contract-version": ver,
         Accept: "application/json",
@@ -316,14 +394,14 @@ export async function getGamertagsBatch(xuids = [], xboxliveToken, locale) {
         while (queue.length) {
             const x = queue.shift();
             try {
-                const url = `https://profile.xboxlive.com/users/xuid(${x})/profile/settings?settings=Gamertag`;
+                const url = `${env.XBOX_PROFILE_BASE_URL}/users/xuid(${x})/profile/settings?settings=Gamertag`;
                 const {data} = await http.get(url, {headers: makeHeaders(2)});
                 const u = data?.profileUsers?.[0];
                 const gt = (u?.settings || []).find(s => s.id === "Gamertag")?.value ?? null;
                 if (u?.id) out[u.id] = gt;
             } catch {
                 try {
-                    const url = `https://profile.xboxlive.com/users/xuid(${x})/profile/settings?settings=Gamertag`;
+                    const url = `${env.XBOX_PROFILE_BASE_URL}/users/xuid(${x})/profile/settings?settings=Gamertag`;
                     const {data} = await http.get(url, {headers: makeHeaders(3)});
                     const u = data?.profileUsers?.[0];
                     const gt = (u?.settings || []).find(s => s.id === "Gamertag")?.value ?? null;
@@ -341,7 +419,7 @@ export async function getGamertagsBatch(xuids = [], xboxliveToken, locale) {
 
 export async function getPeople(xboxliveToken, maxItems = 200, locale) {
     try {
-        const url = `https://peoplehub.xboxlive.com/users/me/people?maxItems=${encodeURIComponent(maxItems)}`;
+        const url = `${env.XBOX_PEOPLEHUB_BASE_URL}/users/me/people?maxItems=${encodeURIComponent(maxItems)}`;
         const {data} = await http.get(url, {
             headers: {
                 "x-xbl-contract-version": 4,
@@ -352,14 +430,14 @@ export async function getPeople(xboxliveToken, maxItems = 200, locale) {
         });
         return data;
     } catch (err) {
-        throw internal("Failed to get people", err.response?.data || err.message);
+        throw upstreamError(err, "XBOX_PEOPLEHUB", "Failed to get people");
     }
 }
 
 export async function getPeopleSocial(xuid, xboxliveToken, maxItems = 200, locale) {
     if (!xuid) throw badRequest("xuid is required");
     if (!xboxliveToken) throw badRequest("xboxliveToken is required");
-    const url = `https://peoplehub.xboxlive.com/users/xuid(${xuid})/people/social?maxItems=${encodeURIComponent(maxItems)}`;
+    const url = `${env.XBOX_PEOPLEHUB_BASE_URL}/users/xuid(${xuid})/people/social?maxItems=${encodeURIComponent(maxItems)}`;
 
     const headers = (ver) => ({
         "x-xbl-contract-version": ver,
@@ -380,17 +458,17 @@ export async function getPeopleSocial(xuid, xboxliveToken, maxItems = 200, local
                 const {data} = await http.get(url, {headers: headers(3)});
                 return data;
             } catch (errV3) {
-                throw internal("Failed to get people (social)", errV3.response?.data || errV3.message);
+                throw upstreamError(errV3, "XBOX_PEOPLEHUB", "Failed to get people (social)");
             }
         }
-        throw internal("Failed to get people (social)", errV4.response?.data || errV4.message);
+        throw upstreamError(errV4, "XBOX_PEOPLEHUB", "Failed to get people (social)");
     }
 }
 
 export async function getPeopleFollowers(xuid, xboxliveToken, maxItems = 200, locale) {
     if (!xuid) throw badRequest("xuid is required");
     if (!xboxliveToken) throw badRequest("xboxliveToken is required");
-    const url = `https://peoplehub.xboxlive.com/users/xuid(${xuid})/people/followers?maxItems=${encodeURIComponent(maxItems)}`;
+    const url = `${env.XBOX_PEOPLEHUB_BASE_URL}/users/xuid(${xuid})/people/followers?maxItems=${encodeURIComponent(maxItems)}`;
 
     const headers = (ver) => ({
         "x-xbl-contract-version": ver,
@@ -410,10 +488,10 @@ export async function getPeopleFollowers(xuid, xboxliveToken, maxItems = 200, lo
                 const {data} = await http.get(url, {headers: headers(3)});
                 return data;
             } catch (errV3) {
-                throw internal("Failed to get people (followers)", errV3.response?.data || errV3.message);
+                throw upstreamError(errV3, "XBOX_PEOPLEHUB", "Failed to get people (followers)");
             }
         }
-        throw internal("Failed to get people (followers)", errV4.response?.data || errV4.message);
+        throw upstreamError(errV4, "XBOX_PEOPLEHUB", "Failed to get people (followers)");
     }
 }
 
@@ -423,20 +501,20 @@ export async function getGameClips(xuid, xboxliveToken, {titleId, max = 24, sinc
     if (titleId) params.set("titleId", String(titleId));
     if (since) params.set("startDate", new Date(since).toISOString());
     if (continuationToken) params.set("continuationToken", continuationToken);
-    const url = `https://gameclipsmetadata.xboxlive.com/users/xuid(${xuid})/clips?${params.toString()}`;
+    const url = `${env.XBOX_GAMECLIPS_BASE_URL}/users/xuid(${xuid})/clips?${params.toString()}`;
     try {
         const {data} = await http.get(url, {
             headers: {"x-xbl-contract-version": 2, Authorization: xboxliveToken}
         });
         return data;
     } catch (err) {
-        throw internal("Failed to get game clips", err.response?.data || err.message);
+        throw upstreamError(err, "XBOX_GAMECLIPS", "Failed to get game clips");
     }
 }
 
 export async function getXuidByGamertag(gamertag, xboxliveToken) {
     if (!gamertag) throw badRequest("gamertag is required");
-    const url = `https://profile.xboxlive.com/users/gt(${encodeURIComponent(gamertag)})/profile/settings?settings=Gamertag`;
+    const url = `${env.XBOX_PROFILE_BASE_URL}/users/gt(${encodeURIComponent(gamertag)})/profile/settings?settings=Gamertag`;
     const call = ver => http.get(url, {
         headers: {"x-xbl-contract-version": ver, Authorization: xboxliveToken}
     });
@@ -454,7 +532,7 @@ export async function getXuidByGamertag(gamertag, xboxliveToken) {
             } catch (eV2) {
                 const s2 = eV2.response?.status;
                 if (s2 === 404 || s2 === 204) return null;
-                throw internal("Failed to lookup XUID by gamertag", eV2.response?.data || eV2.message);
+                throw upstreamError(eV2, "XBOX_PROFILE", "Failed to lookup XUID by gamertag");
             }
         }
     }, 30000);
@@ -476,13 +554,13 @@ export async function getScreenshots(xuid, xboxliveToken, {titleId, max = 24, si
     if (titleId) params.set("titleId", String(titleId));
     if (since) params.set("startDate", new Date(since).toISOString());
     if (continuationToken) params.set("continuationToken", continuationToken);
-    const url = `https://screenshotsmetadata.xboxlive.com/users/xuid(${xuid})/screenshots?${params.toString()}`;
+    const url = `${env.XBOX_SCREENSHOTS_BASE_URL}/users/xuid(${xuid})/screenshots?${params.toString()}`;
     try {
         const {data} = await http.get(url, {
             headers: {"x-xbl-contract-version": 2, Authorization: xboxliveToken}
         });
         return data;
     } catch (err) {
-        throw internal("Failed to get screenshots", err.response?.data || err.message);
+        throw upstreamError(err, "XBOX_SCREENSHOTS", "Failed to get screenshots");
     }
 }
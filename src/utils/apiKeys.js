@@ -0,0 +1,145 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import {env} from "../config/env.js";
+import {log} from "./logger.js";
+
+const KEY_PREFIX = "xlk";
+const USAGE_SAVE_DELAY_MS = 5000;
+
+const keys = loadKeys();
+const usage = new Map();
+let saveTimer = null;
+
+function loadKeys() {
+    try {
+        const list = JSON.parse(fs.readFileSync(env.API_KEYS_FILE, "utf8"));
+        return new Map(list.map(record => [record.id, record]));
+    } catch (err) {
+        if (err.code !== "ENOENT") throw new Error(`Cannot read API_KEYS_FILE ${env.API_KEYS_FILE}: ${err.message}`);
+        return new Map();
+    }
+}
+
+function persist() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    fs.mkdirSync(path.dirname(path.resolve(env.API_KEYS_FILE)), {recursive: true});
+    const tmp = `${env.API_KEYS_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify([...keys.values()], null, 2), {mode: 0o600});
+    fs.renameSync(tmp, env.API_KEYS_FILE);
+}
+
+function persistLater() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        try {
+            persist();
+        } catch (err) {
+            log.warn("Failed to save API key usage", err.message);
+        }
+    }, USAGE_SAVE_DELAY_MS);
+    saveTimer.unref();
+}
+
+function hashSecret(secret) {
+    return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function issueSecret(record) {
+    const secret = crypto.randomBytes(32).toString("base64url");
+    record.hash = hashSecret(secret);
+    return `${KEY_PREFIX}_${record.id}_${secret}`;
+}
+
+export function describeApiKey(record) {
+    const {hash, ...rest} = record;
+    return rest;
+}
+
+export function listApiKeys() {
+    return [...keys.values()].map(describeApiKey);
+}
+
+export function createApiKey({name, scopes, routes = [], xuid, quota}) {
+    const record = {
+        id: crypto.randomBytes(6).toString("hex"),
+        name,
+        scopes,
+        routes,
+        xuid: xuid || null,
+        quota: quota || null,
+        createdAt: new Date().toISOString(),
+        rotatedAt: null,
+        revokedAt: null,
+        lastUsedAt: null,
+        lastUsedIp: null
+    };
+    const key = issueSecret(record);
+    keys.set(record.id, record);
+    persist();
+    return {key, apiKey: describeApiKey(record)};
+}
+
+export function rotateApiKey(id) {
+    const record = keys.get(id);
+    if (!record || record.revokedAt) return null;
+    const key = issueSecret(record);
+    record.rotatedAt = new Date().toISOString();
+    persist();
+    return {key, apiKey: describeApiKey(record)};
+}
+
+export function revokeApiKey(id) {
+    const record = keys.get(id);
+    if (!record) return null;
+    record.revokedAt = record.revokedAt || new Date().toISOString();
+    usage.delete(id);
+    persist();
+    return describeApiKey(record);
+}
+
+export function verifyApiKey(presented) {
+    const match = String(presented || "").match(/^([a-z]+)_([0-9a-f]+)_([A-Za-z0-9_-]+)$/);
+    if (!match || match[1] !== KEY_PREFIX) return null;
+    const record = keys.get(match[2]);
+    if (!record || record.revokedAt) return null;
+    const expected = Buffer.from(record.hash, "hex");
+    const actual = Buffer.from(hashSecret(match[3]), "hex");
+    return crypto.timingSafeEqual(expected, actual) ? record : null;
+}
+
+export function apiKeyAllowsRoute(record, method, urlPath) {
+    if (!record.routes?.length) return true;
+    return record.routes.some(rule => {
+        const [ruleMethod, rulePath] = rule.includes(" ") ? rule.split(/\s+/, 2) : ["*", rule];
+        if (ruleMethod !== "*" && ruleMethod.toUpperCase() !== method) return false;
+        return rulePath.endsWith("*") ? urlPath.startsWith(rulePath.slice(0, -1)) : urlPath === rulePath;
+    });
+}
+
+export function consumeApiKeyQuota(record, now = Date.now()) {
+    if (!record.quota) return null;
+    const {limit, windowMs} = record.quota;
+    let window = usage.get(record.id);
+    if (!window || now - window.start >= windowMs) {
+        window = {start: now, count: 0};
+        usage.set(record.id, window);
+    }
+    window.count += 1;
+    return {
+        allowed: window.count <= limit,
+        limit,
+        remaining: Math.max(0, limit - window.count),
+        resetMs: window.start + windowMs - now
+    };
+}
+
+export function touchApiKey(record, ip) {
+    record.lastUsedAt = new Date().toISOString();
+    record.lastUsedIp = ip || null;
+    persistLater();
+}
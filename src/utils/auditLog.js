@@ -0,0 +1,122 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import readline from "node:readline";
+import {env} from "../config/env.js";
+import {log} from "./logger.js";
+import {redact} from "./redact.js";
+
+const MEMORY_MAX_EVENTS = 10000;
+
+function matches(event, {xuid, type, outcome, from, to}) {
+    if (xuid && event.xuid !== xuid) return false;
+    if (type && event.type !== type) return false;
+    if (outcome && event.outcome !== outcome) return false;
+    const at = Date.parse(event.at);
+    if (from && at < from.getTime()) return false;
+    if (to && at > to.getTime()) return false;
+    return true;
+}
+
+function newestFirst(events, limit) {
+    return events.slice(-limit).reverse();
+}
+
+export function createMemoryAuditSink(max = MEMORY_MAX_EVENTS) {
+    const events = [];
+    return {
+        async write(event) {
+            events.push(event);
+            if (events.length > max) events.splice(0, events.length - max);
+        },
+        async query(filter) {
+            return newestFirst(events.filter(event => matches(event, filter)), filter.limit);
+        }
+    };
+}
+
+export function createFileAuditSink(file) {
+    let queue = Promise.resolve();
+    let ready = false;
+    return {
+        write(event) {
+            queue = queue.catch(() => {}).then(async () => {
+                if (!ready) {
+                    await fs.promises.mkdir(path.dirname(path.resolve(file)), {recursive: true});
+                    ready = true;
+                }
+                await fs.promises.appendFile(file, `${JSON.stringify(event)}\n`, {mode: 0o600});
+            });
+            return queue;
+        },
+        async query(filter) {
+            await queue.catch(() => {});
+            const found = [];
+            let input;
+            try {
+                input = fs.createReadStream(file, {encoding: "utf8"});
+                for await (const line of readline.createInterface({input, crlfDelay: Infinity})) {
+                    if (!line) continue;
+                    let event;
+                    try {
+                        event = JSON.parse(line);
+                    } catch {
+                        continue;
+                    }
+                    if (!matches(event, filter)) continue;
+                    found.push(event);
+                    if (found.length > filter.limit) found.shift();
+                }
+            } catch (err) {
+                if (err.code !== "ENOENT") throw err;
+            }
+            return newestFirst(found, filter.limit);
+        }
+    };
+}
+
+function createConfiguredSink() {
+    if (env.AUDIT_LOG_SINK === "file") return createFileAuditSink(env.AUDIT_LOG_FILE);
+    if (env.AUDIT_LOG_SINK === "memory") return createMemoryAuditSink();
+    return null;
+}
+
+let sink = createConfiguredSink();
+
+export function setAuditSink(next) {
+    sink = next;
+}
+
+export function buildAuditEvent(req, {type, outcome, status, xuid, gamertag, error, details}) {
+    const event = {
+        id: crypto.randomUUID(),
+        at: new Date().toISOString(),
+        type,
+        outcome,
+        status,
+        xuid: xuid || req.user?.xuid,
+        gamertag: gamertag || req.user?.gamertag,
+        session: req.user?.sess,
+        apiKey: req.user?.apiKey,
+        ip: req.ip,
+        userAgent: req.headers?.["user-agent"],
+        requestId: req.id
+    };
+    if (error) event.error = redact(error);
+    if (details) event.details = redact(details);
+    for (const key of Object.keys(event)) if (event[key] === undefined) delete event[key];
+    return event;
+}
+
+export function recordAuditEvent(req, fields) {
+    if (!sink) return;
+    const event = buildAuditEvent(req, fields);
+    Promise.resolve()
+        .then(() => sink.write(event))
+        .catch(err => log.warn("Failed to write audit event", event.type, err.message));
+}
+
+export async function queryAuditEvents({xuid, type, outcome, from, to, limit = 100} = {}) {
+    if (!sink) return [];
+    return sink.query({xuid, type, outcome, from, to, limit});
+}
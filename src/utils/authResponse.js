@@ -1,5 +1,9 @@
+function withLegErrors(response, errors) {
+    return errors && Object.keys(errors).length ? {...response, errors} : response;
+}
+
 export function buildAuthCallbackResponse(data) {
-    return {
+    return withLegErrors({
         jwt: data.jwtToken,
         xuid: data.xuid,
         gamertag: data.gamertag,
@@ -18,6 +22,31 @@ export function buildAuthCallbackResponse(data) {
         entityToken: data.entityToken,
         entityTokenExpiresOn: data.entityTokenExpiresOn,
         entityTokenMaster: data.entityTokenMaster,
-        entityTokenMasterExpiresOn: data.entityTokenMasterExpiresOn
-    };
+        entityTokenMasterExpiresOn: data.entityTokenMasterExpiresOn,
+        ...(data.relyingPartyTokens ? {relyingPartyTokens: data.relyingPartyTokens} : {}),
+        ...(data.sandbox ? {sandbox: data.sandbox} : {})
+    }, data.errors);
+}
+
+export function buildVaultAuthResponse(data, session) {
+    return withLegErrors({
+        jwt: data.jwtToken,
+        xuid: data.xuid,
+        gamertag: data.gamertag,
+        playFabId: data.playFabId,
+        ...(data.sandbox ? {sandbox: data.sandbox} : {}),
+        vault: {sessionId: session.id, expiresAt: session.expiresAt}
+    }, data.errors);
+}
+
+export function buildBundleAuthResponse(data, sealed) {
+    return withLegErrors({
+        jwt: data.jwtToken,
+        xuid: data.xuid,
+        gamertag: data.gamertag,
+        playFabId: data.playFabId,
+        ...(data.sandbox ? {sandbox: data.sandbox} : {}),
+        bundle: sealed.token,
+        bundleExpiresAt: sealed.expiresAt
+    }, data.errors);
 }
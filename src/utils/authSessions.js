@@ -0,0 +1,108 @@
+import crypto from "node:crypto";
+import {LRUCache} from "lru-cache";
+import {env} from "../config/env.js";
+import {deleteVaultSession} from "./tokenVault.js";
+import {log} from "./logger.js";
+
+const REVOKED_PURGE_INTERVAL_MS = 60000;
+
+const sessions = new LRUCache({
+    max: env.AUTH_SESSION_MAX_SESSIONS,
+    ttl: env.AUTH_SESSION_MAX_AGE_MS,
+    dispose: (session, id, reason) => {
+        if (reason === "evict") log.warn(`Auth session ${id} of ${session.xuid} dropped: AUTH_SESSION_MAX_SESSIONS (${env.AUTH_SESSION_MAX_SESSIONS}) reached`);
+    }
+});
+// jti -> expiry (ms). Entries are only dropped once the token has expired on its own.
+const revokedTokens = new Map();
+let nextPurgeAt = 0;
+
+function purgeRevokedTokens(now) {
+    if (now < nextPurgeAt) return;
+    nextPurgeAt = now + REVOKED_PURGE_INTERVAL_MS;
+    for (const [jti, expiresAt] of revokedTokens) {
+        if (expiresAt <= now) revokedTokens.delete(jti);
+    }
+}
+
+export function isAuthSessionsEnabled() {
+    return env.AUTH_SESSIONS_ENABLED;
+}
+
+export function openAuthSession({xuid, gamertag, sid}, req) {
+    const now = Date.now();
+    const session = {
+        id: crypto.randomUUID(),
+        xuid,
+        gamertag,
+        sid,
+        userAgent: req?.headers?.["user-agent"],
+        ip: req?.ip,
+        createdAt: now,
+        lastSeenAt: now,
+        expiresAt: now + env.AUTH_SESSION_MAX_AGE_MS
+    };
+    sessions.set(session.id, session);
+    return session;
+}
+
+export function getAuthSession(id) {
+    if (!id) return null;
+    return sessions.get(id) || null;
+}
+
+export function touchAuthSession(id) {
+    const session = getAuthSession(id);
+    if (session) session.lastSeenAt = Date.now();
+    return session;
+}
+
+export function listAuthSessions(xuid) {
+    const out = [];
+    for (const session of sessions.values()) {
+        if (session.xuid === xuid) out.push(session);
+    }
+    return out.sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+}
+
+export function closeAuthSession(id) {
+    const session = getAuthSession(id);
+    if (!session) return null;
+    sessions.delete(id);
+    if (session.sid) deleteVaultSession(session.sid);
+    for (const account of Object.values(session.accounts || {})) deleteVaultSession(account.sid);
+    return session;
+}
+
+export function linkAccount(id, {xuid, gamertag, sid}) {
+    const session = getAuthSession(id);
+    if (!session) return null;
+    const previous = session.accounts?.[xuid];
+    if (previous?.sid && previous.sid !== sid) deleteVaultSession(previous.sid);
+    const account = {xuid, gamertag, sid, linkedAt: previous?.linkedAt || Date.now(), updatedAt: Date.now()};
+    session.accounts = {...session.accounts, [xuid]: account};
+    return account;
+}
+
+export function unlinkAccount(id, xuid) {
+    const session = getAuthSession(id);
+    const account = session?.accounts?.[xuid];
+    if (!account) return null;
+    const {[xuid]: _removed, ...rest} = session.accounts;
+    session.accounts = rest;
+    deleteVaultSession(account.sid);
+    return account;
+}
+
+export function revokeToken(jti, exp) {
+    if (!jti) return;
+    const now = Date.now();
+    purgeRevokedTokens(now);
+    const expiresAt = exp ? exp * 1000 : now + env.AUTH_SESSION_MAX_AGE_MS;
+    if (expiresAt > now) revokedTokens.set(jti, expiresAt);
+}
+
+export function isTokenRevoked(decoded) {
+    if (decoded?.jti && revokedTokens.get(decoded.jti) > Date.now()) return true;
+    return isAuthSessionsEnabled() && Boolean(decoded?.sess) && !getAuthSession(decoded.sess);
+}
@@ -0,0 +1,163 @@
+import axios, {AxiosError, AxiosHeaders} from "axios";
+import fs from "node:fs";
+import path from "node:path";
+import {env} from "../config/env.js";
+import {log} from "./logger.js";
+import {REDACTED, isSecretKey, redact, redactString} from "./redact.js";
+
+export const CASSETTE_MODES = ["off", "record", "replay"];
+export {REDACTED};
+
+const SECRET_FORM_KEYS = ["code", "assertion"];
+
+let active = null;
+
+function sanitizeParam(key, value) {
+    return SECRET_FORM_KEYS.includes(key) ? REDACTED : redact(value, key);
+}
+
+export function sanitizeHeaders(headers = {}) {
+    const plain = headers instanceof AxiosHeaders ? headers.toJSON() : headers;
+    return Object.fromEntries(Object.entries(plain).filter(([, v]) => v !== undefined && v !== null).map(([k, v]) => {
+        const name = k.toLowerCase();
+        return [name, isSecretKey(name) ? REDACTED : redact(Array.isArray(v) ? v : String(v))];
+    }));
+}
+
+export function sanitizeBody(body) {
+    if (body === undefined || body === null || body === "") return body ?? null;
+    if (Buffer.isBuffer(body)) body = body.toString("utf8");
+    if (typeof body !== "string") return redact(body);
+    try {
+        return redact(JSON.parse(body));
+    } catch {
+        if (!/^[^=&\s]+=[^&]*(&[^=&\s]+=[^&]*)*$/.test(body)) return redactString(body);
+        const form = new URLSearchParams(body);
+        for (const [k, v] of form) form.set(k, sanitizeParam(k, v));
+        return form.toString();
+    }
+}
+
+export function sanitizeUrl(url) {
+    const parsed = new URL(url);
+    for (const [k, v] of parsed.searchParams) parsed.searchParams.set(k, sanitizeParam(k, v));
+    return parsed.toString();
+}
+
+function cassettePath(name, dir) {
+    const file = name.endsWith(".json") ? name : `${name}.json`;
+    return path.resolve(dir, file);
+}
+
+export function useCassette(name, {mode = "replay", dir = env.HTTP_CASSETTE_DIR} = {}) {
+    if (!CASSETTE_MODES.includes(mode)) throw new Error(`Unknown cassette mode: ${mode}`);
+    if (mode === "off") {
+        active = null;
+        return null;
+    }
+    const file = cassettePath(name, dir);
+    let interactions = [];
+    if (mode === "replay") {
+        if (!fs.existsSync(file)) throw new Error(`Cassette not found: ${file}`);
+        interactions = JSON.parse(fs.readFileSync(file, "utf8")).interactions || [];
+    }
+    active = {name, mode, file, interactions, used: new Set()};
+    log.info(`HTTP cassette ${name} active in ${mode} mode (${file})`);
+    return active;
+}
+
+export function ejectCassette() {
+    const cassette = active;
+    active = null;
+    return cassette;
+}
+
+export async function withCassette(name, options, fn) {
+    useCassette(name, options);
+    try {
+        return await fn();
+    } finally {
+        ejectCassette();
+    }
+}
+
+export function activeCassette() {
+    return active;
+}
+
+function save(cassette) {
+    fs.mkdirSync(path.dirname(cassette.file), {recursive: true});
+    const doc = {version: 1, recordedAt: new Date().toISOString(), interactions: cassette.interactions};
+    fs.writeFileSync(cassette.file, `${JSON.stringify(doc, null, 2)}\n`);
+}
+
+function describeRequest(upstream, config) {
+    return {
+        upstream,
+        method: (config.method || "get").toUpperCase(),
+        url: sanitizeUrl(axios.getUri(config)),
+        headers: sanitizeHeaders(config.headers),
+        body: sanitizeBody(config.data)
+    };
+}
+
+function record(cassette, request, response) {
+    cassette.interactions.push({
+        request,
+        response: {
+            status: response.status,
+            statusText: response.statusText || "",
+            headers: sanitizeHeaders(response.headers),
+            body: sanitizeBody(response.data)
+        }
+    });
+    save(cassette);
+}
+
+function replay(cassette, request, config) {
+    const index = cassette.interactions.findIndex((entry, i) => !cassette.used.has(i) && entry.request.method === request.method && entry.request.url === request.url);
+    if (index === -1) {
+        throw new AxiosError(`No recorded response for ${request.method} ${request.url} in cassette ${cassette.name}`, "ERR_CASSETTE_MISS", config);
+    }
+    cassette.used.add(index);
+    const recorded = cassette.interactions[index].response;
+    const response = {
+        data: recorded.body,
+        status: recorded.status,
+        statusText: recorded.statusText,
+        headers: AxiosHeaders.from(recorded.headers),
+        config,
+        request: {}
+    };
+    if (config.validateStatus && !config.validateStatus(response.status)) {
+        const code = response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+        throw new AxiosError(`Request failed with status code ${response.status}`, code, config, response.request, response);
+    }
+    return response;
+}
+
+export function attachCassette(instance, upstream) {
+    instance.interceptors.request.use(config => {
+        const cassette = active;
+        if (!cassette) return config;
+        config.networkAdapter ??= config.adapter || axios.defaults.adapter;
+        config.adapter = async adapterConfig => {
+            const request = describeRequest(upstream, adapterConfig);
+            if (cassette.mode === "replay") return replay(cassette, request, adapterConfig);
+            try {
+                const response = await axios.getAdapter(adapterConfig.networkAdapter, adapterConfig)(adapterConfig);
+                record(cassette, request, response);
+                return response;
+            } catch (err) {
+                if (err.response) record(cassette, request, err.response);
+                throw err;
+            }
+        };
+        return config;
+    });
+}
+
+if (env.HTTP_CASSETTE_MODE !== "off") {
+    if (!env.HTTP_CASSETTE) throw new Error("HTTP_CASSETTE is required when HTTP_CASSETTE_MODE is record or replay");
+    useCassette(env.HTTP_CASSETTE, {mode: env.HTTP_CASSETTE_MODE});
+}
@@ -0,0 +1,65 @@
+import {env} from "../config/env.js";
+import {HttpError} from "./httpError.js";
+import {log} from "./logger.js";
+
+const breakers = new Map();
+
+export function createCircuitBreaker(host, {failureThreshold = env.CIRCUIT_BREAKER_FAILURE_THRESHOLD, resetMs = env.CIRCUIT_BREAKER_RESET_MS} = {}) {
+    const breaker = {host, state: "closed", failures: 0, openedAt: null, probing: false};
+
+    function open(now) {
+        if (breaker.state !== "open") log.warn(`Circuit for ${host} opened after ${breaker.failures} consecutive failures`);
+        breaker.state = "open";
+        breaker.openedAt = now;
+        breaker.probing = false;
+    }
+
+    return Object.assign(breaker, {
+        acquire(now = Date.now()) {
+            if (breaker.state === "open" && now - breaker.openedAt >= resetMs) breaker.state = "half_open";
+            if (breaker.state === "closed") return;
+            if (breaker.state === "half_open" && !breaker.probing) {
+                breaker.probing = true;
+                return;
+            }
+            const retryAfter = Math.max(1, Math.ceil((breaker.openedAt + resetMs - now) / 1000));
+            throw new HttpError(503, `Upstream ${host} is unavailable, try again later`, {upstream: host, retryAfter}, "UPSTREAM_UNAVAILABLE");
+        },
+        success() {
+            if (breaker.state !== "closed") log.info(`Circuit for ${host} closed`);
+            breaker.state = "closed";
+            breaker.failures = 0;
+            breaker.openedAt = null;
+            breaker.probing = false;
+        },
+        release() {
+            breaker.probing = false;
+        },
+        failure(now = Date.now()) {
+            breaker.failures += 1;
+            if (breaker.state === "half_open" || breaker.failures >= failureThreshold) open(now);
+        },
+        describe(now = Date.now()) {
+            return {
+                state: breaker.state === "open" && now - breaker.openedAt >= resetMs ? "half_open" : breaker.state,
+                failures: breaker.failures,
+                openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+                retryAt: breaker.openedAt ? new Date(breaker.openedAt + resetMs).toISOString() : null
+            };
+        }
+    });
+}
+
+export function breakerFor(host) {
+    if (!breakers.has(host)) breakers.set(host, createCircuitBreaker(host));
+    return breakers.get(host);
+}
+
+export function describeBreakers(now = Date.now()) {
+    return Object.fromEntries([...breakers].map(([host, breaker]) => [host, breaker.describe(now)]));
+}
+
+export function isUpstreamFailure(err) {
+    const status = err.response?.status;
+    return status ? status >= 500 : !(err instanceof HttpError) && err.code !== "ERR_CANCELED";
+}
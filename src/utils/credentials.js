@@ -0,0 +1,63 @@
+import {badRequest, forbidden, unauthorized} from "./httpError.js";
+import {getVaultSession} from "./tokenVault.js";
+import {getAuthSession} from "./authSessions.js";
+import {openTokenBundle} from "./tokenBundle.js";
+
+const CREDENTIAL_HEADERS = {
+    xboxliveToken: "x-xbl-token", mcToken: "x-mc-token", redeemToken: "x-redeem-token"
+};
+
+function loadVaultSession(sid) {
+    if (!sid) return null;
+    const session = getVaultSession(sid);
+    if (!session) throw unauthorized("Token vault session expired or revoked, sign in again");
+    return session;
+}
+
+export function tokenBundleFor(req) {
+    const token = req.headers?.["x-token-bundle"];
+    if (!token) return null;
+    if (!req.tokenBundle) req.tokenBundle = openTokenBundle(token);
+    return req.tokenBundle;
+}
+
+export function vaultSessionFor(req) {
+    return loadVaultSession(req.user?.sid);
+}
+
+export function accountFor(user, wantedXuid) {
+    if (!wantedXuid || wantedXuid === user?.xuid) return {xuid: user?.xuid, gamertag: user?.gamertag, sid: user?.sid};
+    const account = getAuthSession(user?.sess)?.accounts?.[wantedXuid];
+    if (!account) throw forbidden(`Xbox account ${wantedXuid} is not linked to this session`);
+    return account;
+}
+
+export function selectedAccount(req) {
+    return accountFor(req.user, req.headers?.["x-account-xuid"]);
+}
+
+export function userXuid(req) {
+    const {xuid} = selectedAccount(req);
+    if (!xuid) throw badRequest("This API key is not bound to an Xbox account (xuid)");
+    return xuid;
+}
+
+export function resolveCredential(req, key, provided) {
+    const header = CREDENTIAL_HEADERS[key];
+    const direct = provided || (header ? req.headers?.[header] : undefined);
+    if (direct) return direct;
+    const account = selectedAccount(req);
+    const bundle = tokenBundleFor(req);
+    if (bundle) {
+        if (bundle.xuid !== account.xuid) throw forbidden("X-Token-Bundle belongs to a different Xbox account");
+        return bundle[key];
+    }
+    return loadVaultSession(account.sid)?.[key];
+}
+
+export function requireCredential(req, key, provided) {
+    const value = resolveCredential(req, key, provided);
+    if (value) return value;
+    const header = CREDENTIAL_HEADERS[key];
+    throw badRequest(header ? `Missing ${header} header` : `${key} is required`);
+}
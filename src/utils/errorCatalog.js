@@ -0,0 +1,86 @@
+import {STATUS_CODES} from "node:http";
+import {env} from "../config/env.js";
+import {UPSTREAM_TAGS} from "./upstreamError.js";
+
+const SIGN_IN_AGAIN = "Start a new sign-in (`/auth/device` or `/auth/authorize`).";
+const XSTS_ACTION = "Show `detail` to the user and send them to `details.remediationUrl`; retrying will not help until the account is fixed.";
+
+const ENTRIES = [
+    ["BAD_REQUEST", 400, "Invalid request", "The request failed validation or is missing a required value.", "Fix the request as described in `detail`; do not retry unchanged."],
+    ["UNAUTHORIZED", 401, "Not authenticated", "The JWT, API key or an Xbox / Minecraft token is missing, invalid, expired or revoked.", "Renew the tokens with `/auth/refresh` or `/auth/jwt/refresh`; sign in again if that fails."],
+    ["FORBIDDEN", 403, "Not allowed", "The caller is authenticated but may not perform this action.", "Do not retry; check the account, API key routes or admin token."],
+    ["CORS_NOT_ALLOWED", 403, "Origin not allowed", "The browser origin is not listed in `CORS_ORIGIN`.", "Call the API from an allowed origin or ask the operator to add it."],
+    ["INSUFFICIENT_SCOPE", 403, "Missing scope", "The JWT or API key lacks a scope the route requires (see `GET /auth/scopes`).", "Request a token with the missing scopes via `/auth/jwt/scoped` or a new API key."],
+    ["NOT_FOUND", 404, "Not found", "The requested resource does not exist.", "Do not retry; check the identifier."],
+    ["HTTP_404", 404, "Route not found", "No route matches the method and path.", "Check the method and path against `/openapi.json`."],
+    ["INVALID_JSON", 400, "Invalid JSON body", "The request body could not be parsed as JSON.", "Send a valid JSON body with `Content-Type: application/json`."],
+    ["UNSUPPORTED_MEDIA_TYPE", 415, "Unsupported body encoding", "The request body uses a charset or content encoding the API cannot read.", "Send UTF-8 JSON, uncompressed or gzip / deflate encoded."],
+    ["PAYLOAD_TOO_LARGE", 413, "Request body too large", "The request body exceeds the 1 MB limit.", "Send a smaller body; do not retry unchanged."],
+    ["CONFLICT", 409, "Conflict", "The request conflicts with the current state of the resource.", "Reload the resource and retry with fresh data."],
+    ["DEPENDENCY_FAILED", 424, "Token leg skipped", "Only reported under `errors.<leg>` of a token bundle: the leg was skipped because a leg it depends on failed.", "Resolve the error of the dependency first."],
+    ["TOO_MANY_REQUESTS", 429, "Quota exceeded", "The API key quota for the current window is used up.", "Wait `retryAfter` seconds (also sent as `Retry-After`) before retrying."],
+    ["INTERNAL", 500, "Internal error", "An unexpected error occurred in this service.", "Retry later and report the `instance` (request id) if it persists."],
+    ["AUTHORIZATION_PENDING", 400, "Sign-in pending", "The user has not finished the device-code sign-in yet.", "Keep polling `/auth/callback` every `interval` seconds, or use `/auth/device/stream`."],
+    ["SLOW_DOWN", 400, "Polling too fast", "The device-code token endpoint was polled too often.", "Increase the polling interval by 5 seconds."],
+    ["DEVICE_CODE_EXPIRED", 400, "Device code expired", "The device code expired before the user finished signing in.", SIGN_IN_AGAIN],
+    ["AUTHORIZATION_DECLINED", 400, "Sign-in declined", "The user declined the sign-in.", SIGN_IN_AGAIN],
+    ["INVALID_DEVICE_CODE", 400, "Unknown device code", "Microsoft does not know the device code.", SIGN_IN_AGAIN],
+    ["INVALID_AUTHORIZATION_CODE", 400, "Invalid authorization code", "The OAuth authorization code is invalid, expired or was already used.", SIGN_IN_AGAIN],
+    ["AUTHORIZATION_FAILED", 400, "Sign-in failed", "Microsoft returned an OAuth error to the redirect URI.", SIGN_IN_AGAIN],
+    ["XSTS_ACCOUNT_BANNED", 403, "Account banned", "The account is banned from Xbox Live.", XSTS_ACTION],
+    ["XSTS_GUARDIAN_PERMISSION_REQUIRED", 403, "Guardian permission required", "A parent or guardian must allow online play.", XSTS_ACTION],
+    ["XSTS_NO_XBOX_PROFILE", 403, "No Xbox profile", "The Microsoft account has no Xbox profile yet.", XSTS_ACTION],
+    ["XSTS_TERMS_NOT_ACCEPTED", 403, "Terms not accepted", "The account has not accepted the Xbox Terms of Use.", XSTS_ACTION],
+    ["XSTS_COUNTRY_NOT_AVAILABLE", 403, "Country not available", "Xbox Live is not available in the account's country or region.", XSTS_ACTION],
+    ["XSTS_AGE_VERIFICATION_REQUIRED", 403, "Age verification required", "The account must complete adult (age) verification.", XSTS_ACTION],
+    ["XSTS_CHILD_ACCOUNT", 403, "Child account", "A child account must be added to a Microsoft family by an adult.", XSTS_ACTION],
+    ["UPSTREAM_BAD_REQUEST", 400, "Upstream rejected the request", "The upstream answered 400; `upstreamCode` and `upstreamMessage` say why.", "Do not retry unchanged; check the parameters and the upstream message."],
+    ["UPSTREAM_UNAUTHORIZED", 401, "Upstream token rejected", "The upstream rejected the Xbox, PlayFab or Minecraft token (usually expired).", "Renew the tokens with `/auth/refresh`, then retry once."],
+    ["UPSTREAM_FORBIDDEN", 403, "Upstream access denied", "The upstream refused the request for this account or token.", "Do not retry; the account or token lacks access."],
+    ["UPSTREAM_NOT_FOUND", 404, "Not found upstream", "The upstream does not know the requested item, user or title.", "Do not retry; check the identifier."],
+    ["UPSTREAM_CONFLICT", 409, "Upstream conflict", "The upstream resource changed (e.g. a stale wishlist list version).", "Reload the resource and retry with the new version."],
+    ["UPSTREAM_LOCKED", 423, "Locked upstream", "The upstream locked or blocked the request (e.g. a redeem code).", "Do not retry automatically; show `details.hint` to the user."],
+    ["UPSTREAM_RATE_LIMITED", 429, "Upstream rate limit", "The upstream is throttling requests for this account or title.", "Wait `retryAfter` seconds (also sent as `Retry-After`) and retry; do not sign in again."],
+    ["UPSTREAM_REJECTED", 400, "Upstream rejected the request", "The upstream answered with another 4xx status, which is passed through unchanged.", "Do not retry unchanged; inspect `details.status` and `upstreamMessage`."],
+    ["UPSTREAM_ERROR", 502, "Upstream failure", "The upstream answered with a 5xx error.", "Retry later with backoff."],
+    ["UPSTREAM_UNAVAILABLE", 503, "Upstream unavailable", "The upstream is down, or its circuit breaker is open after repeated failures.", "Wait `retryAfter` seconds (also sent as `Retry-After`) and retry."],
+    ["UPSTREAM_UNREACHABLE", 502, "Upstream unreachable", "The upstream could not be reached (DNS, connection refused or reset).", "Retry later with backoff."],
+    ["UPSTREAM_TIMEOUT", 504, "Upstream timeout", "The upstream did not answer within `HTTP_TIMEOUT_MS`.", "Retry later with backoff."]
+];
+
+export const ERROR_CATALOG = Object.fromEntries(ENTRIES.map(([code, status, title, description, action]) => [
+    code, {code, status, title, description, action}
+]));
+
+export const ERROR_CODES = Object.keys(ERROR_CATALOG);
+
+export function errorTypeUri(code) {
+    return ERROR_CATALOG[code] ? `${env.ERROR_TYPE_BASE_URL}${code}` : "about:blank";
+}
+
+export function describeErrorCode(code) {
+    const entry = ERROR_CATALOG[code];
+    return entry ? {...entry, type: errorTypeUri(code), ...(code.startsWith("UPSTREAM_") ? {upstreams: UPSTREAM_TAGS} : {})} : null;
+}
+
+export function listErrorCodes() {
+    return ERROR_CODES.map(describeErrorCode);
+}
+
+export function toProblem(err, {status, code, instance, includeStack}) {
+    const entry = ERROR_CATALOG[code];
+    const problem = {
+        type: errorTypeUri(code),
+        title: entry?.title || STATUS_CODES[status] || "Error",
+        status,
+        detail: err.message || "Internal Server Error",
+        instance,
+        code
+    };
+    const details = err.details;
+    if (details?.retryAfter) problem.retryAfter = Number(details.retryAfter);
+    if (typeof details?.upstream === "string") problem.upstream = details.upstream;
+    if (details !== undefined) problem.details = details;
+    if (includeStack && err.stack) problem.stack = err.stack;
+    return problem;
+}
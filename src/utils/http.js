@@ -1,12 +1,128 @@
 import axios from "axios";
 import http from "node:http";
 import https from "node:https";
+import Joi from "joi";
+import {env} from "../config/env.js";
+import {log} from "./logger.js";
+import {breakerFor, isUpstreamFailure} from "./circuitBreaker.js";
+import {attachCassette} from "./cassette.js";
 
 const httpAgent = new http.Agent({keepAlive: true, maxSockets: 100});
 const httpsAgent = new https.Agent({keepAlive: true, maxSockets: 100});
 
-export function createHttp(timeoutMs = 15000) {
-    return axios.create({
+export const UPSTREAMS = ["microsoft", "xbox", "playfab", "minecraft", "redeem"];
+
+const DEFAULT_RETRY_POLICY = {
+    retries: 2,
+    methods: ["get", "head", "options", "put", "delete"],
+    statuses: [408, 429, 502, 503, 504],
+    baseDelayMs: 250,
+    maxDelayMs: 4000,
+    deadlineMs: 20000
+};
+const BUILTIN_RETRY_POLICIES = {redeem: {retries: 0}};
+const RETRYABLE_ERROR_CODES = ["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE"];
+
+const policySchema = Joi.object({
+    retries: Joi.number().integer().min(0).max(10),
+    methods: Joi.array().items(Joi.string().lowercase().valid("get", "head", "options", "put", "delete", "post", "patch")),
+    statuses: Joi.array().items(Joi.number().integer().min(400).max(599)),
+    baseDelayMs: Joi.number().integer().min(0),
+    maxDelayMs: Joi.number().integer().min(0),
+    deadlineMs: Joi.number().integer().min(0)
+});
+const policiesSchema = Joi.object().pattern(Joi.string().valid("default", ...UPSTREAMS), policySchema);
+
+export function loadRetryPolicies(config = {}) {
+    const {value, error} = policiesSchema.validate(config);
+    if (error) throw new Error(`Invalid HTTP_RETRY_POLICIES_JSON: ${error.message}`);
+    const base = {...DEFAULT_RETRY_POLICY, ...value.default};
+    return Object.fromEntries(["default", ...UPSTREAMS].map(name => [
+        name, {...base, ...BUILTIN_RETRY_POLICIES[name], ...value[name]}
+    ]));
+}
+
+function readRetryConfig() {
+    if (!env.HTTP_RETRY_POLICIES_JSON) return {};
+    try {
+        return JSON.parse(env.HTTP_RETRY_POLICIES_JSON);
+    } catch (err) {
+        throw new Error(`Invalid HTTP_RETRY_POLICIES_JSON: ${err.message}`);
+    }
+}
+
+export const RETRY_POLICIES = loadRetryPolicies(readRetryConfig());
+
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === "") return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+export function retryDelay(policy, err, attempt, elapsedMs, random = Math.random) {
+    const method = (err.config?.method || "get").toLowerCase();
+    if (attempt >= policy.retries) return null;
+    if (!policy.methods.includes(method)) return null;
+    const status = err.response?.status;
+    if (status ? !policy.statuses.includes(status) : !RETRYABLE_ERROR_CODES.includes(err.code)) return null;
+
+    const retryAfter = parseRetryAfter(err.response?.headers?.["retry-after"]);
+    const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+    const delay = retryAfter ?? Math.round(random() * backoff);
+    return elapsedMs + delay < policy.deadlineMs ? delay : null;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function attachBreaker(instance) {
+    instance.interceptors.request.use(config => {
+        config.breakerHost = new URL(config.url, config.baseURL).host;
+        breakerFor(config.breakerHost).acquire();
+        return config;
+    });
+    instance.interceptors.response.use(res => {
+        breakerFor(res.config.breakerHost).success();
+        return res;
+    }, err => {
+        const host = err.config?.breakerHost;
+        if (!host) throw err;
+        const breaker = breakerFor(host);
+        if (err.code === "ERR_CANCELED") breaker.release();
+        else if (isUpstreamFailure(err)) breaker.failure();
+        else breaker.success();
+        throw err;
+    });
+}
+
+function attachRetry(instance, upstream, policy) {
+    instance.interceptors.request.use(config => {
+        config.retryState ??= {attempt: 0, startedAt: Date.now()};
+        if (config.retryState.attempt > 0) {
+            const remaining = ({...policy, ...config.retry}).deadlineMs - (Date.now() - config.retryState.startedAt);
+            config.timeout = Math.max(1, Math.min(config.timeout || Infinity, remaining));
+        }
+        return config;
+    });
+    instance.interceptors.response.use(null, async err => {
+        const config = err.config;
+        if (!config?.retryState || config.retry === false || axios.isCancel(err)) throw err;
+        const active = {...policy, ...config.retry};
+        const {attempt, startedAt} = config.retryState;
+        const delay = retryDelay(active, err, attempt, Date.now() - startedAt);
+        if (delay === null) throw err;
+        log.warn(`Retrying ${upstream} ${config.method?.toUpperCase()} ${config.url} in ${delay}ms (${err.response?.status || err.code}, attempt ${attempt + 1}/${active.retries})`);
+        config.retryState = {attempt: attempt + 1, startedAt};
+        await sleep(delay);
+        return instance.request(config);
+    });
+}
+
+export function createHttp(timeoutMs = 15000, upstream = "default") {
+    const instance = axios.create({
         timeout: Number(timeoutMs) || 15000,
         httpAgent,
         httpsAgent,
@@ -14,4 +130,8 @@ export function createHttp(timeoutMs = 15000) {
         validateStatus: s => s >= 200 && s < 300,
         maxRedirects: 5
     });
+    if (env.CIRCUIT_BREAKER_ENABLED) attachBreaker(instance);
+    attachRetry(instance, upstream, RETRY_POLICIES[upstream] || RETRY_POLICIES.default);
+    attachCassette(instance, upstream);
+    return instance;
 }
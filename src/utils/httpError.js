@@ -35,3 +35,31 @@ export function tooManyRequests(msg = "Too Many Requests", details) {
 export function internal(msg = "Internal Server Error", details) {
     return new HttpError(500, msg, details, "INTERNAL");
 }
+
+const BODY_PARSER_ERRORS = {
+    "entity.parse.failed": [400, "INVALID_JSON", "Request body is not valid JSON"],
+    "entity.too.large": [413, "PAYLOAD_TOO_LARGE", "Request body is too large"],
+    "encoding.unsupported": [415, "UNSUPPORTED_MEDIA_TYPE", "Unsupported content encoding"],
+    "charset.unsupported": [415, "UNSUPPORTED_MEDIA_TYPE", "Unsupported charset"],
+    "request.aborted": [400, "BAD_REQUEST", "Request body was aborted"],
+    "request.size.invalid": [400, "BAD_REQUEST", "Request body size does not match Content-Length"]
+};
+
+const CLIENT_ERROR_CODES = {
+    400: "BAD_REQUEST",
+    403: "FORBIDDEN",
+    404: "NOT_FOUND",
+    413: "PAYLOAD_TOO_LARGE",
+    415: "UNSUPPORTED_MEDIA_TYPE"
+};
+
+export function toHttpError(err) {
+    if (err instanceof HttpError) return err;
+    const known = BODY_PARSER_ERRORS[err?.type];
+    if (known) return new HttpError(known[0], known[2], undefined, known[1]);
+    const status = Number(err?.status || err?.statusCode);
+    if (err?.expose && status >= 400 && status < 500) {
+        return CLIENT_ERROR_CODES[status] ? new HttpError(status, err.message, undefined, CLIENT_ERROR_CODES[status]) : badRequest(err.message);
+    }
+    return Object.assign(internal(err?.message), {stack: err?.stack});
+}
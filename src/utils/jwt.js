@@ -1,28 +1,87 @@
+import crypto from "node:crypto";
 import jwt from "jsonwebtoken";
 import {env} from "../config/env.js";
-import {forbidden, unauthorized} from "./httpError.js";
+import {HttpError, forbidden, tooManyRequests, unauthorized} from "./httpError.js";
+import {isTokenRevoked, touchAuthSession} from "./authSessions.js";
+import {getSigningKey, getVerificationKey, isAsymmetricJwt} from "./jwtKeys.js";
+import {hasScope} from "./scopes.js";
+import {apiKeyAllowsRoute, consumeApiKeyQuota, touchApiKey, verifyApiKey} from "./apiKeys.js";
 
 export function signJwt(payload, expiresIn) {
-    const finalExpiresIn = expiresIn || env.JWT_EXPIRES_IN || "1h";
-    return jwt.sign(payload, env.JWT_SECRET, {expiresIn: finalExpiresIn});
+    const options = {expiresIn: expiresIn || env.JWT_EXPIRES_IN || "1h", jwtid: crypto.randomUUID()};
+    if (!isAsymmetricJwt()) return jwt.sign(payload, env.JWT_SECRET, {...options, algorithm: "HS256"});
+    const key = getSigningKey();
+    return jwt.sign(payload, key.privateKey, {...options, algorithm: key.alg, keyid: key.kid});
 }
 
 export function verifyJwt(token) {
     try {
-        return jwt.verify(token, env.JWT_SECRET);
+        if (!isAsymmetricJwt()) return jwt.verify(token, env.JWT_SECRET, {algorithms: ["HS256"]});
+        const key = getVerificationKey(jwt.decode(token, {complete: true})?.header?.kid);
+        return key ? jwt.verify(token, key.publicKey, {algorithms: [key.alg]}) : null;
     } catch {
         return null;
     }
 }
 
-export function jwtMiddleware(req, res, next) {
+function authenticateApiKey(req, res, presented) {
+    const record = verifyApiKey(presented);
+    if (!record) return unauthorized("Invalid or revoked API key");
+    const urlPath = req.originalUrl.split("?")[0];
+    if (!apiKeyAllowsRoute(record, req.method, urlPath)) return forbidden(`API key is not allowed to call ${req.method} ${urlPath}`);
+    const quota = consumeApiKeyQuota(record);
+    if (quota) {
+        res.setHeader("X-Quota-Limit", quota.limit);
+        res.setHeader("X-Quota-Remaining", quota.remaining);
+        if (!quota.allowed) {
+            res.setHeader("Retry-After", Math.ceil(quota.resetMs / 1000));
+            return tooManyRequests("API key quota exceeded");
+        }
+    }
+    touchApiKey(record, req.ip);
+    req.user = {xuid: record.xuid || undefined, scope: record.scopes.join(" "), apiKey: record.id, apiKeyName: record.name};
+    return undefined;
+}
+
+function authenticate(req, res, allowApiKey = false) {
+    if (req.user) return undefined;
     const authHeader = req.headers["authorization"];
-    if (!authHeader) return next(unauthorized("Missing Authorization header (Bearer token)"));
+    const apiKey = req.headers["x-api-key"];
+    if (allowApiKey && apiKey && !authHeader) return authenticateApiKey(req, res, apiKey);
+    if (!authHeader) return unauthorized("Missing Authorization header (Bearer token)");
     const match = String(authHeader).match(/^Bearer\s+(.+)$/i);
     const token = match ? match[1].trim() : "";
-    if (!token) return next(unauthorized("Missing Authorization header (Bearer token)"));
+    if (!token) return unauthorized("Missing Authorization header (Bearer token)");
     const decoded = verifyJwt(token);
-    if (!decoded) return next(forbidden("Invalid or expired JWT"));
+    if (!decoded) return forbidden("Invalid or expired JWT");
+    if (isTokenRevoked(decoded)) return unauthorized("JWT has been revoked or its session has ended, sign in again");
+    touchAuthSession(decoded.sess);
     req.user = decoded;
+    return undefined;
+}
+
+export function jwtMiddleware(req, res, next) {
+    next(authenticate(req, res));
+}
+
+export function requireScope(...scopes) {
+    return (req, res, next) => {
+        const err = authenticate(req, res, true);
+        if (err) return next(err);
+        const missing = scopes.filter(scope => !hasScope(req.user, scope));
+        if (missing.length) return next(new HttpError(403, `JWT is missing required scope: ${missing.join(", ")}`, undefined, "INSUFFICIENT_SCOPE"));
+        next();
+    };
+}
+
+export function verifyBearer(req) {
+    const match = String(req.headers["authorization"] || "").match(/^Bearer\s+(.+)$/i);
+    const decoded = match ? verifyJwt(match[1].trim()) : null;
+    return decoded && !isTokenRevoked(decoded) ? decoded : null;
+}
+
+export function optionalJwtMiddleware(req, res, next) {
+    const decoded = verifyBearer(req);
+    if (decoded) req.user = decoded;
     next();
 }
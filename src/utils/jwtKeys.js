@@ -0,0 +1,84 @@
+import fs from "node:fs";
+import crypto from "node:crypto";
+import {env} from "../config/env.js";
+
+const KEY_TYPES = {RS256: "rsa", ES256: "ec"};
+
+function toTime(value) {
+    if (value === undefined || value === null || value === "") return null;
+    const ms = typeof value === "number" ? value : Date.parse(String(value));
+    if (Number.isNaN(ms)) throw new Error(`Invalid JWT key date: ${value}`);
+    return ms;
+}
+
+function readKeyConfig() {
+    if (env.JWT_KEYS_FILE) return JSON.parse(fs.readFileSync(env.JWT_KEYS_FILE, "utf8"));
+    if (env.JWT_KEYS_JSON) return JSON.parse(env.JWT_KEYS_JSON);
+    return [];
+}
+
+function loadKey(entry, defaultAlg) {
+    const alg = entry.alg || defaultAlg;
+    if (!entry.kid) throw new Error("JWT key is missing kid");
+    if (!KEY_TYPES[alg]) throw new Error(`JWT key ${entry.kid}: unsupported alg ${alg}`);
+    const privateKey = entry.privateKey ? crypto.createPrivateKey(entry.privateKey) : null;
+    const publicKey = entry.publicKey ? crypto.createPublicKey(entry.publicKey) : privateKey && crypto.createPublicKey(privateKey);
+    if (!publicKey) throw new Error(`JWT key ${entry.kid}: privateKey or publicKey is required`);
+    if (publicKey.asymmetricKeyType !== KEY_TYPES[alg]) throw new Error(`JWT key ${entry.kid}: ${alg} needs an ${KEY_TYPES[alg].toUpperCase()} key`);
+    if (alg === "ES256" && publicKey.asymmetricKeyDetails?.namedCurve !== "prime256v1") {
+        throw new Error(`JWT key ${entry.kid}: ES256 needs a P-256 key`);
+    }
+    return {kid: entry.kid, alg, privateKey, publicKey, notBefore: toTime(entry.notBefore), notAfter: toTime(entry.notAfter)};
+}
+
+export function loadJwtKeys(config, defaultAlg = env.JWT_ALGORITHM) {
+    if (!Array.isArray(config)) throw new Error("JWT keys must be a JSON array");
+    const keys = config.map(entry => loadKey(entry, defaultAlg));
+    const kids = new Set(keys.map(k => k.kid));
+    if (kids.size !== keys.length) throw new Error("JWT key ids (kid) must be unique");
+    return keys;
+}
+
+function isPublished(key, now) {
+    return !key.notAfter || key.notAfter > now;
+}
+
+export function selectSigningKey(keys, now = Date.now()) {
+    const active = keys.filter(k => k.privateKey && isPublished(k, now) && (!k.notBefore || k.notBefore <= now));
+    return active.reduce((newest, k) => ((k.notBefore ?? -Infinity) > (newest.notBefore ?? -Infinity) ? k : newest), active[0]) || null;
+}
+
+export function selectVerificationKey(keys, kid, now = Date.now()) {
+    if (!kid) return null;
+    return keys.find(k => k.kid === kid && isPublished(k, now)) || null;
+}
+
+export function toJwks(keys, now = Date.now()) {
+    return {
+        keys: keys.filter(k => isPublished(k, now)).map(k => ({
+            ...k.publicKey.export({format: "jwk"}), kid: k.kid, alg: k.alg, use: "sig"
+        }))
+    };
+}
+
+const asymmetric = env.JWT_ALGORITHM !== "HS256";
+const keys = asymmetric ? loadJwtKeys(readKeyConfig()) : [];
+if (asymmetric && !selectSigningKey(keys)) throw new Error(`JWT_ALGORITHM=${env.JWT_ALGORITHM} requires at least one active private key in JWT_KEYS_JSON or JWT_KEYS_FILE`);
+
+export function isAsymmetricJwt() {
+    return asymmetric;
+}
+
+export function getSigningKey() {
+    const key = selectSigningKey(keys);
+    if (!key) throw new Error("No active JWT signing key");
+    return key;
+}
+
+export function getVerificationKey(kid) {
+    return selectVerificationKey(keys, kid);
+}
+
+export function getJwks() {
+    return toJwks(keys);
+}
@@ -1,5 +1,9 @@
+import {redact} from "./redact.js";
+
+const safe = args => args.map(a => redact(a));
+
 export const log = {
-    info: (...a) => console.log("[INFO]", ...a),
-    warn: (...a) => console.warn("[WARN]", ...a),
-    error: (...a) => console.error("[ERROR]", ...a)
+    info: (...a) => console.log("[INFO]", ...safe(a)),
+    warn: (...a) => console.warn("[WARN]", ...safe(a)),
+    error: (...a) => console.error("[ERROR]", ...safe(a))
 };
@@ -0,0 +1,53 @@
+import crypto from "node:crypto";
+import Joi from "joi";
+import {LRUCache} from "lru-cache";
+import {env} from "../config/env.js";
+
+const clientSchema = Joi.object().pattern(Joi.string(), Joi.object({
+    clientId: Joi.string(),
+    redirectUris: Joi.array().items(Joi.string().uri()).min(1).required()
+}));
+
+const pending = new LRUCache({max: 10000, ttl: env.OAUTH_STATE_TTL_MS});
+
+export function loadOAuthClients(raw) {
+    if (!raw) return {};
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (err) {
+        throw new Error(`Invalid OAUTH_CLIENTS_JSON: ${err.message}`);
+    }
+    const {value, error} = clientSchema.validate(parsed);
+    if (error) throw new Error(`Invalid OAUTH_CLIENTS_JSON: ${error.message}`);
+    return value;
+}
+
+const clients = loadOAuthClients(env.OAUTH_CLIENTS_JSON);
+
+export function getOAuthClient(name) {
+    const names = Object.keys(clients);
+    const key = name || (names.length === 1 ? names[0] : undefined);
+    if (!key || !clients[key]) return null;
+    return {name: key, clientId: clients[key].clientId || env.CLIENT_ID, redirectUris: clients[key].redirectUris};
+}
+
+export function createPkcePair() {
+    const verifier = crypto.randomBytes(32).toString("base64url");
+    const challenge = crypto.createHash("sha256").update(verifier).digest("base64url");
+    return {verifier, challenge};
+}
+
+export function createOAuthState(data) {
+    const state = crypto.randomBytes(24).toString("base64url");
+    pending.set(state, {...data, createdAt: Date.now()});
+    return state;
+}
+
+export function consumeOAuthState(state) {
+    if (!state) return null;
+    const data = pending.get(state);
+    if (!data) return null;
+    pending.delete(state);
+    return data;
+}
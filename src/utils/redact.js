@@ -0,0 +1,58 @@
+export const REDACTED = "[REDACTED]";
+
+const SECRET_KEY = /(tokens?|tickets?|secret|password|signature|device_code|authorization(header)?|cookie)$/i;
+
+const CREDENTIAL_PATTERNS = [
+    [/(XBL[23]\.0 x=[^;\s"']*;)[^\s"',]+/gi, `$1${REDACTED}`],
+    [/\b(MCToken|Bearer)\s+[^\s"',]+/gi, `$1 ${REDACTED}`],
+    [/\beyJ[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]*){2,4}/g, REDACTED],
+    [/\b[0-9A-F]{12,16}(-[0-9A-Za-z+/=]+){3,}-[0-9A-Za-z+/]{16,}=*/gi, REDACTED],
+    [/\bM\.[A-Za-z0-9]+_[A-Za-z0-9]+\.\d\.[A-Za-z]\.[^\s"',&]+/g, REDACTED],
+    [/\bEw[A-Za-z0-9+/]{100,}={0,2}/g, REDACTED]
+];
+
+export function isSecretKey(key) {
+    return typeof key === "string" && SECRET_KEY.test(key);
+}
+
+export function redactString(value) {
+    if (typeof value !== "string") return value;
+    return CREDENTIAL_PATTERNS.reduce((out, [pattern, replacement]) => out.replace(pattern, replacement), value);
+}
+
+function scrub(value, key, seen, byKey) {
+    if (byKey && isSecretKey(key) && value !== null && value !== undefined && value !== "") return REDACTED;
+    if (typeof value === "string") return redactString(value);
+    if (!value || typeof value !== "object") return value;
+    const proto = Object.getPrototypeOf(value);
+    if (!(value instanceof Error) && !Array.isArray(value) && proto !== Object.prototype && proto !== null) return value;
+    if (seen.has(value)) return "[Circular]";
+    seen.add(value);
+    let out;
+    if (value instanceof Error) {
+        out = {name: value.name, message: redactString(value.message), stack: redactString(value.stack), ...(value.details ? {details: scrub(value.details, undefined, seen, byKey)} : {})};
+    } else if (Array.isArray(value)) {
+        out = value.map(v => scrub(v, undefined, seen, byKey));
+    } else {
+        out = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, scrub(v, k, seen, byKey)]));
+    }
+    seen.delete(value);
+    return out;
+}
+
+export function redact(value, key, seen = new WeakSet()) {
+    return scrub(value, key, seen, true);
+}
+
+// Masks credential text only, leaving token-named keys intact (decoded token claims in debug output).
+export function redactValues(value) {
+    return scrub(value, undefined, new WeakSet(), false);
+}
+
+export function redactUrl(url) {
+    const [path, query] = String(url).split("?", 2);
+    if (!query) return redactString(path);
+    const params = new URLSearchParams(query);
+    for (const [k, v] of params) params.set(k, isSecretKey(k) || k === "code" ? REDACTED : redactString(v));
+    return `${redactString(path)}?${params}`;
+}
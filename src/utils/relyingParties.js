@@ -0,0 +1,31 @@
+import fs from "node:fs";
+import Joi from "joi";
+import {env} from "../config/env.js";
+
+export const BUILTIN_TARGETS = ["xbox", "redeem", "playfab", "minecraft", "entity"];
+
+const entrySchema = Joi.alternatives().try(
+    Joi.string().min(1),
+    Joi.object({relyingParty: Joi.string().min(1).required(), description: Joi.string()})
+);
+const registrySchema = Joi.object().pattern(
+    Joi.string().pattern(/^[a-z][a-zA-Z0-9]{0,31}$/).invalid(...BUILTIN_TARGETS),
+    entrySchema
+);
+
+function readRegistryConfig() {
+    if (env.RELYING_PARTIES_FILE) return JSON.parse(fs.readFileSync(env.RELYING_PARTIES_FILE, "utf8"));
+    if (env.RELYING_PARTIES_JSON) return JSON.parse(env.RELYING_PARTIES_JSON);
+    return {};
+}
+
+export function loadRelyingParties(config) {
+    const {value, error} = registrySchema.validate(config);
+    if (error) throw new Error(`Invalid relying party registry: ${error.message}`);
+    return Object.entries(value).map(([name, entry]) => {
+        const {relyingParty, description} = typeof entry === "string" ? {relyingParty: entry} : entry;
+        return {name, relyingParty, description};
+    });
+}
+
+export const RELYING_PARTIES = loadRelyingParties(readRegistryConfig());
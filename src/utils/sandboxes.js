@@ -0,0 +1,16 @@
+import {env} from "../config/env.js";
+import {badRequest} from "./httpError.js";
+
+export const DEFAULT_SANDBOX = env.XSTS_SANDBOX;
+export const ALLOWED_SANDBOXES = [...new Set([
+    DEFAULT_SANDBOX,
+    ...String(env.XSTS_SANDBOX_ALLOWLIST || "").split(",").map(s => s.trim()).filter(Boolean)
+])];
+
+export function resolveSandbox(requested) {
+    if (!requested) return DEFAULT_SANDBOX;
+    if (!ALLOWED_SANDBOXES.includes(requested)) {
+        throw badRequest(`Sandbox ${requested} is not allowed on this server (allowed: ${ALLOWED_SANDBOXES.join(", ")})`);
+    }
+    return requested;
+}
@@ -0,0 +1,31 @@
+export const SCOPES = {
+    "profile:read": "Xbox profile, titles, achievements, stats, presence and gamertag/xuid lookups",
+    "people:read": "Friends and followers",
+    "captures:read": "Screenshots and game clips",
+    "inventory:read": "PlayFab and Minecraft Marketplace inventory, balances and capes",
+    "playfab:read": "PlayFab account, profile, catalog, title data and user data",
+    "wishlist:read": "Minecraft Marketplace wishlist",
+    "wishlist:write": "Add or remove wishlist items (implies wishlist:read)",
+    "messaging:read": "Marketplace inbox sessions",
+    "messaging:write": "Send Marketplace inbox events (implies messaging:read)",
+    "redeem:read": "Look up redeem codes",
+    "redeem:write": "Redeem codes (implies redeem:read)",
+    "minecraft:token": "Mint Minecraft multiplayer tokens and PlayFab session tickets",
+    "sessions:manage": "List and end sign-in sessions"
+};
+
+export const ALL_SCOPES = Object.keys(SCOPES);
+
+function impliedScopes(scope) {
+    const read = scope.replace(/:write$/, ":read");
+    return read !== scope && SCOPES[read] ? [scope, read] : [scope];
+}
+
+export function tokenScopes(user) {
+    if (typeof user?.scope !== "string") return ALL_SCOPES;
+    return [...new Set(user.scope.split(" ").filter(Boolean).flatMap(impliedScopes))];
+}
+
+export function hasScope(user, scope) {
+    return tokenScopes(user).includes(scope);
+}
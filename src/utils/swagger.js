@@ -1,5 +1,8 @@
 import swaggerJSDoc from "swagger-jsdoc";
 import {env} from "../config/env.js";
+import {BUILTIN_TARGETS, RELYING_PARTIES} from "./relyingParties.js";
+import {ALLOWED_SANDBOXES, DEFAULT_SANDBOX} from "./sandboxes.js";
+import {ERROR_CODES} from "./errorCatalog.js";
 
 const serverUrl = env.SWAGGER_SERVER_URL || `http://localhost:${env.PORT}`;
 
@@ -40,18 +43,94 @@ const options = {
             name: "Messaging", description: "Marketplace inbox and messaging sessions."
         }, {
             name: "Debug", description: "Token inspection helpers for JWT, XSTS, Minecraft tokens and PlayFab tickets."
+        }, {
+            name: "Errors", description: "Catalog of error codes, their meaning and the recommended client reaction."
         }], components: {
             securitySchemes: {
-                BearerAuth: {type: "http", scheme: "bearer", bearerFormat: "JWT"}, XBLToken: {
-                    type: "apiKey", in: "header", name: "x-xbl-token", description: "XBL3.0 x={uhs};{xstsToken}"
+                BearerAuth: {
+                    type: "http",
+                    scheme: "bearer",
+                    bearerFormat: "JWT",
+                    description: "API JWT. Each router requires a scope (see `GET /auth/scopes`); missing scopes return 403 `INSUFFICIENT_SCOPE`."
+                }, ApiKeyAuth: {
+                    type: "apiKey",
+                    in: "header",
+                    name: "X-API-Key",
+                    description: "Service API key for machine-to-machine clients (created via `/admin/api-keys`). Limited to the key's scopes, routes and quota."
+                }, AdminToken: {
+                    type: "apiKey", in: "header", name: "X-Admin-Token", description: "Operator token (`ADMIN_TOKEN`)"
+                }, XBLToken: {
+                    type: "apiKey",
+                    in: "header",
+                    name: "x-xbl-token",
+                    description: "XBL3.0 x={uhs};{xstsToken} (optional with a vault-backed JWT)"
                 }, MCToken: {
                     type: "apiKey",
                     in: "header",
                     name: "x-mc-token",
-                    description: "Minecraft Authorization Header (\"MCToken …\")"
+                    description: "Minecraft Authorization Header (\"MCToken …\", optional with a vault-backed JWT)"
+                }
+            }, parameters: {
+                AccountXuid: {
+                    in: "header",
+                    name: "X-Account-Xuid",
+                    required: false,
+                    schema: {type: "string"},
+                    description: "Act on a linked Xbox account of the current session (see `/auth/accounts`) instead of the JWT's primary account. Vault credentials are resolved for the selected account."
+                },
+                TokenBundle: {
+                    in: "header",
+                    name: "X-Token-Bundle",
+                    required: false,
+                    schema: {type: "string"},
+                    description: "Encrypted token bundle (JWE) from a sign-in with `bundle: true`. Xbox / PlayFab / Minecraft tokens that are not sent explicitly are taken from it."
+                }
+            }, responses: {
+                Error: {
+                    description: "Error in the legacy format, or as RFC 7807 problem details when requested with `Accept: application/problem+json` (or `ERROR_FORMAT=problem`)",
+                    content: {
+                        "application/json": {schema: {$ref: "#/components/schemas/Error"}},
+                        "application/problem+json": {schema: {$ref: "#/components/schemas/Problem"}}
+                    }
                 }
             }, schemas: {
-                AuthDeviceResponse: {
+                ErrorCode: {
+                    type: "string", enum: ERROR_CODES, description: "Stable error code, see `GET /errors`"
+                }, Error: {
+                    type: "object", properties: {
+                        error: {
+                            type: "object", required: ["code", "message"], properties: {
+                                code: {$ref: "#/components/schemas/ErrorCode"},
+                                message: {type: "string"},
+                                details: {description: "Code-specific details, e.g. `upstream`, `retryAfter`, `remediationUrl`"},
+                                stack: {type: "string", description: "Only outside production"}
+                            }
+                        }
+                    }
+                }, Problem: {
+                    type: "object", required: ["type", "title", "status", "code"], properties: {
+                        type: {type: "string", format: "uri-reference", example: "/errors/UPSTREAM_RATE_LIMITED", description: "Catalog entry of the code, `about:blank` for codes outside the catalog"},
+                        title: {type: "string", example: "Upstream rate limit"},
+                        status: {type: "integer", example: 429},
+                        detail: {type: "string", example: "Failed to get profile settings"},
+                        instance: {type: "string", description: "Request id (`X-Request-Id`)"},
+                        code: {$ref: "#/components/schemas/ErrorCode"},
+                        retryAfter: {type: "integer", description: "Seconds to wait before retrying, also sent as `Retry-After`"},
+                        upstream: {type: "string", example: "XBOX_PROFILE", description: "Upstream service that failed"},
+                        details: {description: "Code-specific details, same as `error.details` in the legacy format"},
+                        stack: {type: "string", description: "Only outside production"}
+                    }
+                }, ErrorCatalogEntry: {
+                    type: "object", properties: {
+                        code: {$ref: "#/components/schemas/ErrorCode"},
+                        status: {type: "integer"},
+                        title: {type: "string"},
+                        description: {type: "string"},
+                        action: {type: "string", description: "What the client should do"},
+                        type: {type: "string", format: "uri-reference"},
+                        upstreams: {type: "array", items: {type: "string"}, description: "Possible `upstream` values (upstream codes only)"}
+                    }
+                }, AuthDeviceResponse: {
                     type: "object", properties: {
                         device_code: {type: "string"},
                         user_code: {type: "string"},
@@ -84,7 +163,160 @@ const options = {
                         entityToken: {type: "string"},
                         entityTokenExpiresOn: {type: "string"},
                         entityTokenMaster: {type: "string"},
-                        entityTokenMasterExpiresOn: {type: "string"}
+                        entityTokenMasterExpiresOn: {type: "string"},
+                        sandbox: {type: "string", example: "RETAIL"},
+                        relyingPartyTokens: {
+                            type: "object",
+                            additionalProperties: {type: "string"},
+                            description: "`XBL3.0 x={uhs};{xsts}` headers for the configured relying parties, keyed by name"
+                        },
+                        errors: {$ref: "#/components/schemas/TokenLegErrors"}
+                    }
+                }, TokenTargets: {
+                    type: "array",
+                    items: {type: "string", enum: [...BUILTIN_TARGETS, ...RELYING_PARTIES.map(rp => rp.name)]},
+                    description: "Token legs to mint (default: all). `xbox` is always included because it carries the identity the JWT is issued for; `minecraft` and `entity` pull in `playfab`. Relying parties from the registry (`RELYING_PARTIES_JSON`) are targets under their own name."
+                }, XstsSandbox: {
+                    type: "string",
+                    enum: ALLOWED_SANDBOXES,
+                    default: DEFAULT_SANDBOX,
+                    description: "Xbox sandbox the XSTS tokens are issued for (`XSTS_SANDBOX`, others from `XSTS_SANDBOX_ALLOWLIST`). The choice is kept in the JWT, vault session and bundle and reused on refresh."
+                }, CircuitBreakerState: {
+                    type: "object", properties: {
+                        state: {type: "string", enum: ["closed", "open", "half_open"]},
+                        failures: {type: "integer", description: "Consecutive failures (timeouts, network errors, 5xx)"},
+                        openedAt: {type: "string", format: "date-time", nullable: true},
+                        retryAt: {type: "string", format: "date-time", nullable: true, description: "When the next probe request is let through"}
+                    }
+                }, TokenLegErrors: {
+                    type: "object",
+                    description: "Per-leg failures, keyed by target. Only present when at least one leg failed.",
+                    additionalProperties: {
+                        type: "object", properties: {
+                            status: {type: "integer"},
+                            code: {type: "string"},
+                            message: {type: "string"},
+                            details: {}
+                        }
+                    }
+                }, AuthVaultResponse: {
+                    type: "object", properties: {
+                        jwt: {type: "string"},
+                        xuid: {type: "string"},
+                        gamertag: {type: "string"},
+                        playFabId: {type: "string"},
+                        sandbox: {type: "string", example: "RETAIL"},
+                        vault: {
+                            type: "object", properties: {
+                                sessionId: {type: "string"}, expiresAt: {type: "string", format: "date-time"}
+                            }
+                        },
+                        errors: {$ref: "#/components/schemas/TokenLegErrors"}
+                    }
+                }, AuthBundleResponse: {
+                    type: "object", properties: {
+                        jwt: {type: "string"},
+                        xuid: {type: "string"},
+                        gamertag: {type: "string"},
+                        playFabId: {type: "string"},
+                        sandbox: {type: "string", example: "RETAIL"},
+                        bundle: {type: "string", description: "Compact JWE (dir, A256GCM) holding every issued token; send it as `X-Token-Bundle`"},
+                        bundleExpiresAt: {type: "string", format: "date-time"},
+                        errors: {$ref: "#/components/schemas/TokenLegErrors"}
+                    }
+                }, TokenStatus: {
+                    type: "object", properties: {
+                        type: {type: "string", example: "XSTS"},
+                        issuer: {type: "string", example: "xsts.auth.xboxlive.com"},
+                        relyingParty: {type: "string", example: "http://xboxlive.com"},
+                        expiresAt: {type: "string", format: "date-time", nullable: true},
+                        secondsRemaining: {type: "integer", nullable: true},
+                        expired: {type: "boolean", nullable: true},
+                        needsRefresh: {type: "boolean", nullable: true}
+                    }
+                }, TokenStatusResponse: {
+                    type: "object", properties: {
+                        source: {type: "string", enum: ["body", "bundle", "vault"]},
+                        xuid: {type: "string"},
+                        gamertag: {type: "string"},
+                        checkedAt: {type: "string", format: "date-time"},
+                        refreshSkewSeconds: {type: "integer"},
+                        needsRefresh: {type: "array", items: {type: "string"}, description: "Tokens that expire within the refresh window"},
+                        tokens: {type: "object", additionalProperties: {$ref: "#/components/schemas/TokenStatus"}}
+                    }
+                }, AuditEvent: {
+                    type: "object", properties: {
+                        id: {type: "string"},
+                        at: {type: "string", format: "date-time"},
+                        type: {type: "string", example: "auth.callback"},
+                        outcome: {type: "string", enum: ["success", "failure", "cancelled"]},
+                        status: {type: "integer"},
+                        xuid: {type: "string"},
+                        gamertag: {type: "string"},
+                        session: {type: "string"},
+                        apiKey: {type: "string"},
+                        ip: {type: "string"},
+                        userAgent: {type: "string"},
+                        requestId: {type: "string"},
+                        error: {type: "object", properties: {code: {type: "string"}, message: {type: "string"}}},
+                        details: {type: "object", additionalProperties: true}
+                    }
+                }, AuthSession: {
+                    type: "object", properties: {
+                        id: {type: "string"},
+                        current: {type: "boolean"},
+                        gamertag: {type: "string"},
+                        vault: {type: "boolean"},
+                        linkedAccounts: {type: "array", items: {type: "string"}},
+                        userAgent: {type: "string"},
+                        ip: {type: "string"},
+                        createdAt: {type: "string", format: "date-time"},
+                        lastSeenAt: {type: "string", format: "date-time"},
+                        expiresAt: {type: "string", format: "date-time"}
+                    }
+                }, LinkedAccount: {
+                    type: "object", properties: {
+                        xuid: {type: "string"},
+                        gamertag: {type: "string"},
+                        primary: {type: "boolean"},
+                        vault: {type: "boolean"},
+                        linkedAt: {type: "string", format: "date-time"}
+                    }
+                }, ApiKeyRequest: {
+                    type: "object", required: ["name", "scopes"], properties: {
+                        name: {type: "string", example: "nightly-inventory-sync"},
+                        scopes: {type: "array", items: {type: "string"}, example: ["inventory:read"]},
+                        routes: {
+                            type: "array",
+                            items: {type: "string"},
+                            description: "Allowed routes as `[METHOD ]/path`, a trailing `*` matches a prefix. Empty allows every route the scopes permit.",
+                            example: ["GET /inventory/minecraft*"]
+                        },
+                        xuid: {type: "string", description: "Bind the key to an Xbox account; routes acting on `/me` use it"},
+                        quota: {
+                            type: "object", properties: {
+                                limit: {type: "integer", example: 1000}, windowMs: {type: "integer", example: 3600000}
+                            }
+                        }
+                    }
+                }, ApiKey: {
+                    type: "object", properties: {
+                        id: {type: "string"},
+                        name: {type: "string"},
+                        scopes: {type: "array", items: {type: "string"}},
+                        routes: {type: "array", items: {type: "string"}},
+                        xuid: {type: "string", nullable: true},
+                        quota: {type: "object", nullable: true},
+                        createdAt: {type: "string", format: "date-time"},
+                        rotatedAt: {type: "string", format: "date-time", nullable: true},
+                        revokedAt: {type: "string", format: "date-time", nullable: true},
+                        lastUsedAt: {type: "string", format: "date-time", nullable: true},
+                        lastUsedIp: {type: "string", nullable: true}
+                    }
+                }, ApiKeyIssued: {
+                    type: "object", properties: {
+                        key: {type: "string", description: "Plaintext key, shown only once"},
+                        apiKey: {$ref: "#/components/schemas/ApiKey"}
                     }
                 }, ProfileOverviewRequest: {
                     type: "object", properties: {
@@ -154,6 +386,8 @@ const options = {
                             }
                         }, decoded: {
                             type: "object", additionalProperties: {$ref: "#/components/schemas/TokenDecoded"}
+                        }, relyingParties: {
+                            type: "object", additionalProperties: {$ref: "#/components/schemas/TokenDecoded"}
                         }
                     }
                 }, ErrorResponse: {
@@ -168,7 +402,7 @@ const options = {
                     }
                 }
             }
-        }, security: [{BearerAuth: []}], paths: {
+        }, security: [{BearerAuth: []}, {ApiKeyAuth: []}], paths: {
             "/debug/decode-token": {
                 post: {
                     summary: "Decode JWT, XSTS (XBL3.0), MCToken, and PlayFab sessionTicket",
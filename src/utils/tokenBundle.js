@@ -0,0 +1,50 @@
+import crypto from "node:crypto";
+import zlib from "node:zlib";
+import {env} from "../config/env.js";
+import {unauthorized} from "./httpError.js";
+import {pickVaultTokens} from "./tokenVault.js";
+
+const key = env.TOKEN_BUNDLE_KEY ? crypto.createHash("sha256").update(env.TOKEN_BUNDLE_KEY).digest() : null;
+const kid = key ? crypto.createHash("sha256").update(key).digest("base64url").slice(0, 16) : null;
+
+const b64 = value => Buffer.from(value).toString("base64url");
+
+export function isTokenBundleEnabled() {
+    return Boolean(key);
+}
+
+export function sealTokenBundle(bundle, now = Date.now()) {
+    if (!key) throw new Error("TOKEN_BUNDLE_KEY is not configured");
+    const exp = now + env.TOKEN_BUNDLE_TTL_MS;
+    const header = b64(JSON.stringify({alg: "dir", enc: "A256GCM", zip: "DEF", kid, cty: "xlink-bundle+json"}));
+    const plaintext = zlib.deflateRawSync(JSON.stringify({...pickVaultTokens(bundle), iat: now, exp}));
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    cipher.setAAD(Buffer.from(header, "ascii"));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    const token = [header, "", iv.toString("base64url"), ciphertext.toString("base64url"), cipher.getAuthTag().toString("base64url")].join(".");
+    return {token, expiresAt: new Date(exp).toISOString()};
+}
+
+export function openTokenBundle(token, now = Date.now()) {
+    if (!key) throw unauthorized("Encrypted token bundles are disabled on this server");
+    const parts = String(token).split(".");
+    if (parts.length !== 5) throw unauthorized("Malformed token bundle");
+    const [header, encryptedKey, iv, ciphertext, tag] = parts;
+    let payload;
+    try {
+        const protectedHeader = JSON.parse(Buffer.from(header, "base64url").toString("utf8"));
+        if (protectedHeader.alg !== "dir" || protectedHeader.enc !== "A256GCM" || encryptedKey) throw new Error("Unsupported JWE");
+        if (protectedHeader.kid !== kid) throw new Error("Unknown key");
+        const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64url"));
+        decipher.setAAD(Buffer.from(header, "ascii"));
+        decipher.setAuthTag(Buffer.from(tag, "base64url"));
+        let plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64url")), decipher.final()]);
+        if (protectedHeader.zip === "DEF") plaintext = zlib.inflateRawSync(plaintext);
+        payload = JSON.parse(plaintext.toString("utf8"));
+    } catch {
+        throw unauthorized("Invalid token bundle");
+    }
+    if (!payload.exp || payload.exp <= now) throw unauthorized("Token bundle expired, refresh or sign in again");
+    return payload;
+}
@@ -0,0 +1,21 @@
+import jwt from "jsonwebtoken";
+
+export function parseExpiry(value) {
+    if (value === undefined || value === null || value === "") return null;
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+    const ms = Date.parse(String(value));
+    return Number.isNaN(ms) ? null : ms;
+}
+
+export function mcTokenExpiry(mcToken) {
+    const raw = String(mcToken || "").replace(/^MCToken\s+/i, "").trim();
+    if (!raw) return null;
+    const decoded = jwt.decode(raw);
+    return typeof decoded?.exp === "number" ? decoded.exp * 1000 : null;
+}
+
+export function expiringTokenKeys(expiresAt = {}, skewMs = 0, now = Date.now()) {
+    return Object.entries(expiresAt || {})
+        .filter(([, at]) => typeof at === "number" && at - now <= skewMs)
+        .map(([key]) => key);
+}
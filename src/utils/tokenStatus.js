@@ -0,0 +1,66 @@
+import jwt from "jsonwebtoken";
+import {PLAYFAB_RELYING_PARTY, REDEEM_RELYING_PARTY, XBOX_RELYING_PARTY} from "../services/auth.service.js";
+import {mcTokenExpiry, parseExpiry} from "./tokenExpiry.js";
+import {RELYING_PARTIES} from "./relyingParties.js";
+
+const XSTS_ISSUER = "xsts.auth.xboxlive.com";
+const PLAYFAB_ISSUER = "playfabapi.com";
+
+const TOKEN_TYPES = {
+    jwt: {type: "API_JWT"},
+    msAccessToken: {type: "MSA_ACCESS_TOKEN", issuer: "login.live.com"},
+    msRefreshToken: {type: "MSA_REFRESH_TOKEN", issuer: "login.live.com"},
+    xblToken: {type: "XBL_USER_TOKEN", issuer: "user.auth.xboxlive.com"},
+    xboxliveToken: {type: "XSTS", issuer: XSTS_ISSUER, relyingParty: XBOX_RELYING_PARTY, xsts: "xbox"},
+    redeemToken: {type: "XSTS", issuer: XSTS_ISSUER, relyingParty: REDEEM_RELYING_PARTY, xsts: "redeem"},
+    playfabToken: {type: "XSTS", issuer: XSTS_ISSUER, relyingParty: PLAYFAB_RELYING_PARTY, xsts: "playfab"},
+    sessionTicket: {type: "PLAYFAB_SESSION_TICKET", issuer: PLAYFAB_ISSUER},
+    mcToken: {type: "MC_TOKEN", issuer: "authorization.franchise.minecraft-services.net"},
+    entityToken: {type: "PLAYFAB_ENTITY_TOKEN", issuer: PLAYFAB_ISSUER, expiresOn: "entityTokenExpiresOn"},
+    entityTokenMaster: {type: "PLAYFAB_ENTITY_TOKEN", issuer: PLAYFAB_ISSUER, expiresOn: "entityTokenMasterExpiresOn"}
+};
+
+function jwtExpiry(token) {
+    const decoded = jwt.decode(String(token || ""));
+    return typeof decoded?.exp === "number" ? decoded.exp * 1000 : null;
+}
+
+function tokenExpiry(bundle, key, spec) {
+    const known = parseExpiry(bundle.expiresAt?.[key]);
+    if (known) return known;
+    if (spec.xsts) return parseExpiry(bundle.xsts?.[spec.xsts]?.NotAfter);
+    if (spec.expiresOn) return parseExpiry(bundle[spec.expiresOn]);
+    if (key === "mcToken") return mcTokenExpiry(bundle.mcToken);
+    if (key === "jwt") return jwtExpiry(bundle.jwt);
+    return null;
+}
+
+function expiryStatus(expiresAt, skewMs, now) {
+    return {
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+        secondsRemaining: expiresAt ? Math.max(0, Math.floor((expiresAt - now) / 1000)) : null,
+        expired: expiresAt ? expiresAt <= now : null,
+        needsRefresh: expiresAt ? expiresAt - now <= skewMs : null
+    };
+}
+
+export function describeTokenStatus(bundle = {}, {skewMs = 0, now = Date.now()} = {}) {
+    const tokens = {};
+    for (const [key, spec] of Object.entries(TOKEN_TYPES)) {
+        if (typeof bundle[key] !== "string" || !bundle[key]) continue;
+        const expiresAt = tokenExpiry(bundle, key, spec);
+        const status = {type: spec.type};
+        if (spec.issuer) status.issuer = spec.issuer;
+        if (spec.relyingParty) status.relyingParty = spec.relyingParty;
+        tokens[key] = {...status, ...expiryStatus(expiresAt, skewMs, now)};
+    }
+    for (const {name, relyingParty} of RELYING_PARTIES) {
+        if (!bundle.relyingPartyTokens?.[name]) continue;
+        const expiresAt = parseExpiry(bundle.expiresAt?.[`relyingPartyTokens.${name}`]) || parseExpiry(bundle.xsts?.[name]?.NotAfter);
+        tokens[name] = {type: "XSTS", issuer: XSTS_ISSUER, relyingParty, ...expiryStatus(expiresAt, skewMs, now)};
+    }
+    return {
+        tokens,
+        needsRefresh: Object.keys(tokens).filter(key => tokens[key].needsRefresh)
+    };
+}
@@ -0,0 +1,44 @@
+import crypto from "node:crypto";
+import {LRUCache} from "lru-cache";
+import {env} from "../config/env.js";
+
+const VAULT_KEYS = ["xuid", "gamertag", "uhs", "msAccessToken", "msRefreshToken", "msExpiresIn", "xblToken", "deviceToken", "titleToken", "sandbox", "xsts", "xboxliveToken", "playfabToken", "redeemToken", "mcToken", "sessionTicket", "playFabId", "entityToken", "entityTokenExpiresOn", "entityTokenMaster", "entityTokenMasterExpiresOn", "relyingPartyTokens", "expiresAt"];
+
+const sessions = new LRUCache({max: env.TOKEN_VAULT_MAX_SESSIONS, ttl: env.TOKEN_VAULT_TTL_MS});
+
+export function pickVaultTokens(bundle = {}) {
+    const out = {};
+    for (const key of VAULT_KEYS) {
+        if (bundle[key] !== undefined && bundle[key] !== null) out[key] = bundle[key];
+    }
+    return out;
+}
+
+export function createVaultSession(bundle) {
+    const id = crypto.randomUUID();
+    const now = Date.now();
+    sessions.set(id, {...pickVaultTokens(bundle), createdAt: now, updatedAt: now});
+    return {id, expiresAt: new Date(now + env.TOKEN_VAULT_TTL_MS).toISOString()};
+}
+
+export function getVaultSession(id) {
+    if (!id) return null;
+    return sessions.get(id) || null;
+}
+
+export function updateVaultSession(id, bundle) {
+    const current = getVaultSession(id);
+    if (!current) return null;
+    const now = Date.now();
+    const next = {...current, ...pickVaultTokens(bundle), updatedAt: now};
+    if (bundle?.xsts) next.xsts = {...current.xsts, ...bundle.xsts};
+    if (bundle?.relyingPartyTokens) next.relyingPartyTokens = {...current.relyingPartyTokens, ...bundle.relyingPartyTokens};
+    if (bundle?.expiresAt) next.expiresAt = {...current.expiresAt, ...bundle.expiresAt};
+    sessions.set(id, next);
+    return {id, expiresAt: new Date(now + env.TOKEN_VAULT_TTL_MS).toISOString()};
+}
+
+export function deleteVaultSession(id) {
+    if (!id) return false;
+    return sessions.delete(id);
+}
@@ -0,0 +1,93 @@
+import {HttpError, internal} from "./httpError.js";
+import {parseRetryAfter} from "./http.js";
+
+export const UPSTREAM_TAGS = [
+    "MS_LOGIN",
+    "XBOX_USER_AUTH", "XBOX_DEVICE_AUTH", "XBOX_SISU", "XBOX_XSTS",
+    "XBOX_PROFILE", "XBOX_ACHIEVEMENTS", "XBOX_PRESENCE", "XBOX_TITLEHUB", "XBOX_USERSTATS", "XBOX_PEOPLEHUB", "XBOX_GAMECLIPS", "XBOX_SCREENSHOTS",
+    "PLAYFAB",
+    "MC_AUTH", "MC_ENTITLEMENTS", "MC_STORE", "MC_MESSAGING",
+    "REDEEM"
+];
+
+export const UPSTREAM_ERROR_CODES = {
+    400: "UPSTREAM_BAD_REQUEST",
+    401: "UPSTREAM_UNAUTHORIZED",
+    403: "UPSTREAM_FORBIDDEN",
+    404: "UPSTREAM_NOT_FOUND",
+    409: "UPSTREAM_CONFLICT",
+    423: "UPSTREAM_LOCKED",
+    429: "UPSTREAM_RATE_LIMITED",
+    502: "UPSTREAM_ERROR",
+    503: "UPSTREAM_UNAVAILABLE",
+    504: "UPSTREAM_TIMEOUT"
+};
+const OTHER_CLIENT_ERROR = "UPSTREAM_REJECTED";
+const UNREACHABLE = "UPSTREAM_UNREACHABLE";
+const TIMEOUT_CODES = ["ECONNABORTED", "ETIMEDOUT"];
+
+function firstString(...values) {
+    const found = values.find(v => (typeof v === "string" && v.trim()) || typeof v === "number");
+    return found === undefined ? undefined : String(found);
+}
+
+export function extractUpstreamFault(data, headers = {}) {
+    const body = data && typeof data === "object" ? data : {};
+    const nested = body.error && typeof body.error === "object" ? body.error : {};
+    return {
+        upstreamCode: firstString(
+            typeof body.error === "string" ? body.error : undefined,
+            nested.code,
+            body.errorCode,
+            body.XErr,
+            body.code,
+            headers["x-err"]
+        ),
+        upstreamMessage: firstString(
+            body.errorMessage,
+            body.error_description,
+            nested.message,
+            body.Message,
+            body.message,
+            body.description
+        )
+    };
+}
+
+function retryAfterSeconds(response) {
+    const header = parseRetryAfter(response.headers?.["retry-after"]);
+    if (header !== null) return Math.max(1, Math.ceil(header / 1000));
+    const fromBody = Number(response.data?.retryAfterSeconds);
+    return Number.isFinite(fromBody) && fromBody > 0 ? Math.ceil(fromBody) : undefined;
+}
+
+function mapStatus(status) {
+    if (status >= 400 && status < 500) return [status, UPSTREAM_ERROR_CODES[status] || OTHER_CLIENT_ERROR];
+    if (status === 503 || status === 504) return [status, UPSTREAM_ERROR_CODES[status]];
+    return [502, UPSTREAM_ERROR_CODES[502]];
+}
+
+function compact(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null && v !== ""));
+}
+
+export function upstreamError(err, upstream, message, extra = {}) {
+    if (err instanceof HttpError) return err;
+    const response = err?.response;
+    if (!response) {
+        if (!err?.isAxiosError) return internal(message, err?.message || err);
+        const timedOut = TIMEOUT_CODES.includes(err.code);
+        return new HttpError(timedOut ? 504 : 502, message, compact({upstream, reason: err.code || err.message, ...extra}), timedOut ? UPSTREAM_ERROR_CODES[504] : UNREACHABLE);
+    }
+    const [status, code] = mapStatus(response.status);
+    const data = response.data;
+    const body = typeof data === "string" ? data.trim().slice(0, 800) : data;
+    return new HttpError(status, message, compact({
+        upstream,
+        status: response.status,
+        ...extractUpstreamFault(data, response.headers),
+        retryAfter: retryAfterSeconds(response),
+        ...extra,
+        body
+    }), code);
+}
@@ -0,0 +1,59 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import {env} from "../config/env.js";
+
+const SIGNATURE_VERSION = 1;
+const FILETIME_EPOCH_OFFSET_SECONDS = 11644473600n;
+
+let proofKey = null;
+
+export function loadProofKey(file = env.SISU_KEY_FILE) {
+    try {
+        return crypto.createPrivateKey(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+        if (err.code !== "ENOENT") throw new Error(`Cannot read SISU_KEY_FILE ${file}: ${err.message}`);
+    }
+    const {privateKey} = crypto.generateKeyPairSync("ec", {namedCurve: "prime256v1"});
+    fs.mkdirSync(path.dirname(path.resolve(file)), {recursive: true});
+    fs.writeFileSync(file, privateKey.export({type: "pkcs8", format: "pem"}), {mode: 0o600});
+    return privateKey;
+}
+
+export function getProofKey() {
+    if (!proofKey) proofKey = loadProofKey();
+    return proofKey;
+}
+
+export function proofKeyJwk(key = getProofKey()) {
+    const {x, y} = crypto.createPublicKey(key).export({format: "jwk"});
+    return {crv: "P-256", alg: "ES256", use: "sig", kty: "EC", x, y};
+}
+
+export function deviceIdFor(key = getProofKey()) {
+    const hex = crypto.createHash("sha256").update(proofKeyJwk(key).x).digest("hex");
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+export function toFiletime(ms) {
+    return (BigInt(Math.floor(ms / 1000)) + FILETIME_EPOCH_OFFSET_SECONDS) * 10000000n;
+}
+
+export function signXboxRequest({method, url, authorization = "", body = ""}, key = getProofKey(), now = Date.now()) {
+    const {pathname, search} = new URL(url);
+    const version = Buffer.alloc(4);
+    version.writeUInt32BE(SIGNATURE_VERSION);
+    const timestamp = Buffer.alloc(8);
+    timestamp.writeBigUInt64BE(toFiletime(now));
+    const zero = Buffer.alloc(1);
+    const payload = Buffer.concat([
+        version, zero,
+        timestamp, zero,
+        Buffer.from(method.toUpperCase()), zero,
+        Buffer.from(pathname + search), zero,
+        Buffer.from(authorization), zero,
+        Buffer.from(body), zero
+    ]);
+    const signature = crypto.sign("sha256", payload, {key, dsaEncoding: "ieee-p1363"});
+    return Buffer.concat([version, timestamp, signature]).toString("base64");
+}
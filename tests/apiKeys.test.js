@@ -0,0 +1,75 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "xlink-keys-"));
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+process.env.API_KEYS_FILE = path.join(dir, "api-keys.json");
+
+const {apiKeyAllowsRoute, consumeApiKeyQuota, createApiKey, revokeApiKey, rotateApiKey, verifyApiKey} = await import("../src/utils/apiKeys.js");
+const {requireScope} = await import("../src/utils/jwt.js");
+
+test.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+function runScope(headers, scope, url = "/profile/me") {
+    const req = {headers, method: "GET", originalUrl: url, ip: "127.0.0.1"};
+    const res = {headers: {}, setHeader(k, v) { this.headers[k] = v; }};
+    let error;
+    requireScope(scope)(req, res, err => {
+        error = err;
+    });
+    return {req, res, error};
+}
+
+test("createApiKey stores only a hash and verifies the issued key", () => {
+    const {key, apiKey} = createApiKey({name: "job", scopes: ["profile:read"]});
+    assert.equal(apiKey.hash, undefined);
+    assert.equal(verifyApiKey(key).id, apiKey.id);
+    assert.equal(verifyApiKey(`${key}x`), null);
+
+    const stored = JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, "utf8"));
+    assert.ok(stored[0].hash);
+    assert.ok(!JSON.stringify(stored).includes(key.split("_")[2]));
+});
+
+test("rotation invalidates the old secret and revocation the key", () => {
+    const {key, apiKey} = createApiKey({name: "rotate", scopes: ["profile:read"]});
+    const rotated = rotateApiKey(apiKey.id);
+    assert.equal(verifyApiKey(key), null);
+    assert.equal(verifyApiKey(rotated.key).id, apiKey.id);
+    revokeApiKey(apiKey.id);
+    assert.equal(verifyApiKey(rotated.key), null);
+});
+
+test("apiKeyAllowsRoute matches methods and prefixes", () => {
+    const record = {routes: ["GET /inventory/minecraft*", "/lookup/xuid"]};
+    assert.equal(apiKeyAllowsRoute(record, "GET", "/inventory/minecraft/balances"), true);
+    assert.equal(apiKeyAllowsRoute(record, "POST", "/inventory/minecraft/capes"), false);
+    assert.equal(apiKeyAllowsRoute(record, "POST", "/lookup/xuid"), true);
+    assert.equal(apiKeyAllowsRoute(record, "GET", "/redeem/lookup"), false);
+    assert.equal(apiKeyAllowsRoute({routes: []}, "GET", "/anything"), true);
+});
+
+test("consumeApiKeyQuota enforces a fixed window", () => {
+    const record = {id: "quota", quota: {limit: 2, windowMs: 1000}};
+    assert.equal(consumeApiKeyQuota(record, 0).allowed, true);
+    assert.equal(consumeApiKeyQuota(record, 10).remaining, 0);
+    assert.equal(consumeApiKeyQuota(record, 20).allowed, false);
+    assert.equal(consumeApiKeyQuota(record, 1000).allowed, true);
+});
+
+test("requireScope authenticates API keys with their scopes and bound xuid", () => {
+    const {key, apiKey} = createApiKey({name: "bound", scopes: ["profile:read"], xuid: "2535"});
+    const ok = runScope({"x-api-key": key}, "profile:read");
+    assert.equal(ok.error, undefined);
+    assert.equal(ok.req.user.xuid, "2535");
+    assert.equal(ok.req.user.apiKey, apiKey.id);
+
+    assert.equal(runScope({"x-api-key": key}, "redeem:write").error.code, "INSUFFICIENT_SCOPE");
+    assert.equal(runScope({"x-api-key": "xlk_000000000000_nope"}, "profile:read").error.status, 401);
+});
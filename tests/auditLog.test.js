@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {EventEmitter} from "node:events";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+
+const {buildAuditEvent, createFileAuditSink, createMemoryAuditSink, queryAuditEvents, setAuditSink} = await import("../src/utils/auditLog.js");
+const {audit} = await import("../src/middleware/audit.js");
+
+const req = {ip: "203.0.113.7", id: "req-1", headers: {"user-agent": "curl/8"}, user: {xuid: "1", gamertag: "g", sess: "s1"}};
+
+test("buildAuditEvent captures the request context", () => {
+    const event = buildAuditEvent(req, {type: "auth.refresh", outcome: "success", status: 200});
+    assert.equal(event.xuid, "1");
+    assert.equal(event.gamertag, "g");
+    assert.equal(event.session, "s1");
+    assert.equal(event.ip, "203.0.113.7");
+    assert.equal(event.userAgent, "curl/8");
+    assert.equal(event.requestId, "req-1");
+    assert.ok(!("error" in event));
+});
+
+test("file sink appends NDJSON and filters by xuid, type and time range", async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "audit-")), "nested", "audit.ndjson");
+    const sink = createFileAuditSink(file);
+    await sink.write({at: "2025-01-01T00:00:00.000Z", type: "auth.callback", outcome: "success", xuid: "1"});
+    await sink.write({at: "2025-01-02T00:00:00.000Z", type: "auth.refresh", outcome: "failure", xuid: "1"});
+    await sink.write({at: "2025-01-03T00:00:00.000Z", type: "auth.callback", outcome: "success", xuid: "2"});
+
+    assert.equal(fs.readFileSync(file, "utf8").trim().split("\n").length, 3);
+    const forUser = await sink.query({xuid: "1", limit: 10});
+    assert.deepEqual(forUser.map(e => e.type), ["auth.refresh", "auth.callback"]);
+    const ranged = await sink.query({from: new Date("2025-01-02T00:00:00Z"), to: new Date("2025-01-03T12:00:00Z"), limit: 10});
+    assert.equal(ranged.length, 2);
+    assert.equal((await sink.query({type: "auth.callback", limit: 1}))[0].xuid, "2");
+    assert.deepEqual(await createFileAuditSink(`${file}.missing`).query({limit: 10}), []);
+});
+
+test("file sink keeps writing after a failed append", async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "audit-")), "audit.ndjson");
+    fs.mkdirSync(file);
+    const sink = createFileAuditSink(file);
+    await assert.rejects(sink.write({at: "2025-01-01T00:00:00.000Z", type: "auth.callback", outcome: "success"}), {code: "EISDIR"});
+
+    fs.rmdirSync(file);
+    await sink.write({at: "2025-01-02T00:00:00.000Z", type: "auth.refresh", outcome: "success"});
+    assert.deepEqual((await sink.query({limit: 10})).map(e => e.type), ["auth.refresh"]);
+});
+
+test("audit middleware records the outcome and error code once the response finishes", async () => {
+    setAuditSink(createMemoryAuditSink());
+    const res = Object.assign(new EventEmitter(), {statusCode: 400, locals: {error: {code: "INVALID_DEVICE_CODE", message: "Unknown device_code"}}});
+    audit("auth.callback")({...req, user: undefined}, res, () => {});
+    res.emit("finish");
+    await new Promise(resolve => setImmediate(resolve));
+
+    const [event] = await queryAuditEvents({type: "auth.callback"});
+    assert.equal(event.outcome, "failure");
+    assert.equal(event.status, 400);
+    assert.equal(event.error.code, "INVALID_DEVICE_CODE");
+    assert.equal(event.xuid, undefined);
+});
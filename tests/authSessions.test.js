@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+process.env.AUTH_SESSIONS_ENABLED = "true";
+
+const {closeAuthSession, listAuthSessions, openAuthSession, revokeToken} = await import("../src/utils/authSessions.js");
+const {jwtMiddleware, signJwt, verifyJwt} = await import("../src/utils/jwt.js");
+const {createVaultSession, getVaultSession} = await import("../src/utils/tokenVault.js");
+const {env} = await import("../src/config/env.js");
+
+function runMiddleware(token) {
+    const req = {headers: {authorization: `Bearer ${token}`}};
+    let error;
+    jwtMiddleware(req, {}, err => {
+        error = err;
+    });
+    return {req, error};
+}
+
+test("signJwt issues a unique jti per token", () => {
+    const a = verifyJwt(signJwt({xuid: "1"}));
+    const b = verifyJwt(signJwt({xuid: "1"}));
+    assert.ok(a.jti);
+    assert.notEqual(a.jti, b.jti);
+});
+
+test("jwtMiddleware rejects revoked tokens", () => {
+    const session = openAuthSession({xuid: "100", gamertag: "tag"});
+    const token = signJwt({xuid: "100", sess: session.id});
+    assert.equal(runMiddleware(token).error, undefined);
+
+    const {jti, exp} = verifyJwt(token);
+    revokeToken(jti, exp);
+    assert.equal(runMiddleware(token).error?.status, 401);
+});
+
+test("closing a session invalidates its tokens and drops its vault entry", () => {
+    const vault = createVaultSession({xboxliveToken: "XBL3.0 x=uhs;token"});
+    const session = openAuthSession({xuid: "200", gamertag: "tag", sid: vault.id});
+    const token = signJwt({xuid: "200", sid: vault.id, sess: session.id});
+    assert.equal(runMiddleware(token).req.user.sess, session.id);
+
+    closeAuthSession(session.id);
+    assert.equal(runMiddleware(token).error?.status, 401);
+    assert.equal(getVaultSession(vault.id), null);
+});
+
+test("listAuthSessions only returns sessions of the given xuid", () => {
+    const mine = openAuthSession({xuid: "300", gamertag: "me"});
+    openAuthSession({xuid: "301", gamertag: "other"});
+    assert.deepEqual(listAuthSessions("300").map(s => s.id), [mine.id]);
+});
+
+test("with sessions disabled only the jti is checked", () => {
+    const token = signJwt({xuid: "400", sess: "unknown-session"});
+    assert.equal(runMiddleware(token).error?.status, 401);
+    env.AUTH_SESSIONS_ENABLED = false;
+    try {
+        assert.equal(runMiddleware(token).error, undefined);
+        const {jti, exp} = verifyJwt(token);
+        revokeToken(jti, exp);
+        assert.equal(runMiddleware(token).error?.status, 401);
+    } finally {
+        env.AUTH_SESSIONS_ENABLED = true;
+    }
+});
+
+test("revoked jtis are kept until they expire, however many there are", () => {
+    const token = signJwt({xuid: "500"});
+    const {jti, exp} = verifyJwt(token);
+    revokeToken(jti, exp);
+    for (let i = 0; i < 100001; i++) revokeToken(`filler-${i}`, exp);
+    assert.equal(runMiddleware(token).error?.status, 401);
+});
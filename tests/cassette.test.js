@@ -0,0 +1,86 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const {createMockUpstream, MOCK_USER, mockUpstreamEnv} = await import("../src/mock/upstream.js");
+
+const mock = createMockUpstream();
+const upstreamUrl = await mock.listen();
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cassettes-"));
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+process.env.HTTP_RETRY_POLICIES_JSON = JSON.stringify({default: {retries: 0}});
+process.env.CIRCUIT_BREAKER_ENABLED = "false";
+Object.assign(process.env, mockUpstreamEnv(upstreamUrl));
+
+const {sanitizeBody, sanitizeHeaders, useCassette, ejectCassette, withCassette, REDACTED} = await import("../src/utils/cassette.js");
+const {default: app} = await import("../src/app.js");
+const server = app.listen(0, "127.0.0.1");
+await new Promise(resolve => server.once("listening", resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+test.after(async () => {
+    server.closeAllConnections();
+    server.close();
+    await mock.close();
+    fs.rmSync(dir, {recursive: true, force: true});
+});
+
+async function call(method, urlPath, {body, headers = {}} = {}) {
+    const res = await fetch(`${base}${urlPath}`, {
+        method,
+        headers: {"content-type": "application/json", ...headers},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return {status: res.status, body: await res.json()};
+}
+
+async function signInAndFetchProfile() {
+    const device = await call("GET", "/auth/device");
+    const signIn = await call("POST", "/auth/callback", {body: {device_code: device.body.device_code}});
+    const profile = await call("GET", "/profile/me", {
+        headers: {authorization: `Bearer ${signIn.body.jwt}`, "x-xbl-token": signIn.body.xboxliveToken}
+    });
+    return {signIn, profile};
+}
+
+test("sanitizers redact credentials in headers, JSON bodies and form bodies", () => {
+    assert.deepEqual(sanitizeHeaders({Authorization: "XBL3.0 x=1;abc", "X-EntityToken": "e", Accept: "application/json"}), {
+        authorization: REDACTED, "x-entitytoken": REDACTED, accept: "application/json"
+    });
+    assert.deepEqual(sanitizeBody(JSON.stringify({Token: "t", DisplayClaims: {xui: [{uhs: "1"}]}, AuthorizationHeader: "MCToken abc"})), {
+        Token: REDACTED, DisplayClaims: {xui: [{uhs: "1"}]}, AuthorizationHeader: REDACTED
+    });
+    assert.equal(sanitizeBody("client_id=c&grant_type=authorization_code&code=secret&refresh_token=r"),
+        `client_id=c&grant_type=authorization_code&code=${encodeURIComponent(REDACTED)}&refresh_token=${encodeURIComponent(REDACTED)}`);
+});
+
+test("a recorded cassette replays the same responses without touching the network", async () => {
+    useCassette("sign-in", {mode: "record", dir});
+    const recorded = await signInAndFetchProfile();
+    ejectCassette();
+    assert.equal(recorded.profile.status, 200);
+
+    const raw = fs.readFileSync(path.join(dir, "sign-in.json"), "utf8");
+    assert.doesNotMatch(raw, /mock-(xbl|ms-access|ms-refresh|session-ticket|entity|device-code)-/);
+    const {interactions} = JSON.parse(raw);
+    assert.ok(interactions.some(i => i.request.upstream === "xbox" && i.request.headers.authorization === REDACTED));
+
+    const upstreamCalls = mock.requests.length;
+    const replayed = await withCassette("sign-in", {mode: "replay", dir}, signInAndFetchProfile);
+    assert.equal(mock.requests.length, upstreamCalls);
+    assert.equal(replayed.signIn.status, 200);
+    assert.equal(replayed.signIn.body.xuid, MOCK_USER.xuid);
+    assert.deepEqual(replayed.profile, recorded.profile);
+});
+
+test("replay fails requests that are missing from the cassette", async () => {
+    fs.writeFileSync(path.join(dir, "empty.json"), JSON.stringify({version: 1, interactions: []}));
+    const {status} = await withCassette("empty", {mode: "replay", dir}, () => call("GET", "/auth/device"));
+    assert.notEqual(status, 200);
+    assert.throws(() => useCassette("missing", {mode: "replay", dir}), /Cassette not found/);
+});
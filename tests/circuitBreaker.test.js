@@ -0,0 +1,82 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD = "2";
+process.env.HTTP_RETRY_POLICIES_JSON = JSON.stringify({default: {retries: 0}});
+
+const {breakerFor, createCircuitBreaker, describeBreakers} = await import("../src/utils/circuitBreaker.js");
+const {createHttp} = await import("../src/utils/http.js");
+
+test("a breaker opens after consecutive failures and lets one probe through after the reset time", () => {
+    const breaker = createCircuitBreaker("example.test", {failureThreshold: 2, resetMs: 1000});
+    breaker.acquire(0);
+    breaker.failure(0);
+    breaker.acquire(10);
+    breaker.failure(10);
+    assert.equal(breaker.describe(20).state, "open");
+    assert.throws(() => breaker.acquire(20), err => err.status === 503 && err.code === "UPSTREAM_UNAVAILABLE" && err.details.retryAfter === 1);
+
+    breaker.acquire(1010);
+    assert.equal(breaker.state, "half_open");
+    assert.throws(() => breaker.acquire(1011), /unavailable/);
+    breaker.failure(1020);
+    assert.equal(breaker.describe(1030).state, "open");
+
+    breaker.acquire(2020);
+    breaker.success();
+    assert.deepEqual(breaker.describe(2030), {state: "closed", failures: 0, openedAt: null, retryAt: null});
+});
+
+test("a cancelled probe keeps the breaker half-open and frees the probe slot", async () => {
+    const server = http.createServer(() => {});
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const host = `127.0.0.1:${server.address().port}`;
+    const breaker = breakerFor(host);
+    breaker.failure(0);
+    breaker.failure(0);
+    assert.equal(breaker.state, "open");
+    breaker.openedAt = Date.now() - 60000;
+
+    const client = createHttp(2000, "xbox");
+    const controller = new AbortController();
+    try {
+        const probe = client.get(`http://${host}/slow`, {signal: controller.signal});
+        setTimeout(() => controller.abort(), 20);
+        await assert.rejects(probe, err => err.code === "ERR_CANCELED");
+        assert.equal(breaker.state, "half_open");
+        assert.equal(breaker.probing, false);
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+});
+
+test("createHttp fails fast while an upstream host's circuit is open", async () => {
+    let hits = 0;
+    const server = http.createServer((req, res) => {
+        hits += 1;
+        res.writeHead(req.url === "/missing" ? 404 : 502);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const host = `127.0.0.1:${server.address().port}`;
+    const client = createHttp(2000, "xbox");
+    try {
+        await assert.rejects(client.get(`http://${host}/missing`), err => err.response.status === 404);
+        await assert.rejects(client.get(`http://${host}/down`), err => err.response.status === 502);
+        await assert.rejects(client.get(`http://${host}/missing`), err => err.response.status === 404);
+        assert.equal(describeBreakers()[host].state, "closed");
+
+        await assert.rejects(client.get(`http://${host}/down`), err => err.response.status === 502);
+        await assert.rejects(client.get(`http://${host}/down`), err => err.response.status === 502);
+        await assert.rejects(client.get(`http://${host}/missing`), err => err.code === "UPSTREAM_UNAVAILABLE");
+        assert.equal(hits, 5);
+        assert.equal(describeBreakers()[host].state, "open");
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+
+const {createVaultSession, deleteVaultSession} = await import("../src/utils/tokenVault.js");
+const {requireCredential, resolveCredential, selectedAccount, userXuid} = await import("../src/utils/credentials.js");
+const {linkAccount, openAuthSession, unlinkAccount} = await import("../src/utils/authSessions.js");
+
+test("resolveCredential prefers the request header over the vault", () => {
+    const session = createVaultSession({xboxliveToken: "XBL3.0 x=uhs;vault"});
+    const req = {headers: {"x-xbl-token": "XBL3.0 x=uhs;header"}, user: {sid: session.id}};
+    assert.equal(resolveCredential(req, "xboxliveToken"), "XBL3.0 x=uhs;header");
+});
+
+test("resolveCredential falls back to the vault session", () => {
+    const session = createVaultSession({mcToken: "MCToken vault", sessionTicket: "ticket"});
+    const req = {headers: {}, user: {sid: session.id}};
+    assert.equal(resolveCredential(req, "mcToken"), "MCToken vault");
+    assert.equal(resolveCredential(req, "sessionTicket"), "ticket");
+    assert.equal(resolveCredential(req, "sessionTicket", "body-ticket"), "body-ticket");
+});
+
+test("requireCredential reports the missing header", () => {
+    assert.throws(() => requireCredential({headers: {}, user: {}}, "redeemToken"), {
+        status: 400, message: "Missing x-redeem-token header"
+    });
+    assert.throws(() => requireCredential({headers: {}, user: {}}, "sessionTicket"), {
+        status: 400, message: "sessionTicket is required"
+    });
+});
+
+test("requireCredential rejects revoked vault sessions", () => {
+    const session = createVaultSession({xboxliveToken: "XBL3.0 x=uhs;vault"});
+    deleteVaultSession(session.id);
+    assert.throws(() => requireCredential({headers: {}, user: {sid: session.id}}, "xboxliveToken"), {status: 401});
+});
+
+test("X-Account-Xuid selects a linked account and its vault tokens", () => {
+    const primaryVault = createVaultSession({xboxliveToken: "XBL3.0 x=uhs;main"});
+    const altVault = createVaultSession({xboxliveToken: "XBL3.0 x=uhs;alt"});
+    const session = openAuthSession({xuid: "1", gamertag: "main", sid: primaryVault.id});
+    linkAccount(session.id, {xuid: "2", gamertag: "alt", sid: altVault.id});
+    const user = {xuid: "1", gamertag: "main", sid: primaryVault.id, sess: session.id};
+
+    const main = {headers: {}, user};
+    assert.equal(userXuid(main), "1");
+    assert.equal(resolveCredential(main, "xboxliveToken"), "XBL3.0 x=uhs;main");
+
+    const alt = {headers: {"x-account-xuid": "2"}, user};
+    assert.equal(userXuid(alt), "2");
+    assert.equal(selectedAccount(alt).gamertag, "alt");
+    assert.equal(resolveCredential(alt, "xboxliveToken"), "XBL3.0 x=uhs;alt");
+
+    unlinkAccount(session.id, "2");
+    assert.throws(() => userXuid(alt), err => err.status === 403);
+});
@@ -0,0 +1,29 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+
+const {pollTokenFromDeviceCode} = await import("../src/services/microsoft.service.js");
+
+test("pollTokenFromDeviceCode returns null without polling when already aborted", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const statuses = [];
+    const result = await pollTokenFromDeviceCode("client", {device_code: "dc", interval: 5}, {
+        signal: controller.signal,
+        onStatus: status => statuses.push(status)
+    });
+    assert.equal(result, null);
+    assert.deepEqual(statuses, []);
+});
+
+test("pollTokenFromDeviceCode stops waiting as soon as the client disconnects", async () => {
+    const controller = new AbortController();
+    const started = Date.now();
+    setTimeout(() => controller.abort(), 20);
+    const result = await pollTokenFromDeviceCode("client", {device_code: "dc", interval: 30}, {signal: controller.signal});
+    assert.equal(result, null);
+    assert.ok(Date.now() - started < 5000);
+});
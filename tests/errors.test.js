@@ -0,0 +1,95 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+process.env.CORS_ORIGIN = "https://app.example.test";
+
+const {default: app} = await import("../src/app.js");
+const {ERROR_CATALOG} = await import("../src/utils/errorCatalog.js");
+const {UPSTREAM_ERROR_CODES} = await import("../src/utils/upstreamError.js");
+const {describeXstsError} = await import("../src/services/xbox.service.js");
+const {swaggerSpec} = await import("../src/utils/swagger.js");
+
+const server = app.listen(0, "127.0.0.1");
+await new Promise(resolve => server.once("listening", resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+test("errors keep the legacy shape unless problem+json is requested", async () => {
+    const legacy = await fetch(`${base}/nope`);
+    assert.equal(legacy.status, 404);
+    assert.match(legacy.headers.get("content-type"), /^application\/json/);
+    assert.equal((await legacy.json()).error.code, "HTTP_404");
+
+    const res = await fetch(`${base}/nope`, {headers: {accept: "application/problem+json", "x-request-id": "req-42"}});
+    assert.equal(res.status, 404);
+    assert.match(res.headers.get("content-type"), /^application\/problem\+json/);
+    const problem = await res.json();
+    assert.equal(problem.type, "/errors/HTTP_404");
+    assert.equal(problem.title, "Route not found");
+    assert.equal(problem.status, 404);
+    assert.equal(problem.detail, "Route GET /nope not found");
+    assert.equal(problem.instance, "req-42");
+    assert.equal(problem.code, "HTTP_404");
+});
+
+test("unknown paths under scoped routers are 404s, not auth failures", async () => {
+    for (const prefix of ["lookup", "redeem", "profile", "titles", "captures", "people", "presence", "achievements", "stats", "inventory", "wishlist", "messaging", "playfab", "minecraft"]) {
+        const res = await fetch(`${base}/${prefix}/nope`);
+        assert.equal(res.status, 404, prefix);
+        assert.equal((await res.json()).error.code, "HTTP_404");
+    }
+    assert.equal((await fetch(`${base}/profile/me`)).status, 401);
+});
+
+test("body-parser and CORS failures map to catalog codes instead of 500", async () => {
+    const post = body => fetch(`${base}/auth/callback`, {method: "POST", headers: {"content-type": "application/json", accept: "application/problem+json"}, body});
+    const invalid = await post("{nope");
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).code, "INVALID_JSON");
+
+    const large = await post(JSON.stringify({device_code: "x".repeat(1024 * 1024)}));
+    assert.equal(large.status, 413);
+    assert.equal((await large.json()).type, "/errors/PAYLOAD_TOO_LARGE");
+
+    for (const headers of [{"content-type": "application/json; charset=latin-9"}, {"content-encoding": "compress"}]) {
+        const unsupported = await fetch(`${base}/auth/callback`, {method: "POST", headers: {"content-type": "application/json", ...headers}, body: "{}"});
+        assert.equal(unsupported.status, 415);
+        assert.equal((await unsupported.json()).error.code, "UNSUPPORTED_MEDIA_TYPE");
+    }
+
+    const cors = await fetch(`${base}/errors`, {headers: {origin: "https://evil.example.test"}});
+    assert.equal(cors.status, 403);
+    assert.equal((await cors.json()).error.code, "CORS_NOT_ALLOWED");
+});
+
+test("the catalog lists every code and serves single entries", async () => {
+    const {errors} = await (await fetch(`${base}/errors`)).json();
+    assert.equal(errors.length, Object.keys(ERROR_CATALOG).length);
+    for (const entry of errors) {
+        assert.ok(entry.status >= 400 && entry.title && entry.action, entry.code);
+        assert.equal(entry.type, `/errors/${entry.code}`);
+    }
+
+    const entry = await (await fetch(`${base}/errors/upstream_rate_limited`)).json();
+    assert.equal(entry.status, 429);
+    assert.ok(entry.upstreams.includes("XBOX_PROFILE"));
+    assert.equal((await fetch(`${base}/errors/NOPE`)).status, 404);
+});
+
+test("upstream and XSTS codes are catalogued and exposed in the OpenAPI components", () => {
+    const xsts = [2148916227, 2148916229, 2148916233, 2148916234, 2148916235, 2148916236, 2148916238].map(x => describeXstsError(x).code);
+    for (const code of [...Object.values(UPSTREAM_ERROR_CODES), "UPSTREAM_REJECTED", "UPSTREAM_UNREACHABLE", ...xsts]) {
+        assert.ok(ERROR_CATALOG[code], code);
+    }
+    const {schemas, responses} = swaggerSpec.components;
+    assert.deepEqual(schemas.ErrorCode.enum, Object.keys(ERROR_CATALOG));
+    assert.ok(schemas.Problem.properties.instance);
+    assert.ok(responses.Error.content["application/problem+json"]);
+});
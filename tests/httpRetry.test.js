@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+process.env.HTTP_RETRY_POLICIES_JSON = JSON.stringify({default: {baseDelayMs: 1, maxDelayMs: 5}});
+
+const {createHttp, loadRetryPolicies, parseRetryAfter, retryDelay} = await import("../src/utils/http.js");
+
+function upstreamError(method, status, headers = {}) {
+    return {config: {method}, response: {status, headers}};
+}
+
+test("redeem is not retried unless opted in, and invalid policies are rejected", () => {
+    const defaults = loadRetryPolicies({});
+    assert.equal(defaults.redeem.retries, 0);
+    assert.equal(defaults.xbox.retries, 2);
+    assert.deepEqual(loadRetryPolicies({redeem: {retries: 1, methods: ["POST"]}}).redeem.methods, ["post"]);
+    assert.throws(() => loadRetryPolicies({unknown: {retries: 1}}), /Invalid HTTP_RETRY_POLICIES_JSON/);
+    assert.throws(() => loadRetryPolicies({xbox: {retries: -1}}), /Invalid HTTP_RETRY_POLICIES_JSON/);
+});
+
+test("retryDelay only retries idempotent calls, honours Retry-After and the deadline", () => {
+    const policy = loadRetryPolicies({}).xbox;
+    assert.equal(retryDelay(policy, upstreamError("post", 503), 0, 0), null);
+    assert.equal(retryDelay({...policy, methods: ["post"]}, upstreamError("post", 503, {"retry-after": "2"}), 0, 0), 2000);
+    assert.equal(retryDelay(policy, upstreamError("get", 500), 0, 0), null);
+    assert.equal(retryDelay(policy, upstreamError("get", 429), 2, 0), null);
+    assert.equal(retryDelay(policy, upstreamError("get", 503, {"retry-after": "30"}), 0, 0), null);
+    assert.equal(retryDelay(policy, {config: {method: "get"}, code: "ECONNRESET"}, 1, 0, () => 1), 500);
+    assert.equal(retryDelay(policy, upstreamError("get", 502), 0, policy.deadlineMs), null);
+    assert.equal(parseRetryAfter("Wed, 21 Oct 2015 07:28:05 GMT", Date.parse("Wed, 21 Oct 2015 07:28:00 GMT")), 5000);
+});
+
+test("createHttp retries transient upstream failures transparently", async () => {
+    let hits = 0;
+    const server = http.createServer((req, res) => {
+        hits += 1;
+        if (req.url === "/flaky" && hits < 3) {
+            res.writeHead(503, {"retry-after": "0"});
+            return res.end();
+        }
+        res.writeHead(req.url === "/flaky" ? 200 : 503, {"content-type": "application/json"});
+        res.end(JSON.stringify({hits}));
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+        const {data} = await createHttp(2000, "xbox").get(`${base}/flaky`);
+        assert.equal(data.hits, 3);
+
+        hits = 0;
+        await assert.rejects(createHttp(2000, "xbox").post(`${base}/down`, {}), err => err.response.status === 503);
+        assert.equal(hits, 1);
+
+        hits = 0;
+        await assert.rejects(createHttp(2000, "redeem").get(`${base}/down`), err => err.response.status === 503);
+        assert.equal(hits, 1);
+    } finally {
+        server.close();
+    }
+});
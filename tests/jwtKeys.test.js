@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import jwt from "jsonwebtoken";
+
+function pem(alg) {
+    const {privateKey} = alg === "ES256"
+        ? crypto.generateKeyPairSync("ec", {namedCurve: "P-256"})
+        : crypto.generateKeyPairSync("rsa", {modulusLength: 2048});
+    return privateKey.export({type: "pkcs8", format: "pem"});
+}
+
+const current = pem("ES256");
+const previous = pem("ES256");
+const now = Date.now();
+
+process.env.NODE_ENV = "test";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+process.env.JWT_ALGORITHM = "ES256";
+process.env.JWT_KEYS_JSON = JSON.stringify([
+    {kid: "next", privateKey: pem("ES256"), notBefore: new Date(now + 86400000).toISOString()},
+    {kid: "current", privateKey: current},
+    {kid: "previous", privateKey: previous, notAfter: new Date(now + 3600000).toISOString()}
+]);
+
+const {getJwks, loadJwtKeys, selectSigningKey, selectVerificationKey} = await import("../src/utils/jwtKeys.js");
+const {signJwt, verifyJwt} = await import("../src/utils/jwt.js");
+
+test("signJwt signs with the active key and sets kid", () => {
+    const token = signJwt({xuid: "1"});
+    const {header} = jwt.decode(token, {complete: true});
+    assert.equal(header.alg, "ES256");
+    assert.equal(header.kid, "current");
+    assert.equal(verifyJwt(token).xuid, "1");
+});
+
+test("verifyJwt accepts tokens from keys still in their grace period", () => {
+    const token = jwt.sign({xuid: "2"}, previous, {algorithm: "ES256", keyid: "previous"});
+    assert.equal(verifyJwt(token).xuid, "2");
+});
+
+test("verifyJwt rejects unknown kids and HS256 tokens", () => {
+    const foreign = jwt.sign({xuid: "3"}, pem("ES256"), {algorithm: "ES256", keyid: "unknown"});
+    assert.equal(verifyJwt(foreign), null);
+    assert.equal(verifyJwt(jwt.sign({xuid: "3"}, "shared-secret-1234567890")), null);
+});
+
+test("retired keys are no longer used for signing, verification or the JWKS", () => {
+    const keys = loadJwtKeys([{kid: "old", privateKey: current, notAfter: now - 1}, {kid: "new", privateKey: previous}], "ES256");
+    assert.equal(selectSigningKey(keys, now).kid, "new");
+    assert.equal(selectVerificationKey(keys, "old", now), null);
+});
+
+test("rotation switches to the newest active key regardless of config order", () => {
+    const keys = loadJwtKeys([
+        {kid: "old", privateKey: current, notBefore: now - 2 * 86400000},
+        {kid: "new", privateKey: previous, notBefore: now - 3600000},
+        {kid: "future", privateKey: pem("ES256"), notBefore: now + 3600000}
+    ], "ES256");
+    assert.equal(selectSigningKey(keys, now).kid, "new");
+    assert.equal(selectSigningKey(keys, now - 86400000).kid, "old");
+    assert.equal(selectSigningKey(keys, now + 7200000).kid, "future");
+});
+
+test("getJwks publishes public keys only", () => {
+    const {keys} = getJwks();
+    assert.deepEqual(keys.map(k => k.kid), ["next", "current", "previous"]);
+    for (const key of keys) {
+        assert.equal(key.kty, "EC");
+        assert.equal(key.use, "sig");
+        assert.equal(key.d, undefined);
+    }
+});
+
+test("loadJwtKeys rejects keys that do not match the algorithm", () => {
+    assert.throws(() => loadJwtKeys([{kid: "rsa", privateKey: pem("RS256")}], "ES256"), /needs an EC key/);
+});
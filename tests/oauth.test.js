@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+process.env.OAUTH_CLIENTS_JSON = JSON.stringify({web: {redirectUris: ["https://app.example.com/signed-in"]}});
+
+const {consumeOAuthState, createOAuthState, createPkcePair, getOAuthClient, loadOAuthClients} = await import("../src/utils/oauth.js");
+const {buildAuthorizeUrl} = await import("../src/services/microsoft.service.js");
+
+test("loadOAuthClients rejects malformed client config", () => {
+    assert.deepEqual(loadOAuthClients(undefined), {});
+    assert.throws(() => loadOAuthClients("{"), /Invalid OAUTH_CLIENTS_JSON/);
+    assert.throws(() => loadOAuthClients(JSON.stringify({web: {redirectUris: []}})), /Invalid OAUTH_CLIENTS_JSON/);
+    assert.throws(() => loadOAuthClients(JSON.stringify({web: {redirectUris: ["not a uri"]}})), /Invalid OAUTH_CLIENTS_JSON/);
+});
+
+test("getOAuthClient defaults to the only client and the global client id", () => {
+    assert.deepEqual(getOAuthClient(), {name: "web", clientId: "test-client", redirectUris: ["https://app.example.com/signed-in"]});
+    assert.equal(getOAuthClient("web").name, "web");
+    assert.equal(getOAuthClient("other"), null);
+});
+
+test("createPkcePair derives an S256 challenge from the verifier", () => {
+    const {verifier, challenge} = createPkcePair();
+    assert.match(verifier, /^[A-Za-z0-9_-]{43}$/);
+    assert.equal(challenge, crypto.createHash("sha256").update(verifier).digest("base64url"));
+});
+
+test("OAuth state can only be consumed once", () => {
+    const state = createOAuthState({client: "web", codeVerifier: "v"});
+    assert.equal(consumeOAuthState(state).codeVerifier, "v");
+    assert.equal(consumeOAuthState(state), null);
+    assert.equal(consumeOAuthState("unknown"), null);
+});
+
+test("buildAuthorizeUrl carries state and the PKCE challenge", () => {
+    const url = new URL(buildAuthorizeUrl({
+        clientId: "cid", redirectUri: "https://app.example.com/signed-in", state: "s", codeChallenge: "c", prompt: "select_account"
+    }));
+    assert.equal(url.origin + url.pathname, "https://login.live.com/oauth20_authorize.srf");
+    assert.equal(url.searchParams.get("response_type"), "code");
+    assert.equal(url.searchParams.get("code_challenge"), "c");
+    assert.equal(url.searchParams.get("code_challenge_method"), "S256");
+    assert.equal(url.searchParams.get("state"), "s");
+    assert.equal(url.searchParams.get("prompt"), "select_account");
+});
@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+process.env.RELYING_PARTIES_JSON = JSON.stringify({realms: "https://pocket.realms.minecraft.net/"});
+
+const {loadRelyingParties, RELYING_PARTIES} = await import("../src/utils/relyingParties.js");
+const {TOKEN_TARGETS, resolveTargets, runTokenPipeline} = await import("../src/services/auth.service.js");
+const {buildAuthCallbackResponse} = await import("../src/utils/authResponse.js");
+const {describeTokenStatus} = await import("../src/utils/tokenStatus.js");
+
+test("loadRelyingParties accepts plain URLs and objects", () => {
+    assert.deepEqual(loadRelyingParties({
+        realms: "https://pocket.realms.minecraft.net/",
+        javaServices: {relyingParty: "rp://api.minecraftservices.com/", description: "Minecraft Java services"}
+    }), [
+        {name: "realms", relyingParty: "https://pocket.realms.minecraft.net/", description: undefined},
+        {name: "javaServices", relyingParty: "rp://api.minecraftservices.com/", description: "Minecraft Java services"}
+    ]);
+});
+
+test("loadRelyingParties rejects built-in target names and invalid names", () => {
+    assert.throws(() => loadRelyingParties({playfab: "rp://other/"}), /Invalid relying party registry/);
+    assert.throws(() => loadRelyingParties({"bad-name": "rp://other/"}), /Invalid relying party registry/);
+    assert.throws(() => loadRelyingParties({realms: {}}), /Invalid relying party registry/);
+});
+
+test("configured relying parties become token targets that are minted by default", async () => {
+    assert.equal(RELYING_PARTIES[0].name, "realms");
+    assert.ok(TOKEN_TARGETS.includes("realms"));
+    assert.deepEqual(resolveTargets(["realms"]), ["xbox", "realms"]);
+
+    const legs = {
+        xbox: async () => ({xuid: "x1", xboxliveToken: "XBL3.0 x=u;xbox"}),
+        realms: async () => ({
+            xsts: {realms: {NotAfter: "2030-01-01T00:00:00Z"}},
+            relyingPartyTokens: {realms: "XBL3.0 x=u;realms"},
+            expiresAt: {"relyingPartyTokens.realms": Date.parse("2030-01-01T00:00:00Z")}
+        })
+    };
+    const {bundle} = await runTokenPipeline({xblToken: "xbl"}, ["realms"], legs);
+    assert.deepEqual(buildAuthCallbackResponse(bundle).relyingPartyTokens, {realms: "XBL3.0 x=u;realms"});
+
+    const {tokens} = describeTokenStatus(bundle, {now: Date.parse("2029-12-31T23:00:00Z")});
+    assert.equal(tokens.realms.relyingParty, "https://pocket.realms.minecraft.net/");
+    assert.equal(tokens.realms.secondsRemaining, 3600);
+});
@@ -0,0 +1,171 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+const {createMockUpstream, MOCK_USER, mockUpstreamEnv} = await import("../src/mock/upstream.js");
+
+const mock = createMockUpstream();
+const upstreamUrl = await mock.listen();
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+process.env.HTTP_RETRY_POLICIES_JSON = JSON.stringify({default: {baseDelayMs: 1, maxDelayMs: 5, deadlineMs: 500}});
+process.env.CIRCUIT_BREAKER_ENABLED = "false";
+Object.assign(process.env, mockUpstreamEnv(upstreamUrl));
+
+const {default: app} = await import("../src/app.js");
+const {signJwt} = await import("../src/utils/jwt.js");
+const {createVaultSession, getVaultSession} = await import("../src/utils/tokenVault.js");
+const server = app.listen(0, "127.0.0.1");
+await new Promise(resolve => server.once("listening", resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+test.after(async () => {
+    server.closeAllConnections();
+    server.close();
+    await mock.close();
+});
+test.beforeEach(() => mock.reset());
+
+async function call(method, path, {body, headers = {}} = {}) {
+    const res = await fetch(`${base}${path}`, {
+        method,
+        headers: {"content-type": "application/json", ...headers},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return {status: res.status, headers: res.headers, body: await res.json()};
+}
+
+let signIn;
+async function signedIn() {
+    if (signIn) return signIn;
+    const device = await call("GET", "/auth/device");
+    const {body} = await call("POST", "/auth/callback", {body: {device_code: device.body.device_code}});
+    signIn = body;
+    return signIn;
+}
+
+function withTokens(tokens, extra = {}) {
+    return {authorization: `Bearer ${tokens.jwt}`, ...extra};
+}
+
+test("device-code sign-in mints the whole token chain against the mock upstreams", async () => {
+    const device = await call("GET", "/auth/device");
+    assert.equal(device.status, 200);
+    assert.equal(device.body.user_code, "MOCK1234");
+
+    const {status, body} = await call("POST", "/auth/callback", {body: {device_code: device.body.device_code}});
+    assert.equal(status, 200);
+    assert.equal(body.xuid, MOCK_USER.xuid);
+    assert.equal(body.gamertag, MOCK_USER.gamertag);
+    assert.equal(body.playFabId, MOCK_USER.playFabId);
+    assert.match(body.xboxliveToken, new RegExp(`^XBL3\\.0 x=${MOCK_USER.uhs};`));
+    assert.match(body.mcToken, /^MCToken /);
+    assert.ok(body.sessionTicket && body.entityToken && body.jwt);
+    assert.equal(body.errors, undefined);
+    assert.deepEqual([...new Set(mock.state.sandboxes)], ["RETAIL"]);
+});
+
+test("profile routes call Xbox with the caller's token", async () => {
+    const tokens = await signedIn();
+    const {status, body} = await call("GET", "/profile/me", {headers: withTokens(tokens, {"x-xbl-token": tokens.xboxliveToken})});
+    assert.equal(status, 200);
+    assert.equal(body.profileUsers[0].id, MOCK_USER.xuid);
+    assert.equal(mock.requestsFor("xbox.profile")[0].headers.authorization, tokens.xboxliveToken);
+});
+
+test("a transient 429 is retried, a persistent one reaches the client as 429 with Retry-After", async () => {
+    const tokens = await signedIn();
+    const headers = withTokens(tokens, {"x-xbl-token": tokens.xboxliveToken});
+    mock.script("xbox.profile", {status: 429, headers: {"retry-after": "0"}, body: {}});
+    const recovered = await call("GET", "/profile/me?settings=Gamerscore", {headers});
+    assert.equal(recovered.status, 200);
+    assert.equal(mock.requestsFor("xbox.profile").length, 2);
+
+    mock.useScenario("rateLimited");
+    const limited = await call("GET", "/profile/me?settings=Gamertag", {headers});
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get("retry-after"), "1");
+    assert.equal(limited.body.error.code, "UPSTREAM_RATE_LIMITED");
+    assert.equal(limited.body.error.details.upstream, "XBOX_PROFILE");
+    assert.equal(mock.requestsFor("xbox.profile").length, 4);
+});
+
+test("expired upstream tokens surface as 401", async () => {
+    const tokens = await signedIn();
+    mock.useScenario("expiredTokens");
+    const {status, body} = await call("GET", "/inventory/minecraft", {headers: withTokens(tokens, {"x-mc-token": tokens.mcToken})});
+    assert.equal(status, 401);
+    assert.equal(body.error.code, "UPSTREAM_UNAUTHORIZED");
+    assert.equal(body.error.details.upstream, "MC_ENTITLEMENTS");
+    assert.equal(body.error.details.upstreamCode, "TokenExpired");
+});
+
+test("wishlist updates recover from a stale list version and report a persistent conflict", async () => {
+    const tokens = await signedIn();
+    const headers = withTokens(tokens, {"x-mc-token": tokens.mcToken});
+    const first = await call("POST", "/wishlist/item", {headers, body: {itemId: "cape-1", operation: "Add"}});
+    assert.equal(first.status, 200);
+    assert.equal(first.body.userListsVersion, "2");
+
+    mock.state.listVersion = 7;
+    const second = await call("POST", "/wishlist/item", {headers, body: {itemId: "cape-2", operation: "Add"}});
+    assert.equal(second.status, 200);
+    assert.deepEqual([...mock.state.wishlist], ["cape-1", "cape-2"]);
+
+    mock.useScenario("versionConflict");
+    const conflict = await call("POST", "/wishlist/item", {headers, body: {itemId: "cape-3", operation: "Add"}});
+    assert.equal(conflict.status, 409);
+});
+
+test("redeem lookup goes through PrepareRedeem", async () => {
+    const tokens = await signedIn();
+    const {status, body} = await call("POST", "/redeem/lookup", {
+        headers: withTokens(tokens, {"x-redeem-token": tokens.redeemToken}),
+        body: {code: "AAAAA-BBBBB-CCCCC-DDDDD-EEEEE"}
+    });
+    assert.equal(status, 200);
+    assert.equal(body.tokenState, "Active");
+    assert.equal(mock.requestsFor("redeem.prepare")[0].headers.authorization, tokens.redeemToken);
+});
+
+test("without session tracking JWTs rotate and log out statelessly", async () => {
+    const device = await call("GET", "/auth/device");
+    const {body: tokens} = await call("POST", "/auth/callback", {body: {device_code: device.body.device_code}});
+    const refreshed = await call("POST", "/auth/jwt/refresh", {headers: withTokens(tokens)});
+    assert.equal(refreshed.status, 200);
+    assert.equal((await call("GET", "/auth/whoami", {headers: withTokens(tokens)})).status, 401);
+
+    const current = {jwt: refreshed.body.jwt};
+    const {body: whoami} = await call("GET", "/auth/whoami", {headers: withTokens(current)});
+    assert.equal(whoami.user.sess, undefined);
+    assert.ok(whoami.user.auth_time);
+    assert.equal((await call("GET", "/auth/sessions", {headers: withTokens(current)})).status, 400);
+
+    assert.equal((await call("POST", "/auth/logout", {headers: withTokens(current)})).status, 200);
+    assert.equal((await call("GET", "/auth/whoami", {headers: withTokens(current)})).status, 401);
+});
+
+test("a vault JWT cannot refresh its session with another account's refresh token", async () => {
+    const other = await signedIn();
+    const vault = createVaultSession({xuid: "2535400000009999", gamertag: "VaultOwner", msRefreshToken: "ms-refresh-owner", xboxliveToken: "XBL3.0 x=owner;token"});
+    const jwt = signJwt({xuid: "2535400000009999", gamertag: "VaultOwner", sid: vault.id});
+
+    const {status, body} = await call("POST", "/auth/refresh", {headers: withTokens({jwt}), body: {msRefreshToken: other.msRefreshToken}});
+    assert.equal(status, 403);
+    assert.match(body.error.message, /different Xbox account/);
+    assert.equal(getVaultSession(vault.id).xboxliveToken, "XBL3.0 x=owner;token");
+});
+
+test("device stream failures are sent as catalog codes", async () => {
+    mock.script("microsoft.token", {status: 400, body: {error: "authorization_declined", error_description: "The user declined"}});
+    const res = await fetch(`${base}/auth/device/stream`);
+    const text = await res.text();
+    const [, event, data] = text.match(/event: (expired|error)\ndata: (.*)\n\n$/);
+    assert.equal(event, "expired");
+    const body = JSON.parse(data);
+    assert.equal(body.code, "AUTHORIZATION_DECLINED");
+    assert.equal(body.type, "/errors/AUTHORIZATION_DECLINED");
+    assert.equal(body.status, 400);
+    assert.ok(body.message);
+});
@@ -0,0 +1,30 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+process.env.XSTS_SANDBOX = "RETAIL";
+process.env.XSTS_SANDBOX_ALLOWLIST = "XDKS.1, ABCD.2";
+
+const {ALLOWED_SANDBOXES, DEFAULT_SANDBOX, resolveSandbox} = await import("../src/utils/sandboxes.js");
+const {buildVaultAuthResponse} = await import("../src/utils/authResponse.js");
+const {pickVaultTokens} = await import("../src/utils/tokenVault.js");
+
+test("the allowlist always contains the default sandbox", () => {
+    assert.equal(DEFAULT_SANDBOX, "RETAIL");
+    assert.deepEqual(ALLOWED_SANDBOXES, ["RETAIL", "XDKS.1", "ABCD.2"]);
+});
+
+test("resolveSandbox falls back to the default and rejects unlisted sandboxes", () => {
+    assert.equal(resolveSandbox(undefined), "RETAIL");
+    assert.equal(resolveSandbox("XDKS.1"), "XDKS.1");
+    assert.throws(() => resolveSandbox("PROD.9"), err => err.status === 400 && /not allowed/.test(err.message));
+});
+
+test("the sandbox is kept with stored tokens and returned with the sign-in", () => {
+    const data = {xuid: "1", gamertag: "QA", sandbox: "XDKS.1", xblToken: "xbl", jwtToken: "jwt"};
+    assert.equal(pickVaultTokens(data).sandbox, "XDKS.1");
+    assert.equal(buildVaultAuthResponse(data, {id: "s1", expiresAt: "2030-01-01T00:00:00.000Z"}).sandbox, "XDKS.1");
+    assert.equal("sandbox" in buildVaultAuthResponse({xuid: "1"}, {id: "s1"}), false);
+});
@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+
+const {ALL_SCOPES, hasScope, tokenScopes} = await import("../src/utils/scopes.js");
+const {requireScope, signJwt} = await import("../src/utils/jwt.js");
+
+function runScope(token, ...scopes) {
+    const req = {headers: {authorization: `Bearer ${token}`}};
+    let error;
+    requireScope(...scopes)(req, {}, err => {
+        error = err;
+    });
+    return {req, error};
+}
+
+test("tokens without a scope claim keep full access", () => {
+    assert.deepEqual(tokenScopes({xuid: "1"}), ALL_SCOPES);
+    assert.equal(hasScope({xuid: "1"}, "redeem:write"), true);
+});
+
+test("requireScope authenticates and accepts tokens carrying the scope", () => {
+    const {req, error} = runScope(signJwt({xuid: "1", scope: "profile:read inventory:read"}), "inventory:read");
+    assert.equal(error, undefined);
+    assert.equal(req.user.xuid, "1");
+});
+
+test("requireScope rejects tokens missing the scope", () => {
+    const {error} = runScope(signJwt({xuid: "1", scope: "profile:read"}), "redeem:write");
+    assert.equal(error.status, 403);
+    assert.equal(error.code, "INSUFFICIENT_SCOPE");
+});
+
+test("write scopes imply the matching read scope", () => {
+    const token = signJwt({xuid: "1", scope: "redeem:write"});
+    assert.equal(runScope(token, "redeem:read").error, undefined);
+    assert.equal(runScope(token, "redeem:write").error, undefined);
+    assert.equal(runScope(token, "wishlist:read").error.status, 403);
+    assert.deepEqual(tokenScopes({scope: "messaging:write profile:read"}), ["messaging:write", "messaging:read", "profile:read"]);
+});
+
+test("requireScope still rejects missing bearer tokens", () => {
+    const req = {headers: {}};
+    let error;
+    requireScope("profile:read")(req, {}, err => {
+        error = err;
+    });
+    assert.equal(error.status, 401);
+});
@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+process.env.TOKEN_BUNDLE_KEY = "bundle-key-for-tests-0123456789abcdef";
+
+const {openTokenBundle, sealTokenBundle} = await import("../src/utils/tokenBundle.js");
+const {resolveCredential} = await import("../src/utils/credentials.js");
+
+const tokens = {xuid: "1", gamertag: "g", xboxliveToken: "XBL3.0 x=uhs;xsts", mcToken: "MCToken mc", msRefreshToken: "refresh"};
+
+test("sealTokenBundle produces a compact JWE that round-trips", () => {
+    const {token, expiresAt} = sealTokenBundle({...tokens, jwtToken: "not stored"});
+    const [header, encryptedKey] = token.split(".");
+    assert.equal(token.split(".").length, 5);
+    assert.equal(encryptedKey, "");
+    assert.equal(JSON.parse(Buffer.from(header, "base64url")).enc, "A256GCM");
+    assert.ok(!token.includes("XBL3.0"));
+    assert.ok(Date.parse(expiresAt) > Date.now());
+
+    const opened = openTokenBundle(token);
+    assert.equal(opened.xboxliveToken, tokens.xboxliveToken);
+    assert.equal(opened.msRefreshToken, "refresh");
+    assert.equal(opened.jwtToken, undefined);
+});
+
+test("openTokenBundle rejects tampered, malformed and expired bundles", () => {
+    const {token} = sealTokenBundle(tokens);
+    const parts = token.split(".");
+    const flipped = parts[3][0] === "A" ? "B" : "A";
+    const tampered = [...parts.slice(0, 3), flipped + parts[3].slice(1), parts[4]].join(".");
+    assert.throws(() => openTokenBundle(tampered), {status: 401, message: "Invalid token bundle"});
+    assert.throws(() => openTokenBundle("abc"), {status: 401, message: "Malformed token bundle"});
+
+    const old = sealTokenBundle(tokens, Date.now() - 8 * 24 * 3600 * 1000).token;
+    assert.throws(() => openTokenBundle(old), {status: 401, message: /expired/});
+});
+
+test("resolveCredential reads tokens from X-Token-Bundle for the bundle's account", () => {
+    const {token} = sealTokenBundle(tokens);
+    const req = {headers: {"x-token-bundle": token}, user: {xuid: "1"}};
+    assert.equal(resolveCredential(req, "mcToken"), "MCToken mc");
+    assert.equal(resolveCredential({...req, headers: {...req.headers, "x-mc-token": "MCToken header"}}, "mcToken"), "MCToken header");
+    assert.throws(() => resolveCredential({headers: {"x-token-bundle": token}, user: {xuid: "2"}}, "mcToken"), {status: 403});
+});
@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+
+const {resolveTargets, runTokenPipeline} = await import("../src/services/auth.service.js");
+
+const legs = {
+    xbox: async () => ({xuid: "x1", gamertag: "tag", xboxliveToken: "XBL3.0 x=u;xbox", expiresAt: {xboxliveToken: 1}}),
+    redeem: async () => ({redeemToken: "XBL3.0 x=u;redeem", expiresAt: {redeemToken: 2}}),
+    playfab: async () => {
+        const err = new Error("PlayFab is down");
+        err.status = 503;
+        err.code = "PLAYFAB_UNAVAILABLE";
+        throw err;
+    },
+    minecraft: async () => ({mcToken: "MCToken mc"}),
+    entity: async () => ({entityToken: "entity"})
+};
+
+test("resolveTargets always includes xbox and pulls in playfab for dependent legs", () => {
+    assert.deepEqual(resolveTargets(["minecraft"]), ["xbox", "playfab", "minecraft"]);
+    assert.deepEqual(resolveTargets(["redeem"]), ["xbox", "redeem"]);
+    assert.deepEqual(resolveTargets(), ["xbox", "redeem", "playfab", "minecraft", "entity"]);
+});
+
+test("runTokenPipeline only runs the selected legs", async () => {
+    const {bundle, errors} = await runTokenPipeline({xblToken: "xbl"}, ["xbox"], legs);
+    assert.equal(bundle.xboxliveToken, "XBL3.0 x=u;xbox");
+    assert.equal(bundle.redeemToken, undefined);
+    assert.deepEqual(errors, {});
+});
+
+test("runTokenPipeline reports failing legs and skips their dependents", async () => {
+    const {bundle, errors} = await runTokenPipeline({xblToken: "xbl"}, undefined, legs);
+    assert.equal(bundle.xuid, "x1");
+    assert.equal(bundle.redeemToken, "XBL3.0 x=u;redeem");
+    assert.deepEqual(bundle.expiresAt, {xboxliveToken: 1, redeemToken: 2});
+    assert.deepEqual(errors.playfab, {status: 503, code: "PLAYFAB_UNAVAILABLE", message: "PlayFab is down"});
+    assert.equal(errors.minecraft.code, "DEPENDENCY_FAILED");
+    assert.equal(errors.entity.code, "DEPENDENCY_FAILED");
+});
+
+test("runTokenPipeline fails the whole login when the xbox leg fails", async () => {
+    const failing = {...legs, xbox: async () => { throw new Error("XSTS denied"); }};
+    await assert.rejects(runTokenPipeline({xblToken: "xbl"}, ["xbox", "redeem"], failing), /XSTS denied/);
+});
@@ -0,0 +1,91 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import jwtLib from "jsonwebtoken";
+
+const {createMockUpstream, mockUpstreamEnv} = await import("../src/mock/upstream.js");
+
+const mock = createMockUpstream();
+const upstreamUrl = await mock.listen();
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+process.env.HTTP_RETRY_POLICIES_JSON = JSON.stringify({default: {retries: 0}});
+process.env.CIRCUIT_BREAKER_ENABLED = "false";
+process.env.RELYING_PARTIES_JSON = JSON.stringify({realms: "https://pocket.realms.minecraft.net/"});
+Object.assign(process.env, mockUpstreamEnv(upstreamUrl));
+
+const {expiringTokenKeys, mcTokenExpiry, parseExpiry} = await import("../src/utils/tokenExpiry.js");
+const {planRenewal, renewTokens} = await import("../src/services/tokenRenewal.service.js");
+
+test.after(() => mock.close());
+test.beforeEach(() => mock.reset());
+
+const NOW = Date.parse("2025-01-01T12:00:00Z");
+
+test("parseExpiry accepts ISO strings and epoch millis", () => {
+    assert.equal(parseExpiry("2025-01-01T12:00:00Z"), NOW);
+    assert.equal(parseExpiry(NOW), NOW);
+    assert.equal(parseExpiry("not a date"), null);
+    assert.equal(parseExpiry(undefined), null);
+});
+
+test("mcTokenExpiry reads exp from an MCToken header", () => {
+    const token = jwtLib.sign({exp: NOW / 1000}, "secret");
+    assert.equal(mcTokenExpiry(`MCToken ${token}`), NOW);
+    assert.equal(mcTokenExpiry("MCToken opaque"), null);
+});
+
+test("expiringTokenKeys honours the skew window", () => {
+    const keys = expiringTokenKeys({
+        xboxliveToken: NOW + 60000, mcToken: NOW + 3600000, entityTokenMaster: null
+    }, 300000, NOW);
+    assert.deepEqual(keys, ["xboxliveToken"]);
+});
+
+test("planRenewal only re-runs the chain stages that expire", () => {
+    assert.deepEqual(planRenewal({xboxliveToken: NOW, mcToken: NOW + 3600000}, 0, NOW), {
+        xbox: true, playfab: false, minecraft: false, entity: false
+    });
+    assert.deepEqual(planRenewal({mcToken: NOW - 1, entityToken: NOW - 1}, 0, NOW), {
+        xbox: false, playfab: false, minecraft: true, entity: true
+    });
+    assert.deepEqual(planRenewal({sessionTicket: NOW, mcToken: NOW}, 0, NOW), {
+        xbox: false, playfab: true, minecraft: false, entity: false
+    });
+    assert.deepEqual(planRenewal({"relyingPartyTokens.realms": NOW}, 0, NOW), {
+        xbox: true, playfab: false, minecraft: false, entity: false
+    });
+    assert.deepEqual(planRenewal({msAccessToken: NOW - 1}, 0, NOW), {
+        xbox: false, playfab: false, minecraft: false, entity: false
+    });
+});
+
+test("renewal only re-mints the relying parties the session holds", async () => {
+    const patch = await renewTokens({
+        xblToken: "mock-xbl",
+        xboxliveToken: "XBL3.0 x=old;xbox",
+        relyingPartyTokens: {realms: "XBL3.0 x=old;realms"},
+        expiresAt: {xboxliveToken: Date.now(), "relyingPartyTokens.realms": Date.now()}
+    });
+    assert.ok(patch.xboxliveToken && patch.relyingPartyTokens.realms);
+    assert.equal(patch.redeemToken, undefined);
+    assert.equal(patch.playfabToken, undefined);
+    assert.ok(patch.expiresAt["relyingPartyTokens.realms"] > Date.now());
+    assert.equal(mock.requestsFor("xbox.xsts").length, 2);
+    assert.equal(mock.requestsFor("microsoft.token").length, 0);
+});
+
+test("renewal falls back to msRefreshToken only when the XBL token is rejected", async () => {
+    const session = {xblToken: "mock-xbl", msRefreshToken: "ms-refresh", xboxliveToken: "XBL3.0 x=old;xbox", expiresAt: {xboxliveToken: Date.now()}};
+
+    mock.script("xbox.xsts", {status: 401, body: {}});
+    const patch = await renewTokens(session);
+    assert.ok(patch.xboxliveToken && patch.msAccessToken);
+    assert.equal(mock.requestsFor("microsoft.token").length, 1);
+
+    mock.script("xbox.xsts", {status: 500, body: {}});
+    await assert.rejects(renewTokens(session), {status: 502});
+    assert.equal(mock.requestsFor("microsoft.token").length, 1);
+});
@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+
+const {describeTokenStatus} = await import("../src/utils/tokenStatus.js");
+
+const now = Date.parse("2025-06-01T12:00:00Z");
+
+test("describeTokenStatus reports XSTS relying parties and expiry from the callback payload", () => {
+    const {tokens, needsRefresh} = describeTokenStatus({
+        xboxliveToken: "XBL3.0 x=uhs;secret-xsts",
+        redeemToken: "XBL3.0 x=uhs;secret-redeem",
+        xsts: {
+            xbox: {NotAfter: "2025-06-01T20:00:00Z"},
+            redeem: {NotAfter: "2025-06-01T12:02:00Z"}
+        }
+    }, {skewMs: 5 * 60 * 1000, now});
+
+    assert.deepEqual(tokens.xboxliveToken, {
+        type: "XSTS",
+        issuer: "xsts.auth.xboxlive.com",
+        relyingParty: "http://xboxlive.com",
+        expiresAt: "2025-06-01T20:00:00.000Z",
+        secondsRemaining: 8 * 3600,
+        expired: false,
+        needsRefresh: false
+    });
+    assert.equal(tokens.redeemToken.secondsRemaining, 120);
+    assert.equal(tokens.redeemToken.needsRefresh, true);
+    assert.deepEqual(needsRefresh, ["redeemToken"]);
+});
+
+test("describeTokenStatus never echoes token contents", () => {
+    const mcToken = `MCToken ${jwt.sign({exp: Math.floor(now / 1000) - 60}, "k")}`;
+    const result = describeTokenStatus({mcToken, msRefreshToken: "M.refresh-secret", sessionTicket: "ticket-secret"}, {now});
+    const json = JSON.stringify(result);
+    for (const secret of ["refresh-secret", "ticket-secret", mcToken.slice(8)]) assert.ok(!json.includes(secret));
+    assert.equal(result.tokens.mcToken.expired, true);
+    assert.equal(result.tokens.mcToken.secondsRemaining, 0);
+    assert.equal(result.tokens.msRefreshToken.expiresAt, null);
+    assert.equal(result.tokens.msRefreshToken.needsRefresh, null);
+});
+
+test("describeTokenStatus prefers the vault expiry map", () => {
+    const {tokens} = describeTokenStatus({
+        sessionTicket: "ticket", entityToken: "entity", entityTokenExpiresOn: "2025-06-02T12:00:00Z",
+        expiresAt: {sessionTicket: now + 3600 * 1000}
+    }, {now});
+    assert.equal(tokens.sessionTicket.secondsRemaining, 3600);
+    assert.equal(tokens.entityToken.secondsRemaining, 24 * 3600);
+    assert.equal(tokens.entityToken.issuer, "playfabapi.com");
+});
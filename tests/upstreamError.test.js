@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+
+const {upstreamError} = await import("../src/utils/upstreamError.js");
+const {HttpError} = await import("../src/utils/httpError.js");
+
+function axiosError(status, data, headers = {}) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), {isAxiosError: true, response: {status, data, headers}});
+}
+
+test("upstream 4xx keep their status and get a stable code, 5xx become gateway errors", () => {
+    const notFound = upstreamError(axiosError(404, {code: "ItemNotFound", message: "No such item"}), "MC_STORE", "Failed to get MC wishlist");
+    assert.equal(notFound.status, 404);
+    assert.equal(notFound.code, "UPSTREAM_NOT_FOUND");
+    assert.equal(notFound.message, "Failed to get MC wishlist");
+    assert.deepEqual(notFound.details, {
+        upstream: "MC_STORE", status: 404, upstreamCode: "ItemNotFound", upstreamMessage: "No such item", body: {code: "ItemNotFound", message: "No such item"}
+    });
+
+    assert.equal(upstreamError(axiosError(418, ""), "MC_STORE", "x").code, "UPSTREAM_REJECTED");
+    assert.equal(upstreamError(axiosError(500, "<html>oops</html>"), "XBOX_PROFILE", "x").status, 502);
+    assert.equal(upstreamError(axiosError(503, {}), "XBOX_PROFILE", "x").code, "UPSTREAM_UNAVAILABLE");
+});
+
+test("rate limits carry Retry-After from the header or from PlayFab's body", () => {
+    const fromHeader = upstreamError(axiosError(429, {}, {"retry-after": "2.5"}), "MC_ENTITLEMENTS", "Failed to get MC balances");
+    assert.equal(fromHeader.status, 429);
+    assert.equal(fromHeader.code, "UPSTREAM_RATE_LIMITED");
+    assert.equal(fromHeader.details.retryAfter, 3);
+
+    const playfab = upstreamError(axiosError(429, {
+        code: 429, status: "TooManyRequests", error: "APIClientRequestRateLimitExceeded", errorCode: 1199, errorMessage: "Slow down", retryAfterSeconds: 7
+    }), "PLAYFAB", "Failed to get PlayFab catalog");
+    assert.equal(playfab.details.upstreamCode, "APIClientRequestRateLimitExceeded");
+    assert.equal(playfab.details.upstreamMessage, "Slow down");
+    assert.equal(playfab.details.retryAfter, 7);
+});
+
+test("network failures, timeouts and our own errors are told apart", () => {
+    const timeout = upstreamError(Object.assign(new Error("timeout of 15000ms exceeded"), {isAxiosError: true, code: "ECONNABORTED"}), "XBOX_XSTS", "Failed to get XSTS token");
+    assert.equal(timeout.status, 504);
+    assert.equal(timeout.code, "UPSTREAM_TIMEOUT");
+
+    const refused = upstreamError(Object.assign(new Error("connect ECONNREFUSED"), {isAxiosError: true, code: "ECONNREFUSED"}), "PLAYFAB", "x");
+    assert.equal(refused.status, 502);
+    assert.equal(refused.code, "UPSTREAM_UNREACHABLE");
+    assert.equal(refused.details.upstream, "PLAYFAB");
+
+    assert.equal(upstreamError(new TypeError("boom"), "PLAYFAB", "x").status, 500);
+    const existing = new HttpError(503, "open", {retryAfter: 1}, "UPSTREAM_UNAVAILABLE");
+    assert.equal(upstreamError(existing, "PLAYFAB", "x"), existing);
+});
@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import {spawnSync} from "node:child_process";
+
+const requests = [];
+const server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    res.writeHead(200, {"content-type": "application/json"});
+    res.end(JSON.stringify(req.url.startsWith("/pf/") ? {data: {PlayFabId: "PF1"}} : {profileUsers: [{id: "2535"}]}));
+});
+await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+process.env.XBOX_PROFILE_BASE_URL = `${base}/xbox/`;
+process.env.PLAYFAB_BASE_URL = `${base}/pf/{titleId}`;
+
+const {resolveXuidByGamertag} = await import("../src/services/xbox.service.js");
+const {loginWithXbox} = await import("../src/services/playfab.service.js");
+
+test.after(() => server.close());
+
+test("service modules call the configured upstream base URLs", async () => {
+    assert.equal(await resolveXuidByGamertag("Some One", "XBL3.0 x=u;t"), "2535");
+    assert.deepEqual(await loginWithXbox("XBL3.0 x=u;t", "ab12"), {PlayFabId: "PF1"});
+    assert.deepEqual(requests, [
+        "GET /xbox/users/gt(Some%20One)/profile/settings?settings=Gamertag",
+        "POST /pf/ab12/Client/LoginWithXbox"
+    ]);
+});
+
+test("invalid upstream base URLs are rejected at startup", () => {
+    const result = spawnSync(process.execPath, ["--input-type=module", "-e", "await import('./src/config/env.js')"], {
+        env: {...process.env, MC_ENTITLEMENTS_BASE_URL: "ftp://entitlements.local"},
+        encoding: "utf8",
+        timeout: 20000
+    });
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /MC_ENTITLEMENTS_BASE_URL/);
+});
@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import http from "node:http";
+
+const keyFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "sisu-")), "keys", "sisu-key.pem");
+const signatures = [];
+const deviceAuth = http.createServer((req, res) => {
+    signatures.push(req.headers.signature);
+    if (signatures.length === 1) {
+        res.writeHead(503, {"retry-after": "1"});
+        return res.end();
+    }
+    res.writeHead(200, {"content-type": "application/json"});
+    res.end(JSON.stringify({Token: "device-token", NotAfter: new Date(Date.now() + 3600000).toISOString()}));
+});
+await new Promise(resolve => deviceAuth.listen(0, "127.0.0.1", resolve));
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+process.env.SISU_KEY_FILE = keyFile;
+process.env.XBOX_DEVICE_AUTH_BASE_URL = `http://127.0.0.1:${deviceAuth.address().port}`;
+
+const {deviceIdFor, loadProofKey, proofKeyJwk, signXboxRequest, toFiletime} = await import("../src/utils/xboxSigning.js");
+const {getDeviceToken} = await import("../src/services/xbox.service.js");
+
+test.after(() => deviceAuth.close());
+
+test("loadProofKey creates a P-256 key once and reloads it", () => {
+    const created = loadProofKey(keyFile);
+    assert.equal(created.asymmetricKeyDetails.namedCurve, "prime256v1");
+    if (process.platform !== "win32") assert.equal(fs.statSync(keyFile).mode & 0o777, 0o600);
+    const reloaded = loadProofKey(keyFile);
+    assert.deepEqual(proofKeyJwk(reloaded), proofKeyJwk(created));
+    assert.match(deviceIdFor(reloaded), /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-a[0-9a-f]{3}-[0-9a-f]{12}$/);
+    assert.equal(deviceIdFor(reloaded), deviceIdFor(created));
+});
+
+test("toFiletime converts Unix milliseconds to Windows file time", () => {
+    assert.equal(toFiletime(0), 116444736000000000n);
+    assert.equal(toFiletime(1000), 116444736010000000n);
+});
+
+test("signXboxRequest produces a verifiable Signature header", () => {
+    const key = loadProofKey(keyFile);
+    const now = Date.parse("2025-06-01T12:00:00Z");
+    const body = JSON.stringify({RelyingParty: "http://xboxlive.com"});
+    const header = Buffer.from(signXboxRequest({method: "post", url: "https://xsts.auth.xboxlive.com/xsts/authorize?x=1", body}, key, now), "base64");
+
+    assert.equal(header.length, 4 + 8 + 64);
+    assert.equal(header.readUInt32BE(0), 1);
+    assert.equal(header.readBigUInt64BE(4), toFiletime(now));
+
+    const zero = Buffer.alloc(1);
+    const signed = Buffer.concat([
+        header.subarray(0, 4), zero, header.subarray(4, 12), zero,
+        Buffer.from("POST"), zero, Buffer.from("/xsts/authorize?x=1"), zero, Buffer.from(""), zero, Buffer.from(body), zero
+    ]);
+    const publicKey = crypto.createPublicKey(key);
+    assert.ok(crypto.verify("sha256", signed, {key: publicKey, dsaEncoding: "ieee-p1363"}, header.subarray(12)));
+});
+
+test("retried signed requests are signed again with a fresh timestamp", async () => {
+    assert.equal(await getDeviceToken(), "device-token");
+    assert.equal(signatures.length, 2);
+    const [first, second] = signatures.map(sig => Buffer.from(sig, "base64").readBigUInt64BE(4));
+    assert.ok(second > first);
+});
@@ -0,0 +1,26 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-1234567890";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+
+const {describeXstsError} = await import("../src/services/xbox.service.js");
+
+test("describeXstsError maps known XErr values to stable codes and remediation URLs", () => {
+    assert.deepEqual(describeXstsError(2148916233), {
+        code: "XSTS_NO_XBOX_PROFILE",
+        message: "This Microsoft account has no Xbox profile yet, sign in at xbox.com once to create one",
+        remediationUrl: "https://www.xbox.com/live",
+        xerr: 2148916233,
+        xerrHex: "0x8015DC09"
+    });
+    assert.equal(describeXstsError("2148916238").code, "XSTS_CHILD_ACCOUNT");
+    assert.equal(describeXstsError(2148916235).code, "XSTS_COUNTRY_NOT_AVAILABLE");
+    assert.equal(describeXstsError(2148916236).code, describeXstsError(2148916237).code);
+});
+
+test("describeXstsError ignores unknown or missing XErr values", () => {
+    assert.equal(describeXstsError(undefined), null);
+    assert.equal(describeXstsError(123), null);
+});